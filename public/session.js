@@ -0,0 +1,59 @@
+/* ========== Сессия: продление access-токена ==========
+   Подключается на каждой странице, которая ходит в API с токеном из localStorage.
+   Access-токен живёт несколько минут; когда запрос с Authorization: Bearer получает 401,
+   сессия один раз продлевается по refresh_token и запрос повторяется уже с новым токеном.
+   Страницы по-прежнему вызывают обычный fetch — продление происходит внутри него. */
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  // Несколько запросов могут получить 401 одновременно — продлеваем сессию один раз
+  function refreshSession(origin) {
+    if (!refreshing) {
+      refreshing = doRefresh(origin || location.origin).finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  async function doRefresh(origin) {
+    const refresh = localStorage.getItem('refresh_token');
+    if (!refresh) return false;
+    try {
+      const res = await nativeFetch(origin + '/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refresh })
+      });
+      // 409 — сессию только что продлила другая вкладка, новые токены уже в localStorage
+      if (res.status === 409) return localStorage.getItem('refresh_token') !== refresh;
+      if (!res.ok) return false;
+      const data = await res.json();
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refresh_token', data.refresh_token);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  window.fetch = async function (input, init) {
+    const res = await nativeFetch(input, init);
+    // Request-объекты и потоковые тела повторно не отправить — такие запросы не трогаем
+    if (res.status !== 401 || typeof input !== 'string' && !(input instanceof URL)) return res;
+    const headers = new Headers(init && init.headers);
+    const auth = headers.get('Authorization') || '';
+    if (!auth.startsWith('Bearer ')) return res;
+    const url = new URL(input, location.href);
+    if (url.pathname === '/api/auth/refresh' || url.pathname === '/api/auth/logout') return res;
+
+    // страница могла запомнить токен при загрузке — если его уже продлили, хватит повтора
+    const sent = auth.slice(7);
+    if (localStorage.getItem('token') === sent && !await refreshSession(url.origin)) return res;
+    const token = localStorage.getItem('token');
+    if (!token || token === sent) return res;
+    headers.set('Authorization', 'Bearer ' + token);
+    return nativeFetch(input, { ...init, headers });
+  };
+
+  window.refreshSession = refreshSession;
+})();
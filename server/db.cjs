@@ -0,0 +1,206 @@
+// db.cjs — слой доступа к БД: Postgres (прод) или SQLite (локальная разработка и тесты).
+// Оба драйвера отдают pg-совместимый интерфейс: pool.query(sql, params) -> { rows, rowCount },
+// pool.connect() -> client с query/release. SQL в коде пишется в диалекте Postgres,
+// для SQLite он переводится на лету (см. translateSql).
+const path = require('path');
+
+// DB_DRIVER=sqlite — файл SQLITE_PATH (по умолчанию server/dev.sqlite, ':memory:' — в памяти);
+// иначе Postgres по DATABASE_URL
+function createPool() {
+  const driver = (process.env.DB_DRIVER || 'pg').toLowerCase();
+  if (driver === 'sqlite') return createSqlitePool(process.env.SQLITE_PATH || path.join(__dirname, 'dev.sqlite'));
+  if (driver !== 'pg' && driver !== 'postgres') throw new Error(`Неизвестный DB_DRIVER: ${driver}`);
+  const { Pool } = require('pg');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+  });
+  pool.dialect = 'pg';
+  return pool;
+}
+
+// =======================
+// SQLITE
+// =======================
+// Коды ошибок SQLite -> коды Postgres, которые проверяет сервер (err.code === '23505' и т.п.)
+const SQLITE_ERROR_CODES = {
+  2067: '23505', // SQLITE_CONSTRAINT_UNIQUE
+  1555: '23505', // SQLITE_CONSTRAINT_PRIMARYKEY
+  787: '23503',  // SQLITE_CONSTRAINT_FOREIGNKEY
+  1299: '23502', // SQLITE_CONSTRAINT_NOTNULL
+  275: '23514',  // SQLITE_CONSTRAINT_CHECK
+};
+
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ','now'))";
+
+// Диалект Postgres -> SQLite: только конструкции, которые реально встречаются в server.cjs и миграциях
+function translateSql(sql) {
+  return sql
+    .replace(/\$(\d+)/g, '?$1')
+    .replace(/\bSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bNOW\(\)/gi, SQLITE_NOW)
+    .replace(/^(DROP TABLE [^;]*?)\s+CASCADE\s*$/i, '$1');
+}
+
+// Значения параметров: даты — ISO-строкой (как DEFAULT NOW()), объекты — JSON, boolean — 0/1
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Обратное преобразование по объявленному типу колонки — чтобы код получал те же типы, что от pg
+function fromSqliteValue(value, type) {
+  if (value === null || value === undefined || !type) return value;
+  switch (type.toUpperCase()) {
+    case 'JSON':
+    case 'JSONB':
+      if (typeof value !== 'string') return value;
+      try { return JSON.parse(value); } catch { return value; }
+    case 'BOOLEAN':
+      return value === 1 || value === true || value === '1' || value === 'true';
+    case 'TIMESTAMP':
+      return new Date(value);
+    case 'DATE': {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(value);
+    }
+    default:
+      return value;
+  }
+}
+
+// Без параметров запрос может содержать несколько DDL-операторов — выполняем по одному
+function splitStatements(sql) {
+  return sql.split(';').map(s => s.trim()).filter(Boolean);
+}
+
+function sqliteError(err) {
+  const mapped = SQLITE_ERROR_CODES[err.errcode];
+  if (mapped) {
+    err.sqliteCode = err.code;
+    err.code = mapped;
+  }
+  return err;
+}
+
+// node:sqlite есть только в Node.js 22.5+; npm run dev:sqlite проверяет это до запуска nodemon
+function requireSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new Error(`SQLite требует Node.js 22.5+ (модуль node:sqlite), сейчас ${process.version}`);
+  }
+}
+
+function createSqlitePool(file) {
+  const { DatabaseSync } = requireSqlite();
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA foreign_keys = ON');
+  db.exec('PRAGMA journal_mode = WAL');
+  // встроенные lower/upper в SQLite понимают только ASCII — кириллицу приводим средствами JS
+  if (typeof db.function === 'function') {
+    for (const name of ['lower', 'upper']) {
+      db.function(name, { deterministic: true }, s =>
+        s === null ? null : name === 'lower' ? String(s).toLowerCase() : String(s).toUpperCase()
+      );
+    }
+  }
+
+  function columnExists(table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  }
+
+  // ALTER TABLE ... ADD/DROP COLUMN IF [NOT] EXISTS: в SQLite нет IF [NOT] EXISTS и UNIQUE-колонок через ALTER
+  function alterColumn(sql) {
+    const drop = /^ALTER TABLE (\w+) DROP COLUMN IF EXISTS (\w+)$/i.exec(sql);
+    if (drop) {
+      if (columnExists(drop[1], drop[2])) db.exec(`ALTER TABLE ${drop[1]} DROP COLUMN ${drop[2]}`);
+      return true;
+    }
+    const m = /^ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+) (.+)$/is.exec(sql);
+    if (!m) return false;
+    const [, table, column, definition] = m;
+    if (columnExists(table, column)) return true;
+    const unique = /\bUNIQUE\b/i.test(definition);
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition.replace(/\s*\bUNIQUE\b/i, '')}`);
+    if (unique) db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_${column}_key ON ${table} (${column})`);
+    return true;
+  }
+
+  function run(sql, params = []) {
+    try {
+      if (!params.length) {
+        const statements = splitStatements(sql);
+        if (statements.length > 1 || /^ALTER TABLE/i.test(statements[0] || '')) {
+          for (const statement of statements) {
+            if (!alterColumn(statement)) db.exec(translateSql(statement));
+          }
+          return { rows: [], rowCount: 0 };
+        }
+      }
+      const stmt = db.prepare(translateSql(sql));
+      const values = params.map(toSqliteValue);
+      const columns = stmt.columns();
+      if (!columns.length) {
+        const { changes } = stmt.run(...values);
+        return { rows: [], rowCount: Number(changes) };
+      }
+      const rows = stmt.all(...values).map(raw => {
+        const row = {};
+        for (const col of columns) row[col.name] = fromSqliteValue(raw[col.name], col.type);
+        return row;
+      });
+      return { rows, rowCount: rows.length };
+    } catch (err) {
+      throw sqliteError(err);
+    }
+  }
+
+  // Одно соединение на процесс: и транзакции, и одиночные pool.query выстраиваются в одну очередь,
+  // иначе запрос другого обработчика попал бы внутрь чужой открытой транзакции (и в её откат).
+  // Поэтому внутри транзакции ходить можно только через её клиента — pool.query дождался бы
+  // освобождения соединения, которое держит сама транзакция.
+  let queue = Promise.resolve();
+  function acquire() {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const ready = queue.then(() => release);
+    queue = queue.then(() => held);
+    return ready;
+  }
+
+  return {
+    dialect: 'sqlite',
+    async query(sql, params) {
+      const release = await acquire();
+      try {
+        return run(sql, params);
+      } finally {
+        release();
+      }
+    },
+    async connect() {
+      const release = await acquire();
+      let released = false;
+      return {
+        async query(sql, params) {
+          return run(sql, params);
+        },
+        release() {
+          if (released) return;
+          released = true;
+          release();
+        },
+      };
+    },
+    async end() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createPool, translateSql, requireSqlite };
@@ -0,0 +1,109 @@
+// import_users_db.cjs — разовый перенос пользователей из старой SQLite-базы users.db (server.py)
+// Usage: node import_users_db.cjs [путь к users.db] [--dry-run]   (Node.js 22.5+, нужен node:sqlite)
+// Пишет в ту же базу, что и сервер (DATABASE_URL или DB_DRIVER=sqlite + SQLITE_PATH), схему
+// доводит миграциями. Пароли в users.db не хранились — импортированные входят по коду из SMS.
+// Строки, чей телефон или email уже есть в базе, пропускаются, поэтому повторный запуск безопасен.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+const { createPool, requireSqlite } = require('./db.cjs');
+const { migrate } = require('./migrate.cjs');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const SOURCE = path.resolve(args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'users.db'));
+
+// как normalizePhone в server.cjs: 11 цифр, начиная с 7
+function normalizePhone(phone) {
+  let p = String(phone || '').replace(/\D/g, '');
+  if (p.startsWith('8')) p = '7' + p.slice(1);
+  return p.startsWith('7') && p.length === 11 ? p : null;
+}
+
+// 'ДД.ММ.ГГГГ' -> 'ГГГГ-ММ-ДД'
+function parseDob(dob) {
+  const m = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(String(dob || '').trim());
+  if (!m) return null;
+  const iso = `${m[3]}-${m[2]}-${m[1]}`;
+  return isNaN(Date.parse(iso)) ? null : iso;
+}
+
+function mapRow(row) {
+  const fio = String(row.fio || '').trim() || null;
+  return {
+    fio,
+    full_name: fio,
+    phone: normalizePhone(row.phone),
+    email: String(row.email || '').trim().toLowerCase() || null,
+    dob: parseDob(row.dob),
+    gender: String(row.gender || '').trim() || null,
+    card_number: String(row.cardNumber || '').trim() || null,
+    avatar: row.avatar || null,
+  };
+}
+
+function readSource(file) {
+  const { DatabaseSync } = requireSqlite();
+  const db = new DatabaseSync(file, { readOnly: true });
+  try {
+    return db.prepare('SELECT * FROM users ORDER BY id').all();
+  } finally {
+    db.close();
+  }
+}
+
+async function main() {
+  const rows = readSource(SOURCE);
+  const pool = createPool();
+  const stats = { imported: 0, skipped: 0 };
+  const seen = new Set(); // дубли внутри самого users.db (для --dry-run, когда в базу ничего не пишется)
+  try {
+    if (!DRY_RUN) await migrate(pool);
+    for (const row of rows) {
+      const user = mapRow(row);
+      if (!user.phone) {
+        console.log(`#${row.id}: пропущен — некорректный телефон "${row.phone}"`);
+        stats.skipped++;
+        continue;
+      }
+      const { rows: existing } = await pool.query(
+        'SELECT id FROM users WHERE phone=$1 OR (email IS NOT NULL AND email=$2)',
+        [user.phone, user.email]
+      );
+      if (existing.length || seen.has(user.phone) || (user.email && seen.has(user.email))) {
+        const where = existing.length ? `users.id=${existing[0].id}` : 'повтор в users.db';
+        console.log(`#${row.id}: пропущен — ${user.phone} уже есть (${where})`);
+        stats.skipped++;
+        continue;
+      }
+      seen.add(user.phone);
+      if (user.email) seen.add(user.email);
+      // номер карты уникален: вручную введённый дубль не переносим — карту можно заказать заново
+      if (user.card_number) {
+        const { rows: taken } = await pool.query('SELECT id FROM users WHERE card_number=$1', [user.card_number]);
+        if (taken.length || seen.has('card:' + user.card_number)) {
+          console.log(`#${row.id}: номер карты ${user.card_number} уже занят — импорт без карты`);
+          user.card_number = null;
+        } else {
+          seen.add('card:' + user.card_number);
+        }
+      }
+      if (!DRY_RUN) {
+        await pool.query(
+          `INSERT INTO users (fio, full_name, email, phone, dob, gender, card_number, card_type, avatar)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,'Classic',$8)`,
+          [user.fio, user.full_name, user.email, user.phone, user.dob, user.gender, user.card_number, user.avatar]
+        );
+      }
+      console.log(`#${row.id}: ${DRY_RUN ? 'будет импортирован' : 'импортирован'} — ${user.fio || '(без имени)'}, ${user.phone}`);
+      stats.imported++;
+    }
+  } finally {
+    await pool.end();
+  }
+  console.log(`Готово${DRY_RUN ? ' (dry run)' : ''}: импортировано ${stats.imported}, пропущено ${stats.skipped}`);
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
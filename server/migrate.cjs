@@ -0,0 +1,127 @@
+// migrate.cjs — версионные миграции схемы (CommonJS)
+// Usage:
+//   node migrate.cjs status        — список миграций и отметка о применении
+//   node migrate.cjs up [version]  — применить все новые (или до версии включительно)
+//   node migrate.cjs down [steps]  — откатить последние N применённых (по умолчанию 1)
+// Миграция — файл migrations/NNN_name.cjs с функциями up(db) и down(db);
+// каждая выполняется в своей транзакции, применённые версии хранятся в schema_migrations.
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.cjs$/.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = /^(\d+)_([\w-]+)\.cjs$/.exec(file);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Миграция ${file} должна экспортировать up(db) и down(db)`);
+      }
+      return { version, name, up: migration.up, down: migration.down };
+    });
+}
+
+async function appliedVersions(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL
+    );
+  `);
+  const { rows } = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await fn(client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Применяет все ещё не применённые миграции по порядку; target — последняя версия включительно
+async function migrate(pool, { target = null, log = console.log } = {}) {
+  const done = new Set((await appliedVersions(pool)).map(r => r.version));
+  const applied = [];
+  for (const m of loadMigrations()) {
+    if (target && Number(m.version) > Number(target)) break;
+    if (done.has(m.version)) continue;
+    await inTransaction(pool, async db => {
+      await m.up(db);
+      await db.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1,$2,$3)', [m.version, m.name, new Date()]);
+    });
+    log(`migration ${m.version}_${m.name} applied`);
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+// Откатывает последние steps применённых миграций в обратном порядке
+async function rollback(pool, { steps = 1, log = console.log } = {}) {
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const applied = (await appliedVersions(pool)).reverse().slice(0, steps);
+  const reverted = [];
+  for (const row of applied) {
+    const m = byVersion.get(row.version);
+    if (!m) throw new Error(`Файл миграции ${row.version}_${row.name} не найден — откат невозможен`);
+    await inTransaction(pool, async db => {
+      await m.down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version=$1', [m.version]);
+    });
+    log(`migration ${m.version}_${m.name} reverted`);
+    reverted.push(m.version);
+  }
+  return reverted;
+}
+
+async function status(pool) {
+  const applied = new Map((await appliedVersions(pool)).map(r => [r.version, r]));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+  }));
+}
+
+module.exports = { migrate, rollback, status, loadMigrations };
+
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '.env') });
+  const { createPool } = require('./db.cjs');
+  const [command = 'status', arg] = process.argv.slice(2);
+  const pool = createPool();
+
+  (async () => {
+    if (command === 'up') {
+      const applied = await migrate(pool, { target: arg || null });
+      if (!applied.length) console.log('Новых миграций нет');
+    } else if (command === 'down') {
+      const steps = Math.max(1, Number(arg) || 1);
+      const reverted = await rollback(pool, { steps });
+      if (!reverted.length) console.log('Нечего откатывать');
+    } else if (command === 'status') {
+      for (const m of await status(pool)) {
+        const mark = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`${m.version}_${m.name}\t${mark}`);
+      }
+    } else {
+      throw new Error(`Неизвестная команда: ${command} (status | up [version] | down [steps])`);
+    }
+  })()
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,650 @@
+// 001_initial — базовая схема: всё, что раньше создавал initDB() в server.cjs.
+// Все операторы идемпотентны (IF NOT EXISTS), поэтому на уже работающей базе миграция
+// просто отмечается как применённая.
+
+// Порядок удаления: сначала зависимые таблицы (products.category ссылается на product_categories)
+const TABLES = [
+  'cart_items', 'auth_sessions', 'otp_codes', 'notification_outbox', 'notification_preferences',
+  'assistant_unanswered', 'kb_articles', 'hotel_reservations', 'hotel_room_nights',
+  'hotel_room_types', 'hotels', 'lounge_reservations', 'lounge_slots', 'lounges', 'meal_orders',
+  'meals', 'payment_events', 'payments', 'order_items', 'product_variants', 'family_members',
+  'families', 'promo_redemptions', 'promo_codes', 'status_miles_entries', 'admin_audit',
+  'miles_redemption_sources', 'miles_redemptions', 'checkins', 'seat_assignments', 'tickets',
+  'booking_passengers', 'booking_segments', 'bookings', 'flight_inventory', 'flight_instances',
+  'flights', 'airports', 'miles_transactions', 'notifications', 'orders', 'products', 'users',
+  'product_categories'
+];
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        fio TEXT,
+        full_name TEXT,
+        email TEXT UNIQUE,
+        phone TEXT UNIQUE,
+        password TEXT,
+        avatar TEXT,
+        dob DATE,
+        gender TEXT,
+        vk TEXT,
+        telegram TEXT,
+        card_number TEXT,
+        card_type TEXT,
+        bonus_miles INTEGER DEFAULT 0,
+        status_miles INTEGER DEFAULT 0,
+        cart JSONB DEFAULT '[]'
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS products (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        price INTEGER NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        items JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        data JSONB,
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS miles_transactions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT,
+        amount INTEGER NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS airports (
+        code TEXT PRIMARY KEY,
+        city TEXT NOT NULL,
+        name TEXT,
+        country TEXT DEFAULT 'Россия'
+      );
+    `);
+    // Расписание: один рейс = один номер рейса с днями выполнения
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS flights (
+        id SERIAL PRIMARY KEY,
+        flight_number TEXT UNIQUE NOT NULL,
+        origin TEXT REFERENCES airports(code),
+        destination TEXT REFERENCES airports(code),
+        departure_time TEXT NOT NULL,
+        duration_min INTEGER NOT NULL,
+        aircraft TEXT NOT NULL,
+        days_of_week TEXT DEFAULT '1234567',
+        fare_economy INTEGER,
+        fare_comfort INTEGER,
+        fare_business INTEGER,
+        is_active BOOLEAN DEFAULT TRUE
+      );
+    `);
+    // Рейс на конкретную дату; departure_at / arrival_at — местное время 'YYYY-MM-DDTHH:MM'
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS flight_instances (
+        id SERIAL PRIMARY KEY,
+        flight_id INTEGER REFERENCES flights(id) ON DELETE CASCADE,
+        flight_number TEXT NOT NULL,
+        origin TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        flight_date TEXT NOT NULL,
+        departure_at TEXT NOT NULL,
+        arrival_at TEXT NOT NULL,
+        aircraft TEXT NOT NULL,
+        status TEXT DEFAULT 'scheduled',
+        UNIQUE (flight_id, flight_date)
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS flight_inventory (
+        flight_instance_id INTEGER REFERENCES flight_instances(id) ON DELETE CASCADE,
+        cabin TEXT NOT NULL,
+        capacity INTEGER NOT NULL,
+        sold INTEGER DEFAULT 0,
+        price INTEGER NOT NULL,
+        PRIMARY KEY (flight_instance_id, cabin)
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS flight_instances_route_idx ON flight_instances (origin, destination, flight_date)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bookings (
+        id SERIAL PRIMARY KEY,
+        pnr TEXT UNIQUE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'held',
+        cabin TEXT NOT NULL,
+        total_amount INTEGER NOT NULL,
+        refund_amount INTEGER,
+        contact_phone TEXT,
+        contact_email TEXT,
+        hold_expires_at TIMESTAMP,
+        ticketed_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS booking_segments (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        flight_instance_id INTEGER REFERENCES flight_instances(id),
+        seq INTEGER NOT NULL,
+        cabin TEXT NOT NULL,
+        price INTEGER NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS booking_passengers (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        birth_date TEXT,
+        gender TEXT,
+        document_number TEXT
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tickets (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        passenger_id INTEGER REFERENCES booking_passengers(id) ON DELETE CASCADE,
+        ticket_number TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'issued',
+        issued_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS seat_assignments (
+        id SERIAL PRIMARY KEY,
+        flight_instance_id INTEGER REFERENCES flight_instances(id) ON DELETE CASCADE,
+        seat TEXT NOT NULL,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        passenger_id INTEGER REFERENCES booking_passengers(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'held',
+        price INTEGER DEFAULT 0,
+        held_until TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (flight_instance_id, seat),
+        UNIQUE (flight_instance_id, passenger_id)
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS checkins (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        passenger_id INTEGER REFERENCES booking_passengers(id) ON DELETE CASCADE,
+        flight_instance_id INTEGER REFERENCES flight_instances(id) ON DELETE CASCADE,
+        seat TEXT NOT NULL,
+        sequence_number INTEGER NOT NULL,
+        bcbp TEXT NOT NULL,
+        checked_in_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (flight_instance_id, passenger_id)
+      );
+    `);
+    // документы пассажира заполняются при регистрации; выход и счётчик регистрации — на рейсе
+    await db.query('ALTER TABLE booking_passengers ADD COLUMN IF NOT EXISTS document_type TEXT');
+    await db.query('ALTER TABLE booking_passengers ADD COLUMN IF NOT EXISTS document_expiry TEXT');
+    await db.query('ALTER TABLE booking_passengers ADD COLUMN IF NOT EXISTS nationality TEXT');
+    await db.query('ALTER TABLE flight_instances ADD COLUMN IF NOT EXISTS gate TEXT');
+    await db.query('ALTER TABLE flight_instances ADD COLUMN IF NOT EXISTS checkin_seq INTEGER DEFAULT 0');
+    // Оплата милями: одно активное списание на бронь/заказ, возврат — через status='reversed'
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS miles_redemptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        target_type TEXT NOT NULL,
+        target_id INTEGER NOT NULL,
+        miles INTEGER NOT NULL,
+        value_rub INTEGER NOT NULL,
+        cash_amount INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT NOW(),
+        reversed_at TIMESTAMP
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS miles_redemptions_active ON miles_redemptions (target_type, target_id) WHERE status='active'"
+    );
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS miles_redemption_sources (
+        id SERIAL PRIMARY KEY,
+        redemption_id INTEGER REFERENCES miles_redemptions(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        miles INTEGER NOT NULL
+      );
+    `);
+    await db.query('ALTER TABLE miles_transactions ADD COLUMN IF NOT EXISTS ref_type TEXT');
+    await db.query('ALTER TABLE miles_transactions ADD COLUMN IF NOT EXISTS ref_id INTEGER');
+    await db.query('ALTER TABLE miles_transactions ADD COLUMN IF NOT EXISTS balance_after INTEGER');
+    await db.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user'");
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL,
+        target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS total_amount INTEGER DEFAULT 0');
+    await db.query("ALTER TABLE orders ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'created'");
+    // Статусные мили: каждое начисление живёт STATUS_MILES_TTL_MONTHS, уровень считается сервером
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS status_miles_entries (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        amount INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        ref_type TEXT,
+        ref_id INTEGER,
+        earned_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        expired BOOLEAN DEFAULT FALSE
+      );
+    `);
+    await db.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS tier TEXT DEFAULT 'Classic'");
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS tier_expires_at TIMESTAMP');
+    await db.query('ALTER TABLE booking_segments ADD COLUMN IF NOT EXISTS miles_credited BOOLEAN DEFAULT FALSE');
+    // Промокоды и коды смены карты; погашения — отдельным журналом
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        code TEXT PRIMARY KEY,
+        reward_type TEXT NOT NULL,
+        amount INTEGER DEFAULT 0,
+        card_type TEXT,
+        description TEXT,
+        valid_from TIMESTAMP,
+        valid_until TIMESTAMP,
+        max_uses INTEGER,
+        per_user_limit INTEGER DEFAULT 1,
+        uses INTEGER DEFAULT 0,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id SERIAL PRIMARY KEY,
+        code TEXT REFERENCES promo_codes(code) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        idempotency_key TEXT,
+        reward_type TEXT NOT NULL,
+        amount INTEGER DEFAULT 0,
+        card_type TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (code, user_id, seq),
+        UNIQUE (user_id, idempotency_key)
+      );
+    `);
+    // Семейный счёт: глава + участники по приглашению (status invited -> active)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS families (
+        id SERIAL PRIMARY KEY,
+        head_user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS family_members (
+        id SERIAL PRIMARY KEY,
+        family_id INTEGER REFERENCES families(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL DEFAULT 'member',
+        status TEXT NOT NULL DEFAULT 'invited',
+        can_spend BOOLEAN DEFAULT FALSE,
+        spend_limit INTEGER,
+        invited_at TIMESTAMP DEFAULT NOW(),
+        joined_at TIMESTAMP,
+        UNIQUE (family_id, user_id)
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS family_members_active ON family_members (user_id) WHERE status='active'"
+    );
+
+    // Каталог магазина: товар -> варианты (размеры) со своим остатком на складе
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS product_categories (
+        slug TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        sort INTEGER DEFAULT 0
+      );
+    `);
+    await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS sku TEXT UNIQUE');
+    await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS category TEXT REFERENCES product_categories(slug)');
+    await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS description TEXT');
+    await db.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS images JSONB DEFAULT '[]'");
+    await db.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS specs JSONB DEFAULT '{}'");
+    await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT TRUE');
+    await db.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS sort INTEGER DEFAULT 0');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        sku TEXT UNIQUE NOT NULL,
+        size TEXT,
+        price INTEGER,
+        stock INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+        name TEXT NOT NULL,
+        size TEXT,
+        price INTEGER NOT NULL,
+        qty INTEGER NOT NULL
+      );
+    `);
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP');
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP');
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP');
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP');
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS miles_accrued INTEGER DEFAULT 0');
+    // Платежи: один платёж — одна попытка оплаты брони/заказа у провайдера
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id SERIAL PRIMARY KEY,
+        public_id TEXT UNIQUE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        target_type TEXT NOT NULL,
+        target_id INTEGER NOT NULL,
+        target_key TEXT NOT NULL,
+        description TEXT,
+        provider TEXT NOT NULL,
+        provider_ref TEXT,
+        amount INTEGER NOT NULL,
+        refunded_amount INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'created',
+        action_url TEXT,
+        error TEXT,
+        idempotency_key TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        captured_at TIMESTAMP,
+        UNIQUE (user_id, idempotency_key)
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id SERIAL PRIMARY KEY,
+        provider TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        payload JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (provider, event_id)
+      );
+    `);
+    // Питание на борт: каталог блюд и предзаказы на пассажира и сегмент брони
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS meals (
+        code TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        tags JSONB DEFAULT '[]',
+        cabins JSONB DEFAULT '[]',
+        price_rub INTEGER NOT NULL,
+        price_miles INTEGER,
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS meal_orders (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        segment_id INTEGER REFERENCES booking_segments(id) ON DELETE CASCADE,
+        passenger_id INTEGER REFERENCES booking_passengers(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        meal_code TEXT REFERENCES meals(code),
+        pay_with TEXT NOT NULL,
+        price INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT NOW(),
+        cancelled_at TIMESTAMP
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS meal_orders_active ON meal_orders (segment_id, passenger_id) WHERE status IN ('pending','confirmed')"
+    );
+    // Бизнес-залы: вместимость на часовой слот, брони привязаны к сегменту брони
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lounges (
+        code TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        airport TEXT NOT NULL,
+        terminal TEXT,
+        location TEXT,
+        capacity INTEGER NOT NULL,
+        price_rub INTEGER NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0
+      );
+      CREATE TABLE IF NOT EXISTS lounge_slots (
+        lounge_code TEXT REFERENCES lounges(code) ON DELETE CASCADE,
+        slot_start TEXT NOT NULL,
+        booked INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (lounge_code, slot_start)
+      );
+      CREATE TABLE IF NOT EXISTS lounge_reservations (
+        id SERIAL PRIMARY KEY,
+        lounge_code TEXT REFERENCES lounges(code),
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+        segment_id INTEGER REFERENCES booking_segments(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        slot_start TEXT NOT NULL,
+        guests INTEGER NOT NULL DEFAULT 0,
+        free_guests INTEGER NOT NULL DEFAULT 0,
+        entitlement TEXT,
+        price INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending',
+        pass_code TEXT UNIQUE NOT NULL,
+        hold_expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        used_at TIMESTAMP,
+        used_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        cancelled_at TIMESTAMP
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS lounge_reservations_active ON lounge_reservations (segment_id) WHERE status IN ('pending','confirmed','used')"
+    );
+    // Отели-партнёры: типы номеров с ценой за ночь, остаток номеров по ночам
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS hotels (
+        id SERIAL PRIMARY KEY,
+        code TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        city TEXT NOT NULL,
+        country TEXT,
+        address TEXT,
+        stars INTEGER,
+        description TEXT,
+        image TEXT,
+        checkin_time TEXT DEFAULT '14:00',
+        checkout_time TEXT DEFAULT '12:00',
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0
+      );
+      CREATE TABLE IF NOT EXISTS hotel_room_types (
+        id SERIAL PRIMARY KEY,
+        hotel_id INTEGER REFERENCES hotels(id) ON DELETE CASCADE,
+        code TEXT NOT NULL,
+        title TEXT NOT NULL,
+        capacity INTEGER NOT NULL,
+        rate INTEGER NOT NULL,
+        inventory INTEGER NOT NULL,
+        free_cancel_days INTEGER,
+        active BOOLEAN DEFAULT TRUE,
+        UNIQUE (hotel_id, code)
+      );
+      CREATE TABLE IF NOT EXISTS hotel_room_nights (
+        room_type_id INTEGER REFERENCES hotel_room_types(id) ON DELETE CASCADE,
+        night TEXT NOT NULL,
+        booked INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (room_type_id, night)
+      );
+      CREATE TABLE IF NOT EXISTS hotel_reservations (
+        id SERIAL PRIMARY KEY,
+        code TEXT UNIQUE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        hotel_id INTEGER REFERENCES hotels(id),
+        room_type_id INTEGER REFERENCES hotel_room_types(id),
+        check_in TEXT NOT NULL,
+        check_out TEXT NOT NULL,
+        nights INTEGER NOT NULL,
+        rooms INTEGER NOT NULL DEFAULT 1,
+        guests INTEGER NOT NULL DEFAULT 1,
+        guest_name TEXT,
+        purpose TEXT NOT NULL DEFAULT 'leisure',
+        rate INTEGER NOT NULL,
+        total_amount INTEGER NOT NULL,
+        free_cancel_until TEXT,
+        status TEXT NOT NULL DEFAULT 'held',
+        hold_expires_at TIMESTAMP,
+        refund_amount INTEGER,
+        miles_accrued INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        confirmed_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+    `);
+    // База знаний помощника и Справочного центра; вопросы без ответа — на разбор поддержке
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS kb_articles (
+        id SERIAL PRIMARY KEY,
+        slug TEXT UNIQUE NOT NULL,
+        category TEXT,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        keywords JSONB DEFAULT '[]',
+        link TEXT,
+        featured BOOLEAN DEFAULT FALSE,
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS assistant_unanswered (
+        id SERIAL PRIMARY KEY,
+        normalized TEXT UNIQUE NOT NULL,
+        question TEXT NOT NULL,
+        page TEXT,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        asked_count INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'new',
+        article_id INTEGER REFERENCES kb_articles(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_asked_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        enabled BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, type, channel)
+      );
+    `);
+    // Email/SMS уходят через outbox: запись в транзакции события, отправка — фоном с повторами
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id SERIAL PRIMARY KEY,
+        notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        subject TEXT,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS notification_outbox_due_idx ON notification_outbox (status, next_attempt_at)');
+    await db.query('ALTER TABLE booking_segments ADD COLUMN IF NOT EXISTS checkin_notified_at TIMESTAMP');
+    // Коды входа по SMS — только хэши; старая таблица sms_codes хранила коды открытым текстом
+    await db.query('DROP TABLE IF EXISTS sms_codes');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS otp_codes (
+        id SERIAL PRIMARY KEY,
+        phone TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        ip TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS otp_codes_phone_idx ON otp_codes (phone, created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS otp_codes_ip_idx ON otp_codes (ip, created_at)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        previous_hash TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS auth_sessions_previous_idx ON auth_sessions (previous_hash)');
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_revoked_at TIMESTAMP');
+    // Корзина на сервере; users.cart больше не используется
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cart_items (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+        qty INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, variant_id)
+      );
+    `);
+  },
+
+  async down(db) {
+    for (const table of TABLES) await db.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+  },
+};
@@ -0,0 +1,37 @@
+// 002_media — загруженные изображения: один файл-оригинал -> набор размеров в AVIF/WebP.
+// Дубликаты склеиваются по (kind, hash); ссылки — users.avatar_media_id и product_images,
+// запись без ссылок — сирота, её удаляет cleanupMedia() в server.cjs.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS media_files (
+        id SERIAL PRIMARY KEY,
+        kind TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        mime TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        variants JSONB NOT NULL,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL,
+        UNIQUE (kind, hash)
+      );
+    `);
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_media_id INTEGER REFERENCES media_files(id) ON DELETE SET NULL');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        media_id INTEGER REFERENCES media_files(id) ON DELETE CASCADE,
+        sort INTEGER DEFAULT 0,
+        PRIMARY KEY (product_id, media_id)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS product_images');
+    await db.query('ALTER TABLE users DROP COLUMN IF EXISTS avatar_media_id');
+    await db.query('DROP TABLE IF EXISTS media_files');
+  },
+};
@@ -0,0 +1,90 @@
+// 003_careers — вакансии, отклики с резюме и запись на собеседование в офисы.
+// Слоты собеседований — как у бизнес-залов: занятость на слот в interview_slots,
+// сама запись — в interviews (одна активная на отклик).
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS offices (
+        code TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        city TEXT NOT NULL,
+        address TEXT,
+        interview_days TEXT NOT NULL DEFAULT '12345',
+        interview_from TEXT NOT NULL DEFAULT '10:00',
+        interview_to TEXT NOT NULL DEFAULT '17:00',
+        interview_capacity INTEGER NOT NULL DEFAULT 1,
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS vacancies (
+        id SERIAL PRIMARY KEY,
+        slug TEXT UNIQUE NOT NULL,
+        title TEXT NOT NULL,
+        department TEXT,
+        city TEXT,
+        office_code TEXT REFERENCES offices(code),
+        remote BOOLEAN DEFAULT FALSE,
+        employment TEXT DEFAULT 'full',
+        description TEXT,
+        requirements JSONB DEFAULT '[]',
+        active BOOLEAN DEFAULT TRUE,
+        sort INTEGER DEFAULT 0,
+        created_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS job_applications (
+        id SERIAL PRIMARY KEY,
+        vacancy_id INTEGER REFERENCES vacancies(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        full_name TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        cover_letter TEXT,
+        resume_key TEXT,
+        resume_name TEXT,
+        resume_mime TEXT,
+        resume_bytes INTEGER,
+        status TEXT NOT NULL DEFAULT 'received',
+        hr_note TEXT,
+        invited_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS job_applications_active ON job_applications (vacancy_id, user_id) WHERE status IN ('received','interview_scheduled')"
+    );
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS interview_slots (
+        office_code TEXT REFERENCES offices(code) ON DELETE CASCADE,
+        slot_start TEXT NOT NULL,
+        booked INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (office_code, slot_start)
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS interviews (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES job_applications(id) ON DELETE CASCADE,
+        office_code TEXT REFERENCES offices(code),
+        slot_start TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        created_at TIMESTAMP NOT NULL,
+        cancelled_at TIMESTAMP
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS interviews_active ON interviews (application_id) WHERE status='scheduled'"
+    );
+  },
+
+  async down(db) {
+    for (const table of ['interviews', 'interview_slots', 'job_applications', 'vacancies', 'offices']) {
+      await db.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+    }
+  },
+};
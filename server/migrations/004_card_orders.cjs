@@ -0,0 +1,45 @@
+// 004_card_orders — заказ карты Priority (Classic / VIP / стикер) вместо формы web3forms.
+// Номер карты выдаётся при заказе и резервируется уникальным индексом; пользователю он
+// прописывается только при выдаче карты. История статусов — в card_order_events.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS card_orders (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        product TEXT NOT NULL,
+        card_number TEXT UNIQUE NOT NULL,
+        full_name TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        delivery_address TEXT NOT NULL,
+        comment TEXT,
+        price INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending',
+        tracking_number TEXT,
+        created_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP NOT NULL,
+        issued_at TIMESTAMP,
+        cancelled_at TIMESTAMP
+      );
+    `);
+    await db.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS card_orders_open ON card_orders (user_id) WHERE status IN ('awaiting_payment','pending','production','shipped')"
+    );
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS card_order_events (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES card_orders(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        note TEXT,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS card_order_events');
+    await db.query('DROP TABLE IF EXISTS card_orders');
+  },
+};
@@ -0,0 +1,58 @@
+// 005_business_leads — заявки на сайты S7avelii-IT с busines.html, воронка продаж и коммерческие
+// предложения. Позиции КП хранятся снимком (items), чтобы правка прайса не меняла отправленные документы.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS business_leads (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        phone TEXT,
+        company TEXT,
+        package TEXT,
+        budget INTEGER,
+        brief TEXT,
+        status TEXT NOT NULL DEFAULT 'new',
+        assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        lost_reason TEXT,
+        ip TEXT,
+        created_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS business_leads_status_idx ON business_leads (status, created_at)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS business_lead_events (
+        id SERIAL PRIMARY KEY,
+        lead_id INTEGER REFERENCES business_leads(id) ON DELETE CASCADE,
+        status TEXT,
+        note TEXT,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS business_quotes (
+        id SERIAL PRIMARY KEY,
+        lead_id INTEGER REFERENCES business_leads(id) ON DELETE CASCADE,
+        number TEXT UNIQUE NOT NULL,
+        package TEXT,
+        items JSONB NOT NULL,
+        discount INTEGER NOT NULL DEFAULT 0,
+        total INTEGER NOT NULL,
+        valid_until TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL,
+        sent_at TIMESTAMP
+      );
+    `);
+  },
+
+  async down(db) {
+    for (const table of ['business_quotes', 'business_lead_events', 'business_leads']) {
+      await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  },
+};
@@ -0,0 +1,50 @@
+// 006_flight_status — табло вылетов/прилётов. departure_at/arrival_at по-прежнему хранят текущее
+// (расчётное) время — от них считаются окна регистрации и посадки; плановое время сохраняется отдельно,
+// фактическое — проставляет диспетчер. Подписки на рейс — для тех, у кого нет брони (в т.ч. по email).
+module.exports = {
+  async up(db) {
+    for (const column of ['scheduled_departure_at', 'scheduled_arrival_at', 'actual_departure_at', 'actual_arrival_at']) {
+      await db.query(`ALTER TABLE flight_instances ADD COLUMN IF NOT EXISTS ${column} TEXT`);
+    }
+    await db.query('UPDATE flight_instances SET scheduled_departure_at = departure_at WHERE scheduled_departure_at IS NULL');
+    await db.query('UPDATE flight_instances SET scheduled_arrival_at = arrival_at WHERE scheduled_arrival_at IS NULL');
+    await db.query('CREATE INDEX IF NOT EXISTS flight_instances_board_dep ON flight_instances (origin, scheduled_departure_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS flight_instances_board_arr ON flight_instances (destination, scheduled_arrival_at)');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS flight_status_events (
+        id SERIAL PRIMARY KEY,
+        flight_instance_id INTEGER REFERENCES flight_instances(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        departure_at TEXT,
+        arrival_at TEXT,
+        gate TEXT,
+        note TEXT,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS flight_subscriptions (
+        id SERIAL PRIMARY KEY,
+        flight_instance_id INTEGER REFERENCES flight_instances(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        email TEXT,
+        ip TEXT,
+        created_at TIMESTAMP NOT NULL
+      );
+    `);
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS flight_subscriptions_user ON flight_subscriptions (flight_instance_id, user_id)');
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS flight_subscriptions_email ON flight_subscriptions (flight_instance_id, email)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS flight_subscriptions');
+    await db.query('DROP TABLE IF EXISTS flight_status_events');
+    await db.query('DROP INDEX IF EXISTS flight_instances_board_dep');
+    await db.query('DROP INDEX IF EXISTS flight_instances_board_arr');
+    for (const column of ['scheduled_departure_at', 'scheduled_arrival_at', 'actual_departure_at', 'actual_arrival_at']) {
+      await db.query(`ALTER TABLE flight_instances DROP COLUMN IF EXISTS ${column}`);
+    }
+  },
+};
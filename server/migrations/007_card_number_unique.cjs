@@ -0,0 +1,33 @@
+// 007_card_number_unique — номер карты Priority теперь выдаётся только при выдаче заказанной карты
+// (card_orders), по нему ищут получателя переводов миль и приглашений в семью. Номера, введённые
+// вручную при регистрации или в профиле, могли совпадать: оставляем номер тому, кому карта выдана
+// по заказу (или, если заказа нет, — самому раннему аккаунту), у остальных номер сбрасываем.
+module.exports = {
+  async up(db) {
+    await db.query("UPDATE users SET card_number = NULL WHERE TRIM(card_number) = ''");
+
+    const { rows: orders } = await db.query('SELECT user_id, card_number FROM card_orders');
+    const orderedBy = new Map(orders.map(o => [o.card_number, o.user_id]));
+    const { rows: users } = await db.query('SELECT id, card_number FROM users WHERE card_number IS NOT NULL ORDER BY id');
+
+    const owner = new Map();
+    for (const u of users) {
+      if (orderedBy.get(u.card_number) === u.id) owner.set(u.card_number, u.id);
+    }
+    for (const u of users) {
+      // номер зарезервирован заказом другого пользователя — введён вручную
+      if (orderedBy.has(u.card_number) && orderedBy.get(u.card_number) !== u.id) {
+        await db.query('UPDATE users SET card_number = NULL WHERE id=$1', [u.id]);
+      } else if (!owner.has(u.card_number)) {
+        owner.set(u.card_number, u.id);
+      } else if (owner.get(u.card_number) !== u.id) {
+        await db.query('UPDATE users SET card_number = NULL WHERE id=$1', [u.id]);
+      }
+    }
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS users_card_number_unique ON users (card_number)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS users_card_number_unique');
+  },
+};
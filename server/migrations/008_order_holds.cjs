@@ -0,0 +1,20 @@
+// 008_order_holds — товар резервируется при оформлении заказа, поэтому неоплаченный заказ держит
+// остаток ограниченное время (hold_expires_at), потом отменяется. Уже висящим неоплаченным заказам
+// даём то же окно от момента миграции.
+const ORDER_HOLD_MIN = 30;
+
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP');
+    await db.query(
+      "UPDATE orders SET hold_expires_at=$1 WHERE status='created' AND hold_expires_at IS NULL",
+      [new Date(Date.now() + ORDER_HOLD_MIN * 60000)]
+    );
+    await db.query('CREATE INDEX IF NOT EXISTS orders_hold_idx ON orders (status, hold_expires_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS orders_hold_idx');
+    await db.query('ALTER TABLE orders DROP COLUMN IF EXISTS hold_expires_at');
+  },
+};
@@ -0,0 +1,26 @@
+// 009_normalize_phones — вход по паролю и по SMS ищет пользователя по телефону в виде 7XXXXXXXXXX,
+// а регистрация и профиль раньше сохраняли номер как ввели (8…, +7 (…) …). Приводим старые номера
+// к тому же виду. Если номер в новом виде уже занят другим аккаунтом, этот номер не трогаем — такие
+// пары разбирает поддержка, а уникальный индекс по phone не даёт слить их молча.
+function normalizePhone(phone) {
+  let p = String(phone || '').replace(/\D/g, '');
+  if (p.startsWith('8')) p = '7' + p.slice(1);
+  return p.startsWith('7') && p.length === 11 ? p : null;
+}
+
+module.exports = {
+  async up(db) {
+    const { rows } = await db.query('SELECT id, phone FROM users WHERE phone IS NOT NULL ORDER BY id');
+    const taken = new Set(rows.map(u => u.phone));
+    for (const u of rows) {
+      const phone = normalizePhone(u.phone);
+      if (!phone || phone === u.phone || taken.has(phone)) continue;
+      await db.query('UPDATE users SET phone=$1 WHERE id=$2', [phone, u.id]);
+      taken.delete(u.phone);
+      taken.add(phone);
+    }
+  },
+
+  // исходный вид номеров не сохраняется — откатывать нечего
+  async down() {},
+};
@@ -7,8 +7,13 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { createPool } = require('./db.cjs');
+const { migrate } = require('./migrate.cjs');
 const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const sharp = require('sharp');
 
 dotenv.config();
 
@@ -16,65 +21,126 @@ dotenv.config();
 // --- Настройки ---
 const PORT = process.env.PORT || 10000;
 const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'; // короткий: дальше сессию продлевает refresh-токен
 const STATIC_ORIGIN = process.env.STATIC_ORIGIN || '*'; // можно указать сайт фронта
 
-// --- Postgres pool (один для всего) ---
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
-});
+// --- Пул БД (один для всего): Postgres по DATABASE_URL или SQLite при DB_DRIVER=sqlite, см. db.cjs ---
+const pool = createPool();
 
 // --- Создание папки uploads ---
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+// ключи private/... (резюме) лежат вне UPLOAD_DIR: /uploads раздаётся статикой, а эти файлы отдаёт только сервер
+const PRIVATE_UPLOAD_DIR = path.join(__dirname, 'private-uploads');
+if (!fs.existsSync(PRIVATE_UPLOAD_DIR)) fs.mkdirSync(PRIVATE_UPLOAD_DIR, { recursive: true });
+// раньше private/ лежала внутри uploads — переносим, чтобы старые резюме не оставались в публичной папке
+const LEGACY_PRIVATE_DIR = path.join(UPLOAD_DIR, 'private');
+if (fs.existsSync(LEGACY_PRIVATE_DIR)) {
+  fs.cpSync(LEGACY_PRIVATE_DIR, PRIVATE_UPLOAD_DIR, { recursive: true, force: false });
+  fs.rmSync(LEGACY_PRIVATE_DIR, { recursive: true, force: true });
+}
 
-// --- Multer для загрузки файлов ---
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const safe = Date.now() + '-' + file.originalname.replace(/\s+/g, '_');
-    cb(null, safe);
-  }
-});
-const upload = multer({ storage });
+// --- Загрузки: файл остаётся в памяти (multer), дальше его проверяет и сохраняет MEDIA, см. acceptFile ---
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 10 * 1024 * 1024);
 
 // --- Express ---
 const app = express();
-app.use(express.json());
+// За прокси (Render) req.ip берётся из X-Forwarded-For — нужно для лимитов по IP; число — сколько прокси впереди
+app.set('trust proxy', Number(process.env.TRUST_PROXY || 0));
+// rawBody нужен для проверки подписи платёжных вебхуков
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cors({
   origin: (origin, cb) => cb(null, true), // разрешаем любые источники
-  methods: ["GET","POST","PUT","DELETE","OPTIONS"],
-  allowedHeaders: ["Content-Type","Authorization","Accept"],
+  methods: ["GET","POST","PUT","PATCH","DELETE","OPTIONS"],
+  allowedHeaders: ["Content-Type","Authorization","Accept","Idempotency-Key"],
   credentials: true
 }));
+// ключи media/... содержат хэш содержимого — файл по ним никогда не меняется
+app.use('/uploads/media', express.static(path.join(UPLOAD_DIR, 'media'), { maxAge: '365d', immutable: true }));
 app.use('/uploads', express.static(UPLOAD_DIR));
 app.use(express.static('public'));
 
 // --- Helpers ---
-function signToken(userId) {
+function signToken(userId, role = 'user', sessionId = null) {
   return jwt.sign(
-    { id: userId },
+    sessionId ? { id: userId, role, sid: sessionId } : { id: userId, role },
     JWT_SECRET,
-    { expiresIn: '30d' } // ← 30 дней
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
-async function getUserById(id) {
-  const { rows } = await pool.query('SELECT id,fio,full_name,email,phone,avatar,dob,gender,card_number,card_type,bonus_miles,status_miles,cart FROM users WHERE id=$1', [id]);
+async function getUserById(id, db = pool) {
+  const { rows } = await db.query('SELECT id,fio,full_name,email,phone,avatar,dob,gender,card_number,card_type,bonus_miles,status_miles,tier,tier_expires_at,role FROM users WHERE id=$1', [id]);
   return rows[0] || null;
 }
 
-function authMiddleware(req, res, next) {
+// Подпись и срок проверяет jwt; отзыв — по сессии (sid) или, для токенов без сессии, по users.sessions_revoked_at
+async function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), JWT_SECRET);
+  } catch (e) {
+    throw httpError(401, 'Invalid token');
+  }
+  const { rows } = await pool.query(
+    `SELECT u.sessions_revoked_at, s.id AS session_id, s.revoked_at FROM users u
+     LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id WHERE u.id = $1`,
+    [payload.id, payload.sid || 0]
+  );
+  const row = rows[0];
+  const revoked = !row || (payload.sid
+    ? !row.session_id || row.revoked_at
+    : row.sessions_revoked_at && payload.iat * 1000 < new Date(row.sessions_revoked_at).getTime());
+  if (revoked) throw httpError(401, 'Invalid token');
+  return payload;
+}
+
+async function authMiddleware(req, res, next) {
   const h = req.headers.authorization;
   if (!h) return res.status(401).json({ error: 'No token' });
-  const token = h.split(' ')[1];
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.userId = payload.id;
-    next();
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
+    payload = await verifyAccessToken(h.split(' ')[1]);
+  } catch (err) {
+    return err.status === 401 ? res.status(401).json({ error: 'Invalid token' }) : sendError(res, err, 'Ошибка авторизации');
+  }
+  req.userId = payload.id;
+  req.userRole = payload.role || 'user';
+  req.sessionId = payload.sid || null;
+  next();
+}
+
+// Токен необязателен: с ним запрос знает пользователя, без него (или с просроченным) — анонимный
+async function optionalAuth(req, res, next) {
+  const h = req.headers.authorization;
+  if (h) {
+    try {
+      const payload = await verifyAccessToken(h.split(' ')[1]);
+      req.userId = payload.id;
+      req.userRole = payload.role || 'user';
+    } catch (e) {
+      // анонимный запрос
+    }
   }
+  next();
+}
+
+// Роли: user, support, admin. Ставится после authMiddleware.
+// Роль берётся из токена, но сверяется с базой — её могли отозвать после выдачи токена.
+const ROLES = ['user', 'support', 'admin'];
+
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!roles.includes(req.userRole)) return res.status(403).json({ error: 'Недостаточно прав' });
+    try {
+      const { rows } = await pool.query('SELECT role FROM users WHERE id=$1', [req.userId]);
+      if (!rows.length || !roles.includes(rows[0].role)) return res.status(403).json({ error: 'Недостаточно прав' });
+      next();
+    } catch (err) {
+      console.error('role check err', err);
+      res.status(500).json({ error: 'Ошибка проверки прав' });
+    }
+  };
 }
 
 function normalizePayload(body) {
@@ -87,80 +153,101 @@ function normalizePayload(body) {
   return out;
 }
 
-// --- SMS codes in-memory ---
-const smsCodes = new Map();
+// Ошибка с HTTP-статусом: бросаем из транзакций, ловим в роуте
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendError(res, err, fallback) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error(fallback, err);
+  res.status(500).json({ error: fallback });
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  const committed = [];
+  client.afterCommit = cb => committed.push(cb);
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    for (const cb of committed) {
+      try { cb(); } catch (err) { console.error('afterCommit err', err); }
+    }
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    delete client.afterCommit;
+    client.release();
+  }
+}
+
+// Побочные эффекты (push, отправка) — только после фиксации транзакции, чтобы не сообщать об откатившемся
+function afterCommit(db, cb) {
+  if (db.afterCommit) db.afterCommit(cb);
+  else cb();
+}
+
+// Каналы доставки — по настройкам пользователя (см. NOTIFICATIONS)
+async function notify(userId, type, title, message, data = null, db = pool) {
+  if (!userId) return null;
+  const channels = await notificationChannels(db, userId, type);
+  let row = null;
+  if (channels.in_app) {
+    const { rows } = await db.query(
+      'INSERT INTO notifications (user_id, type, title, message, data) VALUES ($1,$2,$3,$4,$5) RETURNING *',
+      [userId, type, title, message, data ? JSON.stringify(data) : null]
+    );
+    row = rows[0];
+    afterCommit(db, () => publishNotification(row));
+  }
+  await enqueueExternal(db, userId, type, title, message, channels, row && row.id);
+  return row;
+}
+
+// Время в расписании храним как местное (строки 'YYYY-MM-DDTHH:MM'),
+// поэтому и "сейчас" считаем в том же часовом поясе.
+const LOCAL_TZ_OFFSET_MIN = Number(process.env.LOCAL_TZ_OFFSET_MIN || 240); // Саратов, UTC+4
+
+function localStamp(date = new Date()) {
+  return new Date(date.getTime() + LOCAL_TZ_OFFSET_MIN * 60000).toISOString().slice(0, 16);
+}
+
+function addMinutesToStamp(stamp, minutes) {
+  return new Date(Date.parse(stamp + ':00Z') + minutes * 60000).toISOString().slice(0, 16);
+}
+
+function stampDiffMin(from, to) {
+  return Math.round((Date.parse(to + ':00Z') - Date.parse(from + ':00Z')) / 60000);
+}
+
+function isValidDateString(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+}
 
 // --- DB init ---
 async function initDB() {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        fio TEXT,
-        full_name TEXT,
-        email TEXT UNIQUE,
-        phone TEXT UNIQUE,
-        password TEXT,
-        avatar TEXT,
-        dob DATE,
-        gender TEXT,
-        vk TEXT,
-        telegram TEXT,
-        card_number TEXT,
-        card_type TEXT,
-        bonus_miles INTEGER DEFAULT 0,
-        status_miles INTEGER DEFAULT 0,
-        cart JSONB DEFAULT '[]'
-      );
-    `);
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS products (
-        id SERIAL PRIMARY KEY,
-        name TEXT NOT NULL,
-        price INTEGER NOT NULL
-      );
-    `);
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS orders (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
-        items JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS notifications (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        type TEXT,
-        title TEXT NOT NULL,
-        message TEXT NOT NULL,
-        data JSONB,
-        is_read BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-await pool.query(`
-  CREATE TABLE IF NOT EXISTS miles_transactions (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    type TEXT,
-    amount INTEGER NOT NULL,
-    description TEXT,
-    created_at TIMESTAMP DEFAULT NOW()
-  );
-`);
-
-    const r = await pool.query('SELECT COUNT(*) FROM products');
-    if (Number(r.rows[0].count) === 0) {
-      await pool.query(`
-        INSERT INTO products (name,price) VALUES
-        ('Брелок S7avelii',500),
-        ('Футболка S7avelii',1200),
-        ('Кружка S7avelii',800),
-        ('Модель самолёта',2500)
-      `);
-    }
+    // Схема — версионными миграциями (migrations/NNN_*.cjs), здесь только их применение и сиды
+    await migrate(pool);
+
+    await seedFlights();
+    await ensureFlightInstances();
+    await migrateLegacyLoyalty();
+    await seedPromoCodes();
+    await seedCatalog();
+    await seedMeals();
+    await seedLounges();
+    await seedHotels();
+    await seedKnowledgeBase();
+    await seedCareers();
+    await migrateMilesLedger();
+    await bootstrapAdmins();
 
     console.log('DB ready');
   } catch (err) {
@@ -184,161 +271,290 @@ app.get('/api/health', async (req, res) => {
 
 
 // =======================
-// REQUEST CODE
+// AUTH: OTP & SESSIONS
 // =======================
-// ===== REQUEST SMS CODE =====
-app.post('/api/auth/request-code', async (req, res) => {
-  try {
-
-    let { phone } = req.body;
-
-    if (!phone)
-      return res.status(400).json({ error: 'Телефон обязателен' });
-
-    // приводим к формату 79626298105
-    phone = phone.replace(/\D/g, '');
-
-    if (phone.startsWith('8'))
-      phone = '7' + phone.slice(1);
-
-    if (!phone.startsWith('7') || phone.length !== 11)
-      return res.status(400).json({ error: 'Неверный формат телефона' });
-
-    // генерируем код
-    const code = Math.floor(1000 + Math.random() * 9000).toString();
-
-    console.log(`SMS CODE для ${phone}: ${code}`);
+// Код входа хранится только HMAC-хэшем, живёт OTP_TTL_MIN минут и гасится после первого верного ввода.
+// Ограничения: повтор на номер — не чаще раза в OTP_RESEND_SEC, не больше OTP_PHONE_HOURLY кодов на номер
+// и OTP_IP_HOURLY с одного IP в час, OTP_MAX_ATTEMPTS попыток ввода на код.
+const OTP_LENGTH = 6;
+const OTP_TTL_MIN = 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SEC = 60;
+const OTP_PHONE_HOURLY = 5;
+const OTP_IP_HOURLY = 20;
+const OTP_SECRET = process.env.OTP_SECRET || JWT_SECRET;
+const REFRESH_TOKEN_DAYS = 90;
+const REFRESH_REUSE_GRACE_SEC = 60;
 
-    // сохраняем код в БД
-    await pool.query(`
-      INSERT INTO sms_codes (phone, code, created_at)
-      VALUES ($1,$2,NOW())
-      ON CONFLICT (phone)
-      DO UPDATE SET
-        code = EXCLUDED.code,
-        created_at = NOW()
-    `, [phone, code]);
+// SMS_PROVIDER: smsru (ключ SMSRU_API_KEY) или log — сообщение только в лог сервера, для разработки
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (process.env.SMSRU_API_KEY ? 'smsru' : 'log');
+const SMS_PROVIDERS = {
+  log: {
+    async send(phone, text) {
+      console.log(`[sms → ${phone}] ${text}`);
+    },
+  },
+  smsru: {
+    async send(phone, text) {
+      // ключ — в теле POST, а не в URL: так он не попадает в логи прокси
+      const r = await fetch('https://sms.ru/sms/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ api_id: process.env.SMSRU_API_KEY || '', to: phone, msg: text, json: '1' }),
+      });
+      const data = await r.json();
+      const sms = data.sms && data.sms[phone];
+      if (data.status !== 'OK' || (sms && sms.status !== 'OK')) {
+        throw new Error(`sms.ru: ${(sms && sms.status_text) || data.status_text || data.status}`);
+      }
+    },
+  },
+};
 
+function smsProvider() {
+  const provider = SMS_PROVIDERS[SMS_PROVIDER];
+  if (!provider) throw httpError(500, `SMS-провайдер ${SMS_PROVIDER} не настроен`);
+  return provider;
+}
 
-    // отправляем SMS БЕЗ await (максимально быстро)
-    const url =
-      `https://sms.ru/sms/send?api_id=${process.env.SMSRU_API_KEY}` +
-      `&to=${phone}` +
-      `&msg=${encodeURIComponent("S7avelii: код входа " + code)}` +
-      `&json=1`;
+// Приводим к формату 79626298105; null — если это не российский мобильный
+function normalizePhone(phone) {
+  let p = String(phone || '').replace(/\D/g, '');
+  if (p.startsWith('8')) p = '7' + p.slice(1);
+  return p.startsWith('7') && p.length === 11 ? p : null;
+}
 
-    fetch(url)
-      .then(r => r.json())
-      .then(data => {
-        console.log("SMS RU RESPONSE:", data);
-      })
-      .catch(err => {
-        console.log("SMS ERROR:", err.message);
-      });
+function hashOtp(phone, code) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${phone}:${code}`).digest('hex');
+}
 
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-    // сразу отвечаем клиенту
-    res.json({ ok: true });
+// Сессия = refresh-токен (в базе только хэш); access-токен несёт её id и умирает вместе с ней
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const { rows } = await pool.query(
+    `INSERT INTO auth_sessions (user_id, token_hash, user_agent, ip, created_at, last_used_at, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$5,$6) RETURNING id`,
+    [user.id, hashToken(refreshToken), String(req.headers['user-agent'] || '').slice(0, 200), req.ip, now,
+      new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000)]
+  );
+  return { token: signToken(user.id, user.role, rows[0].id), refresh_token: refreshToken };
+}
 
-  }
-  catch (err) {
+app.post('/api/auth/request-code', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ error: 'Неверный формат телефона' });
 
-    console.log('request-code err', err);
+    const now = new Date();
+    const { rows } = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM otp_codes WHERE phone=$1 AND created_at > $3) AS phone_count,
+         (SELECT MAX(created_at) FROM otp_codes WHERE phone=$1) AS last_sent,
+         (SELECT COUNT(*) FROM otp_codes WHERE ip=$2 AND created_at > $3) AS ip_count`,
+      [phone, req.ip, new Date(now.getTime() - 3600 * 1000)]
+    );
+    const stats = rows[0];
+    const wait = stats.last_sent ? Math.ceil(OTP_RESEND_SEC - (now - new Date(stats.last_sent)) / 1000) : 0;
+    if (wait > 0) return res.status(429).json({ error: `Код уже отправлен. Повторно — через ${wait} сек.`, retry_after: wait });
+    if (Number(stats.phone_count) >= OTP_PHONE_HOURLY || Number(stats.ip_count) >= OTP_IP_HOURLY) {
+      return res.status(429).json({ error: 'Слишком много запросов кода. Попробуйте через час.', retry_after: 3600 });
+    }
 
-    res.status(500).json({
-      error: 'Ошибка отправки кода'
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+    await withTransaction(async db => {
+      // прежние коды на этот номер больше не действуют
+      await db.query('UPDATE otp_codes SET used_at=$2 WHERE phone=$1 AND used_at IS NULL', [phone, now]);
+      await db.query(
+        'INSERT INTO otp_codes (phone, code_hash, ip, created_at, expires_at) VALUES ($1,$2,$3,$4,$5)',
+        [phone, hashOtp(phone, code), req.ip, now, new Date(now.getTime() + OTP_TTL_MIN * 60000)]
+      );
     });
 
+    try {
+      await smsProvider().send(phone, `S7avelii: код входа ${code}. Никому его не сообщайте.`);
+    } catch (err) {
+      console.error('otp sms err', err.message);
+      return res.status(502).json({ error: 'Не удалось отправить SMS. Попробуйте позже.' });
+    }
+    res.json({ ok: true, expires_in: OTP_TTL_MIN * 60, resend_in: OTP_RESEND_SEC });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отправки кода');
   }
 });
 
-
-// =======================
-// VERIFY CODE
-// =======================
 app.post('/api/auth/verify-code', async (req, res) => {
-
   try {
+    const phone = normalizePhone(req.body.phone);
+    const code = String(req.body.code || '').trim();
+    if (!phone || !/^\d+$/.test(code)) return res.status(400).json({ error: 'Введите телефон и код из SMS' });
 
-    let { phone, code } = req.body;
-
-    phone = phone.replace(/\D/g, '');
-
-    const result = await pool.query(
-      `SELECT * FROM sms_codes WHERE phone=$1`,
-      [phone]
+    const now = new Date();
+    const { rows } = await pool.query(
+      'SELECT * FROM otp_codes WHERE phone=$1 AND used_at IS NULL AND expires_at > $2 ORDER BY id DESC LIMIT 1',
+      [phone, now]
     );
+    if (!rows.length) return res.status(400).json({ error: 'Код истёк или не запрашивался. Запросите новый.' });
+    const otp = rows[0];
 
-    if (!result.rows.length)
-      return res.status(400).json({
-        error: 'Код не найден'
-      });
-
-    if (result.rows[0].code !== code)
-      return res.status(400).json({
-        error: 'Неверный код'
-      });
-
-
-    const user = await pool.query(
-      `SELECT * FROM users WHERE phone=$1`,
-      [phone]
+    // попытка засчитывается до сравнения — параллельный перебор упрётся в тот же лимит
+    const attempt = await pool.query(
+      'UPDATE otp_codes SET attempts=attempts+1 WHERE id=$1 AND used_at IS NULL AND attempts < $2 RETURNING attempts',
+      [otp.id, OTP_MAX_ATTEMPTS]
     );
+    if (!attempt.rows.length) return res.status(429).json({ error: 'Слишком много попыток. Запросите новый код.' });
 
-    if (!user.rows.length)
-      return res.status(400).json({
-        error: 'Пользователь не найден'
-      });
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(hashOtp(phone, code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const left = OTP_MAX_ATTEMPTS - attempt.rows[0].attempts;
+      return res.status(400).json({ error: left ? `Неверный код. Осталось попыток: ${left}` : 'Неверный код. Запросите новый.' });
+    }
 
+    const used = await pool.query('UPDATE otp_codes SET used_at=$2 WHERE id=$1 AND used_at IS NULL RETURNING id', [otp.id, now]);
+    if (!used.rows.length) return res.status(400).json({ error: 'Код уже использован' });
 
-    const token = jwt.sign(
-      { id: user.rows[0].id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    const user = await pool.query('SELECT id, fio, role FROM users WHERE phone=$1', [phone]);
+    if (!user.rows.length) return res.status(400).json({ error: 'Пользователь не найден' });
 
+    res.json({ ...(await createSession(user.rows[0], req)), fio: user.rows[0].fio });
+  } catch (err) {
+    sendError(res, err, 'Ошибка проверки кода');
+  }
+});
 
-    res.json({
-      token,
-      fio: user.rows[0].fio
-    });
+// Обмен refresh-токена на новую пару. Токен одноразовый: повтор уже обменянного значит утечку,
+// и сессия закрывается (кроме пары секунд гонки между вкладками)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const hash = hashToken(req.body.refresh_token || '');
+    const now = new Date();
+    const { rows } = await pool.query(
+      `SELECT s.*, u.role FROM auth_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash=$1 OR s.previous_hash=$1`,
+      [hash]
+    );
+    const session = rows[0];
+    if (!session || session.revoked_at || new Date(session.expires_at) <= now) {
+      return res.status(401).json({ error: 'Сессия завершена, войдите снова' });
+    }
+    if (session.token_hash !== hash) {
+      if (now - new Date(session.last_used_at) < REFRESH_REUSE_GRACE_SEC * 1000) {
+        return res.status(409).json({ error: 'Сессия уже обновлена в другой вкладке' });
+      }
+      await pool.query('UPDATE auth_sessions SET revoked_at=$2 WHERE id=$1', [session.id, now]);
+      return res.status(401).json({ error: 'Сессия завершена, войдите снова' });
+    }
 
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const upd = await pool.query(
+      `UPDATE auth_sessions SET token_hash=$2, previous_hash=$3, last_used_at=$4, expires_at=$5
+       WHERE id=$1 AND token_hash=$3 AND revoked_at IS NULL RETURNING id`,
+      [session.id, hashToken(refreshToken), hash, now, new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000)]
+    );
+    if (!upd.rows.length) return res.status(409).json({ error: 'Сессия уже обновлена в другой вкладке' });
+    res.json({ token: signToken(session.user_id, session.role, session.id), refresh_token: refreshToken });
+  } catch (err) {
+    sendError(res, err, 'Ошибка обновления сессии');
   }
-  catch (err) {
+});
 
-    console.log('verify-code err', err);
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await pool.query('UPDATE auth_sessions SET revoked_at=$2 WHERE id=$1 AND revoked_at IS NULL', [req.sessionId, new Date()]);
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка выхода');
+  }
+});
 
-    res.status(500).json({
-      error: 'Ошибка'
+// Выход на всех устройствах: закрываются все сессии, а токены старого образца (без сессии) — по времени выдачи
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const revoked = await withTransaction(async db => {
+      const { rows } = await db.query(
+        'UPDATE auth_sessions SET revoked_at=$2 WHERE user_id=$1 AND revoked_at IS NULL RETURNING id',
+        [req.userId, now]
+      );
+      await db.query('UPDATE users SET sessions_revoked_at=$2 WHERE id=$1', [req.userId, now]);
+      return rows.length;
     });
+    res.json({ ok: true, revoked });
+  } catch (err) {
+    sendError(res, err, 'Ошибка выхода');
+  }
+});
 
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_used_at FROM auth_sessions
+       WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > $2 ORDER BY last_used_at DESC`,
+      [req.userId, new Date()]
+    );
+    res.json({ sessions: rows.map(s => ({ ...s, current: s.id === req.sessionId })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки сессий');
   }
+});
 
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'UPDATE auth_sessions SET revoked_at=$3 WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL RETURNING id',
+      [Number(req.params.id) || 0, req.userId, new Date()]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Сессия не найдена' });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка завершения сессии');
+  }
 });
 
+// Истёкшие коды и закрытые сессии больше не нужны
+async function cleanupAuth() {
+  const dayAgo = new Date(Date.now() - 86400000);
+  await pool.query('DELETE FROM otp_codes WHERE created_at < $1', [dayAgo]);
+  await pool.query('DELETE FROM auth_sessions WHERE (revoked_at IS NOT NULL AND revoked_at < $1) OR expires_at < $2', [dayAgo, new Date()]);
+}
 
+setInterval(() => {
+  cleanupAuth().catch(err => console.error('auth cleanup err', err));
+}, 60 * 60 * 1000);
 
 // Register
 app.post('/api/register', async (req, res) => {
   try {
-    const { fio, email, phone, password, dob, gender, cardNumber, cardType } = req.body;
-    if (!fio || !phone || !password) {
+    const { fio, email, password, dob, gender } = req.body;
+    if (!fio || !req.body.phone || !password) {
   return res.status(400).json({ error: "fio,phone,password required" });
 }
+    // телефон храним в том же виде, в каком по нему ищут вход по паролю и по SMS
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ error: 'Неверный формат телефона' });
 
-    const check = await pool.query('SELECT id FROM users WHERE email=$1 OR phone=$2', [email, phone || null]);
+    const check = await pool.query('SELECT id FROM users WHERE email=$1 OR phone=$2', [email, phone]);
     if (check.rows.length) return res.status(400).json({ error: 'User exists' });
 
     const hash = await bcrypt.hash(password, 10);
+    // номер и тип карты клиент не выбирает: номер появляется при выдаче заказанной карты,
+    // VIP/Priority — по заказу карты или промокоду
     const r = await pool.query(
-      `INSERT INTO users (fio, full_name, email, phone, password, dob, gender, card_number, card_type)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id`,
-      [fio, fio, email, phone || null, hash, dob || null, gender || null, cardNumber || null, cardType || null]
+      `INSERT INTO users (fio, full_name, email, phone, password, dob, gender, card_type)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+      [fio, fio, email, phone, hash, dob || null, gender || null, TIERS[0].name]
     );
     const id = r.rows[0].id;
-    const token = signToken(id);
+    const session = await createSession({ id, role: 'user' }, req);
     const user = await getUserById(id);
-    res.json({ token, user });
+    res.json({ ...session, user });
   } catch (err) {
     console.error('register err', err);
     res.status(500).json({ error: 'Registration failed' });
@@ -351,10 +567,10 @@ app.post('/api/auth/login', async (req,res)=>{
     if(!phone||!password)
       return res.status(400).json({error:'Данные обязательны'});
 
-    const normalized=phone.replace(/\D/g,'');
+    const normalized=normalizePhone(phone);
 
     const r=await pool.query(
-      'SELECT id,fio,password FROM users WHERE phone=$1',
+      'SELECT id,fio,password,role FROM users WHERE phone=$1',
       [normalized]
     );
 
@@ -364,8 +580,7 @@ app.post('/api/auth/login', async (req,res)=>{
     const ok=await bcrypt.compare(password,user.password);
     if(!ok) return res.status(400).json({error:'Неверный пароль'});
 
-    const token=signToken(user.id);
-    res.json({token});
+    res.json(await createSession(user,req));
   }catch(e){
     res.status(500).json({error:'Login error'});
   }
@@ -387,7 +602,13 @@ app.get('/api/profile', authMiddleware, async (req, res) => {
 app.put('/api/profile', authMiddleware, async (req, res) => {
   try {
     const raw = normalizePayload(req.body);
-    const allowed = ['fio','email','phone','dob','gender','avatar','card_number','card_type','bonus_miles','status_miles'];
+    if ('phone' in raw) {
+      raw.phone = normalizePhone(raw.phone);
+      if (!raw.phone) return res.status(400).json({ error: 'Неверный формат телефона' });
+    }
+    // мили и тип карты меняет только сервер (начисления, уровни, промокоды), номер карты — выдача карты
+    // аватар — только через загрузку /api/profile/avatar
+    const allowed = ['fio','email','phone','dob','gender'];
     const sets = [];
     const vals = [];
     let i = 1;
@@ -410,50 +631,12 @@ app.put('/api/profile', authMiddleware, async (req, res) => {
     const user = await getUserById(req.userId);
     res.json({ ok: true, user });
   } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Этот телефон или email уже используется' });
     console.error('profile.update err', err);
     res.status(500).json({ error: 'Update failed' });
   }
 });
 
-// Avatar upload
-app.post('/api/profile/avatar', authMiddleware, upload.single('avatar'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file' });
-    const avatarPath = '/uploads/' + req.file.filename;
-    await pool.query('UPDATE users SET avatar=$1 WHERE id=$2', [avatarPath, req.userId]);
-    const user = await getUserById(req.userId);
-    res.json({ avatar: avatarPath, user });
-  } catch (err) {
-    console.error('avatar upload err', err);
-    res.status(500).json({ error: 'Avatar upload failed' });
-  }
-});
-
-// Shop
-app.get('/api/shop', async (req, res) => {
-  try {
-    const r = await pool.query('SELECT * FROM products ORDER BY id');
-    res.json({ products: r.rows });
-  } catch (err) {
-    console.error('shop err', err);
-    res.status(500).json({ error: 'Shop error' });
-  }
-});
-
-// Checkout
-app.post('/api/checkout', authMiddleware, async (req, res) => {
-  try {
-    const items = req.body.items || [];
-    await pool.query('INSERT INTO orders (user_id, items) VALUES ($1,$2)', [req.userId, JSON.stringify(items)]);
-    await pool.query("UPDATE users SET cart = '[]', bonus_miles = COALESCE(bonus_miles,0) + 100 WHERE id=$1", [req.userId]);
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('checkout err', err);
-    res.status(500).json({ error: 'Checkout error' });
-  }
-});
-
-
 // --- Routes ---
 
 app.get('/api/health', async (req, res) => {
@@ -468,7 +651,7 @@ app.get('/api/health', async (req, res) => {
 // =======================
 // TOPUP MILES
 // =======================
-app.post('/api/miles/topup', async (req, res) => {
+app.post('/api/miles/topup', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     let { card_number, amount, description } = req.body;
 
@@ -489,22 +672,15 @@ app.post('/api/miles/topup', async (req, res) => {
 
     const user = userRes.rows[0];
 
-    await pool.query(
-      `INSERT INTO miles_transactions (user_id, type, amount, description)
-       VALUES ($1,$2,$3,$4)`,
-      [user.id, 'topup', amount, description || 'Пополнение миль']
-    );
-
-    await pool.query(
-      `UPDATE users 
-       SET bonus_miles = COALESCE(bonus_miles,0) + $1 
-       WHERE id=$2`,
-      [amount, user.id]
-    );
+    const balance = await withTransaction(async db => {
+      const left = await postMilesEntry(db, user.id, 'accrual', amount, description || 'Пополнение миль', { refType: 'topup' });
+      await notifyTemplate(user.id, 'miles_accrued', { miles: amount, reason: description || 'Пополнение миль', balance: left }, null, db);
+      return left;
+    });
 
     res.json({
       ok: true,
-      new_balance: user.bonus_miles + amount
+      new_balance: balance
     });
 
   } catch (err) {
@@ -516,7 +692,7 @@ app.post('/api/miles/topup', async (req, res) => {
 // =======================
 // COMMAND
 // =======================
-app.post('/api/miles/command', async (req, res) => {
+app.post('/api/miles/command', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const parsed = parseCommand(req.body.text);
 
@@ -533,18 +709,10 @@ app.post('/api/miles/command', async (req, res) => {
 
     const user = userRes.rows[0];
 
-    await pool.query(
-      `INSERT INTO miles_transactions (user_id, type, amount, description)
-       VALUES ($1,$2,$3,$4)`,
-      [user.id, 'topup', parsed.amount, 'Пополнение через команду']
-    );
-
-    await pool.query(
-      `UPDATE users 
-       SET bonus_miles = COALESCE(bonus_miles,0) + $1 
-       WHERE id=$2`,
-      [parsed.amount, user.id]
-    );
+    await withTransaction(async db => {
+      const left = await postMilesEntry(db, user.id, 'accrual', parsed.amount, 'Пополнение через команду', { refType: 'command' });
+      await notifyTemplate(user.id, 'miles_accrued', { miles: parsed.amount, reason: 'Пополнение миль', balance: left }, null, db);
+    });
 
     res.json({ ok: true });
 
@@ -557,7 +725,7 @@ app.post('/api/miles/command', async (req, res) => {
 // =======================
 // HISTORY
 // =======================
-app.get('/api/miles/history/:card', async (req, res) => {
+app.get('/api/miles/history/:card', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
   try {
     const card_number = req.params.card;
 
@@ -570,10 +738,10 @@ app.get('/api/miles/history/:card', async (req, res) => {
       return res.status(404).json({ error: 'Карта не найдена' });
 
     const history = await pool.query(
-      `SELECT id, type, amount, description, created_at
+      `SELECT id, type, amount, balance_after, description, created_at
        FROM miles_transactions
        WHERE user_id=$1
-       ORDER BY created_at DESC`,
+       ORDER BY id DESC`,
       [userRes.rows[0].id]
     );
 
@@ -584,52 +752,382 @@ app.get('/api/miles/history/:card', async (req, res) => {
     res.status(500).json({ error: 'Ошибка истории' });
   }
 });
-// Пополнение милей
-app.post('/api/miles/topup', authMiddleware, async (req, res) => {
-  try {
-    const { cardNumber, amount } = req.body;
-    if (!cardNumber || !amount) return res.status(400).json({ error: 'cardNumber и amount обязательны' });
 
-    // Находим пользователя по карте
-    const { rows } = await pool.query('SELECT id, bonus_miles FROM users WHERE card_number=$1', [cardNumber]);
-    if (!rows.length) return res.status(404).json({ error: 'Пользователь не найден' });
 
-    const userId = rows[0].id;
-    const newMiles = (rows[0].bonus_miles || 0) + Number(amount);
 
-    // Обновляем мили
-    await pool.query('UPDATE users SET bonus_miles=$1 WHERE id=$2', [newMiles, userId]);
+// =======================
+// NOTIFICATIONS
+// =======================
+// Уведомление уходит по каналам из настроек пользователя: лента в кабинете (in_app) с push в открытые
+// вкладки по SSE, email и SMS — через outbox с повторами. Транспорт внешних каналов — NOTIFY_TRANSPORT:
+// console (по умолчанию, для разработки), file (JSON-строки в NOTIFY_OUTBOX_FILE) или live.
+const NOTIFY_TRANSPORT = process.env.NOTIFY_TRANSPORT || 'console';
+const NOTIFY_OUTBOX_FILE = process.env.NOTIFY_OUTBOX_FILE || path.join(__dirname, 'outbox.log');
+const NOTIFY_MAX_ATTEMPTS = 5;
+const NOTIFY_LEASE_MIN = 5;
+const SSE_HEARTBEAT_MS = 25 * 1000;
 
-    // Добавляем запись в блок пополнений (можно в notifications или отдельную таблицу)
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message) VALUES ($1,$2,$3,$4)',
-      [userId, 'miles_topup', `Пополнение ${amount} миль`, `Счёт вашей карты пополнен на ${amount} миль.`]
-    );
+const NOTIFICATION_CHANNELS = { in_app: 'В личном кабинете', email: 'Email', sms: 'SMS' };
+const NOTIFICATION_GROUPS = {
+  flights: 'Перелёты',
+  miles: 'Мили и уровень',
+  services: 'Заказы и услуги',
+  family: 'Семейный счёт',
+  career: 'Карьера',
+  service: 'Служебные',
+};
 
-    res.json({ ok: true, newMiles });
+// defaults — каналы, включённые без настройки; locked — те, что отключить нельзя
+const NOTIFICATION_TYPES = {
+  booking_ticketed: { group: 'flights', title: 'Билеты оформлены', defaults: ['in_app', 'email'] },
+  booking_cancelled: { group: 'flights', title: 'Бронь отменена', defaults: ['in_app', 'email'] },
+  booking_expired: { group: 'flights', title: 'Бронь не оплачена вовремя', defaults: ['in_app'] },
+  checkin_open: { group: 'flights', title: 'Открыта онлайн-регистрация', defaults: ['in_app', 'email'] },
+  boarding_pass: { group: 'flights', title: 'Посадочный талон', defaults: ['in_app', 'email'] },
+  flight_delayed: { group: 'flights', title: 'Задержка рейса', defaults: ['in_app', 'email', 'sms'] },
+  flight_cancelled: { group: 'flights', title: 'Отмена рейса', defaults: ['in_app', 'email', 'sms'] },
+  flight_gate: { group: 'flights', title: 'Смена выхода на посадку', defaults: ['in_app', 'sms'] },
+  miles_accrued: { group: 'miles', title: 'Начисление миль', defaults: ['in_app'] },
+  miles_adjustment: { group: 'miles', title: 'Корректировка миль', defaults: ['in_app'] },
+  miles_transfer: { group: 'miles', title: 'Перевод миль', defaults: ['in_app'] },
+  miles_expired: { group: 'miles', title: 'Сгорание миль', defaults: ['in_app', 'email'] },
+  tier_upgrade: { group: 'miles', title: 'Повышение уровня', defaults: ['in_app', 'email'] },
+  tier_downgrade: { group: 'miles', title: 'Понижение уровня', defaults: ['in_app', 'email'] },
+  order_status: { group: 'services', title: 'Статус заказа в магазине', defaults: ['in_app'] },
+  payment_refunded: { group: 'services', title: 'Возврат оплаты', defaults: ['in_app', 'email'] },
+  card_order: { group: 'services', title: 'Заказ карты Priority', defaults: ['in_app', 'email'] },
+  business_lead: { group: 'services', title: 'Заявка S7avelii-IT', defaults: ['in_app', 'email'] },
+  lounge_confirmed: { group: 'services', title: 'Бизнес-зал', defaults: ['in_app'] },
+  hotel_confirmed: { group: 'services', title: 'Отель: бронь подтверждена', defaults: ['in_app', 'email'] },
+  hotel_expired: { group: 'services', title: 'Отель: бронь не оплачена', defaults: ['in_app'] },
+  hotel_cancelled: { group: 'services', title: 'Отель: бронь отменена', defaults: ['in_app', 'email'] },
+  family_invite: { group: 'family', title: 'Приглашение в семью', defaults: ['in_app'] },
+  family_joined: { group: 'family', title: 'Новый участник', defaults: ['in_app'] },
+  family_removed: { group: 'family', title: 'Исключение из семьи', defaults: ['in_app'] },
+  family_closed: { group: 'family', title: 'Семейный счёт закрыт', defaults: ['in_app'] },
+  job_application: { group: 'career', title: 'Отклик на вакансию', defaults: ['in_app', 'email'] },
+  admin_message: { group: 'service', title: 'Сообщения поддержки', defaults: ['in_app'], locked: ['in_app'] },
+};
 
-  } catch (err) {
-    console.error('topup err', err);
-    res.status(500).json({ error: 'Ошибка начисления милей' });
+function notificationType(type) {
+  return NOTIFICATION_TYPES[type] || { group: 'service', title: type || 'Прочее', defaults: ['in_app'] };
+}
+
+async function notificationChannels(db, userId, type) {
+  const def = notificationType(type);
+  const channels = {};
+  for (const c of Object.keys(NOTIFICATION_CHANNELS)) channels[c] = def.defaults.includes(c);
+  const { rows } = await db.query('SELECT channel, enabled FROM notification_preferences WHERE user_id=$1 AND type=$2', [userId, type]);
+  for (const r of rows) {
+    if (r.channel in channels && !(def.locked || []).includes(r.channel)) channels[r.channel] = r.enabled;
   }
-});
+  return channels;
+}
+
+// Тексты событий, которые шлются из нескольких мест, — в одном месте
+const NOTIFICATION_TEMPLATES = {
+  miles_accrued: v => ({
+    title: `+${v.miles} миль`,
+    message: `${v.reason}. На счёте ${v.balance} миль.`,
+  }),
+  miles_adjustment: v => ({
+    title: `${v.amount > 0 ? '+' : ''}${v.amount} миль`,
+    message: `${v.reason}. На счёте ${v.balance} миль.`,
+  }),
+  miles_transfer: v => ({
+    title: `+${v.miles} миль`,
+    message: `${v.from} перевёл вам ${v.miles} миль. На счёте ${v.balance} миль.`,
+  }),
+  tier_upgrade: v => ({
+    title: `Новый уровень: ${v.tier}`,
+    message: v.reason ? `${v.reason}: уровень ${v.tier} присвоен.` : `Поздравляем! Уровень ${v.tier} действует до ${v.until}.`,
+  }),
+  tier_downgrade: v => ({
+    title: `Уровень изменён на ${v.tier}`,
+    message: `За последние ${v.months} месяцев накоплено ${v.status_miles} статусных миль.`,
+  }),
+  checkin_open: v => ({
+    title: `Открыта регистрация на рейс ${v.flight_number}`,
+    message: `${v.origin} → ${v.destination}, вылет ${formatStamp(v.departure_at)}. Бронь ${v.pnr} — зарегистрируйтесь в личном кабинете.`,
+  }),
+  flight_delayed: v => ({
+    title: `Рейс ${v.flight_number} задерживается`,
+    message: `${v.origin} → ${v.destination}: вылет перенесён с ${formatStamp(v.previous_departure_at)} на ${formatStamp(v.departure_at)}.${v.pnr ? ` Бронь ${v.pnr}.` : ''}`,
+  }),
+  flight_cancelled: v => ({
+    title: `Рейс ${v.flight_number} отменён`,
+    message: `${v.origin} → ${v.destination}, ${formatStamp(v.departure_at)}.${v.pnr ? ` Бронь ${v.pnr}: отмените её в личном кабинете — стоимость вернём полностью, для переоформления обратитесь в поддержку.` : ''}`,
+  }),
+  flight_gate: v => ({
+    title: `Рейс ${v.flight_number}: выход ${v.gate}`,
+    message: `Посадка на рейс ${v.origin} → ${v.destination} — через выход ${v.gate}${v.previous_gate ? ` (вместо ${v.previous_gate})` : ''}.`,
+  }),
+  // event: received | quoted | won | lost
+  business_lead: v => LEAD_NOTIFICATIONS[v.event](v),
+  // status — из CARD_ORDER_STATUSES (кроме awaiting_payment)
+  card_order: v => CARD_ORDER_NOTIFICATIONS[v.status](v),
+  // event: received | invited | interview_scheduled | offer | rejected
+  job_application: v => JOB_NOTIFICATIONS[v.event](v),
+};
 
+async function notifyTemplate(userId, type, vars, data = null, db = pool) {
+  const { title, message } = NOTIFICATION_TEMPLATES[type](vars);
+  return notify(userId, type, title, message, data, db);
+}
 
+// --- Push в открытые вкладки (SSE) ---
+// Подписки живут в памяти процесса: при нескольких инстансах push дойдёт только через «свой» инстанс,
+// остальное вкладка доберёт при переподключении (событие unread)
+const notificationStreams = new Map();
 
-// Notifications
-app.get('/notifications/unread-count', authMiddleware, async (req, res) => {
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function unreadCount(userId) {
+  const { rows } = await pool.query('SELECT COUNT(*) AS cnt FROM notifications WHERE user_id=$1 AND is_read=false', [userId]);
+  return Number(rows[0].cnt);
+}
+
+function publishNotification(row) {
+  const streams = notificationStreams.get(row.user_id);
+  if (!streams) return;
+  unreadCount(row.user_id)
+    .then(unread => { for (const res of streams) sendEvent(res, 'notification', { notification: row, unread }); })
+    .catch(err => console.error('publish notification err', err));
+}
+
+function publishUnread(userId) {
+  const streams = notificationStreams.get(userId);
+  if (!streams) return;
+  unreadCount(userId)
+    .then(unread => { for (const res of streams) sendEvent(res, 'unread', { unread }); })
+    .catch(err => console.error('publish unread err', err));
+}
+
+setInterval(() => {
+  for (const streams of notificationStreams.values()) for (const res of streams) res.write(': ping\n\n');
+}, SSE_HEARTBEAT_MS);
+
+// --- Outbox: email и SMS ---
+async function enqueueExternal(db, userId, type, title, message, channels, notificationId) {
+  if (!channels.email && !channels.sms) return;
+  const { rows } = await db.query('SELECT email, phone FROM users WHERE id=$1', [userId]);
+  if (!rows.length) return;
+  const messages = [];
+  if (channels.email && rows[0].email) {
+    messages.push({ channel: 'email', recipient: rows[0].email, subject: title, body: `${message}\n\n— S7avelii Airlines` });
+  }
+  if (channels.sms && rows[0].phone) {
+    messages.push({ channel: 'sms', recipient: rows[0].phone, subject: null, body: `S7avelii: ${title}. ${message}`.slice(0, 300) });
+  }
+  for (const m of messages) {
+    await db.query(
+      `INSERT INTO notification_outbox (notification_id, user_id, type, channel, recipient, subject, body, next_attempt_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [notificationId, userId, type, m.channel, m.recipient, m.subject, m.body, new Date()]
+    );
+  }
+  if (messages.length) afterCommit(db, () => setImmediate(() => processOutbox().catch(err => console.error('outbox err', err))));
+}
+
+// Письмо тому, у кого нет аккаунта (например, клиенту из заявки S7avelii-IT): минуя ленту и настройки
+async function enqueueEmail(db, recipient, type, subject, body) {
+  await db.query(
+    `INSERT INTO notification_outbox (type, channel, recipient, subject, body, next_attempt_at)
+     VALUES ($1,'email',$2,$3,$4,$5)`,
+    [type, recipient, subject, `${body}\n\n— S7avelii Airlines`, new Date()]
+  );
+  afterCommit(db, () => setImmediate(() => processOutbox().catch(err => console.error('outbox err', err))));
+}
+
+const NOTIFY_TRANSPORTS = {
+  console: {
+    async send(m) {
+      console.log(`[${m.channel} → ${m.recipient}] ${m.subject ? m.subject + ': ' : ''}${m.body}`);
+    },
+  },
+  file: {
+    async send(m) {
+      const line = { at: new Date().toISOString(), channel: m.channel, to: m.recipient, subject: m.subject, body: m.body };
+      await fs.promises.appendFile(NOTIFY_OUTBOX_FILE, JSON.stringify(line) + '\n');
+    },
+  },
+  live: {
+    async send(m) {
+      if (m.channel === 'sms') return smsProvider().send(m.recipient, m.body);
+      // Почта — через HTTP API провайдера: POST { to, subject, text }
+      if (!process.env.EMAIL_API_URL) throw new Error('EMAIL_API_URL не задан');
+      const r = await fetch(process.env.EMAIL_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.EMAIL_API_KEY || ''}` },
+        body: JSON.stringify({ to: m.recipient, subject: m.subject, text: m.body }),
+      });
+      if (!r.ok) throw new Error(`email API: HTTP ${r.status}`);
+    },
+  },
+};
+
+let outboxBusy = false;
+
+// Сообщение берётся «в аренду» сдвигом next_attempt_at: если процесс упадёт посреди отправки,
+// после аренды его подхватит следующий проход. Ошибка — повтор через 2, 4, 8… минут.
+async function processOutbox() {
+  if (outboxBusy) return;
+  outboxBusy = true;
   try {
+    const transport = NOTIFY_TRANSPORTS[NOTIFY_TRANSPORT];
+    if (!transport) throw new Error(`Транспорт уведомлений ${NOTIFY_TRANSPORT} не настроен`);
+    const now = new Date();
     const { rows } = await pool.query(
-      'SELECT COUNT(*) AS cnt FROM notifications WHERE user_id=$1 AND is_read=false',
-      [req.userId]
+      "SELECT id FROM notification_outbox WHERE status='pending' AND next_attempt_at <= $1 ORDER BY id LIMIT 20",
+      [now]
     );
-    res.json({ unread: Number(rows[0].cnt) });
+    for (const { id } of rows) {
+      const claimed = await pool.query(
+        `UPDATE notification_outbox SET attempts=attempts+1, next_attempt_at=$3
+         WHERE id=$1 AND status='pending' AND next_attempt_at <= $2 RETURNING *`,
+        [id, now, new Date(now.getTime() + NOTIFY_LEASE_MIN * 60000)]
+      );
+      if (!claimed.rows.length) continue;
+      const m = claimed.rows[0];
+      try {
+        await transport.send(m);
+        await pool.query("UPDATE notification_outbox SET status='sent', sent_at=$2, last_error=NULL WHERE id=$1", [m.id, new Date()]);
+      } catch (err) {
+        await pool.query(
+          'UPDATE notification_outbox SET status=$2, next_attempt_at=$3, last_error=$4 WHERE id=$1',
+          [m.id, m.attempts >= NOTIFY_MAX_ATTEMPTS ? 'failed' : 'pending',
+            new Date(Date.now() + 2 ** m.attempts * 60000), String(err.message || err).slice(0, 500)]
+        );
+      }
+    }
+  } finally {
+    outboxBusy = false;
+  }
+}
+
+setInterval(() => {
+  processOutbox().catch(err => console.error('outbox err', err));
+}, 30 * 1000);
+
+// --- События по рейсу ---
+async function flightPassengers(db, flightInstanceId) {
+  const { rows } = await db.query(
+    `SELECT DISTINCT b.id, b.pnr, b.user_id FROM booking_segments s JOIN bookings b ON b.id = s.booking_id
+     WHERE s.flight_instance_id=$1 AND b.status='ticketed' AND b.user_id IS NOT NULL`,
+    [flightInstanceId]
+  );
+  return rows;
+}
+
+// Напоминание об открытии онлайн-регистрации — один раз на сегмент
+async function notifyCheckinOpen() {
+  const now = localStamp();
+  const { rows } = await pool.query(
+    `SELECT s.id, b.user_id, b.pnr, f.flight_number, f.origin, f.destination, f.departure_at
+     FROM booking_segments s JOIN bookings b ON b.id = s.booking_id JOIN flight_instances f ON f.id = s.flight_instance_id
+     WHERE b.status='ticketed' AND b.user_id IS NOT NULL AND f.status<>'cancelled' AND s.checkin_notified_at IS NULL
+       AND f.departure_at > $1 AND f.departure_at <= $2`,
+    [addMinutesToStamp(now, CHECKIN_CLOSE_MIN), addMinutesToStamp(now, CHECKIN_OPEN_HOURS * 60)]
+  );
+  for (const s of rows) {
+    await withTransaction(async db => {
+      const upd = await db.query(
+        'UPDATE booking_segments SET checkin_notified_at=$2 WHERE id=$1 AND checkin_notified_at IS NULL RETURNING id',
+        [s.id, new Date()]
+      );
+      if (!upd.rows.length) return;
+      await notifyTemplate(s.user_id, 'checkin_open', s, { pnr: s.pnr, segment_id: s.id }, db);
+    });
+  }
+}
+
+setInterval(() => {
+  notifyCheckinOpen().catch(err => console.error('checkin reminders err', err));
+}, 10 * 60 * 1000);
+
+// Подписки на рейс — для тех, у кого нет брони: аккаунт (уведомления по настройкам) или только email
+async function flightSubscribers(db, flightInstanceId) {
+  const { rows } = await db.query('SELECT id, user_id, email FROM flight_subscriptions WHERE flight_instance_id=$1', [flightInstanceId]);
+  return rows;
+}
+
+// Подписанная ссылка из письма: отписка без входа в аккаунт
+function flightUnsubscribeUrl(subscription) {
+  const token = jwt.sign({ fsub: subscription.id }, JWT_SECRET, { expiresIn: '30d' });
+  return `${PUBLIC_URL}/api/flight-subscriptions/${subscription.id}/unsubscribe?token=${token}`;
+}
+
+// Задержка, отмена, смена выхода — пассажирам с билетами и подписчикам рейса.
+// Подписчик, который и сам летит этим рейсом, получает одно уведомление — с номером брони
+async function notifyFlightEvents(db, before, after, events) {
+  if (!events.length) return 0;
+  const vars = { ...after, previous_departure_at: before.departure_at, previous_gate: before.gate };
+  const users = new Set();
+  let notified = 0;
+  for (const b of await flightPassengers(db, after.id)) {
+    for (const type of events) {
+      await notifyTemplate(b.user_id, type, { ...vars, pnr: b.pnr }, { pnr: b.pnr, flight_instance_id: after.id }, db);
+    }
+    users.add(b.user_id);
+    notified++;
+  }
+  for (const s of await flightSubscribers(db, after.id)) {
+    if (s.user_id && users.has(s.user_id)) continue;
+    for (const type of events) {
+      if (s.user_id) {
+        await notifyTemplate(s.user_id, type, vars, { flight_instance_id: after.id }, db);
+      } else {
+        const { title, message } = NOTIFICATION_TEMPLATES[type](vars);
+        await enqueueEmail(db, s.email, type, title, `${message}\n\nОтписаться от уведомлений по рейсу: ${flightUnsubscribeUrl(s)}`);
+      }
+    }
+    notified++;
+  }
+  return notified;
+}
+
+// --- Лента и настройки ---
+app.get('/notifications/unread-count', authMiddleware, async (req, res) => {
+  try {
+    res.json({ unread: await unreadCount(req.userId) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'db error' });
   }
 });
 
+// EventSource не умеет заголовки, поэтому токен можно передать в ?token=
+app.get('/notifications/stream', async (req, res) => {
+  let userId;
+  try {
+    userId = (await verifyAccessToken(req.query.token || (req.headers.authorization || '').split(' ')[1])).id;
+  } catch (err) {
+    return err.status === 401 ? res.status(401).json({ error: 'Invalid token' }) : sendError(res, err, 'Ошибка авторизации');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!notificationStreams.has(userId)) notificationStreams.set(userId, new Set());
+  notificationStreams.get(userId).add(res);
+  publishUnread(userId);
+
+  req.on('close', () => {
+    const streams = notificationStreams.get(userId);
+    if (!streams) return;
+    streams.delete(res);
+    if (!streams.size) notificationStreams.delete(userId);
+  });
+});
+
 app.get('/notifications', authMiddleware, async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit || '20'), 100);
@@ -652,6 +1150,7 @@ app.post('/notifications/mark-read', authMiddleware, async (req, res) => {
 
     const placeholders = ids.map((_, idx) => `$${idx+2}`).join(',');
     await pool.query(`UPDATE notifications SET is_read=true WHERE user_id=$1 AND id IN (${placeholders})`, [req.userId, ...ids]);
+    publishUnread(req.userId); // счётчик в других вкладках
 
     res.json({ ok: true });
   } catch (err) {
@@ -660,15 +1159,12 @@ app.post('/notifications/mark-read', authMiddleware, async (req, res) => {
   }
 });
 
-app.post('/notifications/add', async (req, res) => {
+app.post('/notifications/add', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
   try {
     const { user_id, title, message, type = null, data = null } = req.body;
     if (!user_id || !title) return res.status(400).json({ error: 'user_id and title required' });
 
-    await pool.query(
-      'INSERT INTO notifications (user_id, type, title, message, data) VALUES ($1,$2,$3,$4,$5)',
-      [user_id, type, title, message, data ? JSON.stringify(data) : null]
-    );
+    await notify(user_id, type, title, message, data);
     res.json({ ok: true });
   } catch (err) {
     console.error(err);
@@ -676,6 +1172,7201 @@ app.post('/notifications/add', async (req, res) => {
   }
 });
 
+async function notificationPreferences(userId) {
+  const { rows } = await pool.query('SELECT email, phone FROM users WHERE id=$1', [userId]);
+  const types = [];
+  for (const [type, def] of Object.entries(NOTIFICATION_TYPES)) {
+    types.push({ type, title: def.title, group: def.group, channels: await notificationChannels(pool, userId, type), locked: def.locked || [] });
+  }
+  return {
+    channels: NOTIFICATION_CHANNELS,
+    groups: NOTIFICATION_GROUPS,
+    types,
+    // без email/телефона в профиле канал включить можно, но доставлять некуда
+    contacts: { email: Boolean(rows[0] && rows[0].email), sms: Boolean(rows[0] && rows[0].phone) },
+  };
+}
+
+app.get('/notifications/preferences', authMiddleware, async (req, res) => {
+  try {
+    res.json(await notificationPreferences(req.userId));
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки настроек');
+  }
+});
+
+// { preferences: [{ type, channel, enabled }] } — меняются только перечисленные
+app.put('/notifications/preferences', authMiddleware, async (req, res) => {
+  try {
+    const list = req.body.preferences;
+    if (!Array.isArray(list) || !list.length) return res.status(400).json({ error: 'Укажите preferences' });
+    for (const p of list) {
+      const def = NOTIFICATION_TYPES[p.type];
+      if (!def || !NOTIFICATION_CHANNELS[p.channel]) return res.status(400).json({ error: 'Неизвестный тип или канал уведомлений' });
+      if ((def.locked || []).includes(p.channel)) return res.status(400).json({ error: `«${def.title}» нельзя отключить` });
+    }
+
+    await withTransaction(async db => {
+      for (const p of list) {
+        await db.query(
+          `INSERT INTO notification_preferences (user_id, type, channel, enabled, updated_at) VALUES ($1,$2,$3,$4,$5)
+           ON CONFLICT (user_id, type, channel) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = EXCLUDED.updated_at`,
+          [req.userId, p.type, p.channel, Boolean(p.enabled), new Date()]
+        );
+      }
+    });
+    res.json(await notificationPreferences(req.userId));
+  } catch (err) {
+    sendError(res, err, 'Ошибка сохранения настроек');
+  }
+});
+
+// Очередь email/SMS: ?status=pending|sent|failed
+app.get('/api/admin/notifications/outbox', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const status = ['pending', 'sent', 'failed'].includes(req.query.status) ? req.query.status : 'failed';
+    const { rows } = await pool.query(
+      `SELECT id, user_id, type, channel, recipient, subject, status, attempts, next_attempt_at, last_error, created_at, sent_at
+       FROM notification_outbox WHERE status=$1 ORDER BY id DESC LIMIT 100`,
+      [status]
+    );
+    res.json({ messages: rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки очереди');
+  }
+});
+
+app.post('/api/admin/notifications/outbox/:id/retry', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "UPDATE notification_outbox SET status='pending', attempts=0, next_attempt_at=$2 WHERE id=$1 AND status='failed' RETURNING id",
+      [Number(req.params.id) || 0, new Date()]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Сообщение не найдено или уже в очереди' });
+    setImmediate(() => processOutbox().catch(err => console.error('outbox err', err)));
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка повтора отправки');
+  }
+});
+
+// =======================
+// FLIGHTS
+// =======================
+
+// Схемы салонов по типам ВС: ряды каждого класса, раскладка кресел
+// ('ABC DEF' — пробел обозначает проход), ряды у аварийных выходов и заблокированные места
+const SEAT_MAPS = {
+  E170: {
+    cabins: [{ cabin: 'economy', rows: [1, 20], layout: 'AC DF' }],
+    exitRows: [10],
+    blocked: ['20C', '20D'],
+  },
+  A319: {
+    cabins: [{ cabin: 'economy', rows: [1, 24], layout: 'ABC DEF' }],
+    exitRows: [10],
+    blocked: [],
+  },
+  A320: {
+    cabins: [
+      { cabin: 'business', rows: [1, 2], layout: 'AC DF' },
+      { cabin: 'economy', rows: [3, 28], layout: 'ABC DEF' },
+    ],
+    exitRows: [12, 13],
+    blocked: [],
+  },
+  A20N: {
+    cabins: [
+      { cabin: 'business', rows: [1, 2], layout: 'AC DF' },
+      { cabin: 'economy', rows: [3, 28], layout: 'ABC DEF' },
+    ],
+    exitRows: [12, 13],
+    blocked: [],
+  },
+  A321: {
+    cabins: [
+      { cabin: 'business', rows: [1, 2], layout: 'AC DF' },
+      { cabin: 'economy', rows: [3, 39], layout: 'ABC DEF' },
+    ],
+    exitRows: [11, 25],
+    blocked: ['39C', '39D'],
+  },
+  B738: {
+    cabins: [
+      { cabin: 'business', rows: [1, 2], layout: 'AC DF' },
+      { cabin: 'economy', rows: [3, 30], layout: 'ABC DEF' },
+    ],
+    exitRows: [14, 15],
+    blocked: [],
+  },
+  B38M: {
+    cabins: [
+      { cabin: 'business', rows: [1, 2], layout: 'AC DF' },
+      { cabin: 'economy', rows: [3, 30], layout: 'ABC DEF' },
+    ],
+    exitRows: [14, 15],
+    blocked: [],
+  },
+  B77W: {
+    cabins: [
+      { cabin: 'business', rows: [1, 7], layout: 'A DG K' },
+      { cabin: 'comfort', rows: [10, 12], layout: 'AC DEFG HK' },
+      { cabin: 'economy', rows: [20, 55], layout: 'ABC DEFG HJK' },
+    ],
+    exitRows: [33, 45],
+    blocked: [],
+  },
+};
+
+function seatCapacity(type) {
+  const map = SEAT_MAPS[type];
+  const out = {};
+  for (const c of map.cabins) {
+    const perRow = c.layout.replace(/ /g, '').length;
+    const blocked = map.blocked.filter(s => {
+      const row = parseInt(s, 10);
+      return row >= c.rows[0] && row <= c.rows[1];
+    }).length;
+    out[c.cabin] = (c.rows[1] - c.rows[0] + 1) * perRow - blocked;
+  }
+  return out;
+}
+
+// Авиапарк (plane.html) — вместимость по классам считается по схеме салона
+const FLEET = {
+  E170: { name: 'Embraer E170', seats: seatCapacity('E170') },
+  A319: { name: 'Airbus A319', seats: seatCapacity('A319') },
+  A320: { name: 'Airbus A320', seats: seatCapacity('A320') },
+  A20N: { name: 'Airbus A320neo', seats: seatCapacity('A20N') },
+  A321: { name: 'Airbus A321', seats: seatCapacity('A321') },
+  B738: { name: 'Boeing 737-800', seats: seatCapacity('B738') },
+  B38M: { name: 'Boeing 737 MAX 8', seats: seatCapacity('B38M') },
+  B77W: { name: 'Boeing 777', seats: seatCapacity('B77W') },
+};
+
+const CABINS = { economy: 'Эконом', comfort: 'Комфорт', business: 'Бизнес' };
+
+// значения из селекта "Пассажиры" на index.html
+const CABIN_ALIASES = { econom: 'economy', economy: 'economy', comfort: 'comfort', business: 'business' };
+
+const FLIGHT_HORIZON_DAYS = Number(process.env.FLIGHT_HORIZON_DAYS || 60);
+const MAX_PASSENGERS = 9;
+
+const SEED_AIRPORTS = [
+  ['GSV', 'Савелий', 'Гагарин (Саратов)', 'Россия'],
+  ['ZIA', 'Москва', 'Жуковский', 'Россия'],
+  ['LED', 'Санкт-Петербург', 'Пулково', 'Россия'],
+  ['OVB', 'Новосибирск', 'Толмачёво', 'Россия'],
+  ['SVX', 'Екатеринбург', 'Кольцово', 'Россия'],
+  ['KZN', 'Казань', 'Казань', 'Россия'],
+  ['AER', 'Сочи', 'Сочи', 'Россия'],
+  ['KRR', 'Краснодар', 'Пашковский', 'Россия'],
+  ['GDZ', 'Геленджик', 'Геленджик', 'Россия'],
+  ['MMK', 'Мурманск', 'Мурманск', 'Россия'],
+  ['AAQ', 'Анапа', 'Витязево', 'Россия'],
+  ['UUS', 'Южно-Сахалинск', 'Хомутово', 'Россия'],
+  ['KJA', 'Красноярск', 'Емельяново', 'Россия'],
+  ['IKT', 'Иркутск', 'Иркутск', 'Россия'],
+  ['GOJ', 'Нижний Новгород', 'Стригино', 'Россия'],
+  ['PES', 'Петрозаводск', 'Бесовец', 'Россия'],
+  ['DLM', 'Мармарис', 'Даламан', 'Турция'],
+];
+
+// Направления из Савелий: [куда, вылеты, минут в пути, тип ВС, тарифы, дни]
+const SEED_ROUTES = [
+  ['ZIA', ['07:10', '13:40', '19:20'], 95, 'A320', { economy: 4900, business: 14900 }],
+  ['LED', ['08:30', '18:05'], 150, 'A321', { economy: 6900, business: 19900 }],
+  ['KRR', ['06:50', '12:15', '20:30'], 130, 'B738', { economy: 5900, business: 16900 }],
+  ['GDZ', ['10:20'], 140, 'A319', { economy: 6400 }],
+  ['MMK', ['07:45', '16:10'], 230, 'B738', { economy: 9900, business: 25900 }],
+  ['DLM', ['09:00'], 260, 'B38M', { economy: 14900, business: 39900 }, '1357'],
+  ['AAQ', ['11:30'], 125, 'E170', { economy: 5400 }],
+  ['UUS', ['22:40'], 540, 'B77W', { economy: 24900, comfort: 34900, business: 69900 }],
+  ['SVX', ['09:40', '17:55'], 120, 'A20N', { economy: 6200, business: 17900 }],
+  ['KJA', ['23:10'], 300, 'B738', { economy: 12900, business: 31900 }],
+  ['IKT', ['21:35'], 340, 'A321', { economy: 13900, business: 34900 }],
+  ['GOJ', ['14:05'], 90, 'E170', { economy: 4300 }],
+  ['PES', ['12:50'], 170, 'A319', { economy: 7400 }],
+  ['OVB', ['00:45'], 225, 'A320', { economy: 9400, business: 24900 }],
+  ['KZN', ['15:20'], 75, 'E170', { economy: 3900 }],
+  ['AER', ['08:05', '14:50'], 150, 'A20N', { economy: 6900, business: 18900 }],
+];
+const HUB = 'GSV';
+const TURNAROUND_MIN = 60;
+
+async function seedFlights() {
+  const a = await pool.query('SELECT COUNT(*) AS count FROM airports');
+  if (Number(a.rows[0].count) === 0) {
+    for (const [code, city, name, country] of SEED_AIRPORTS) {
+      await pool.query('INSERT INTO airports (code,city,name,country) VALUES ($1,$2,$3,$4)', [code, city, name, country]);
+    }
+  }
+
+  const f = await pool.query('SELECT COUNT(*) AS count FROM flights');
+  if (Number(f.rows[0].count) > 0) return;
+
+  let number = 101;
+  for (const [dest, times, duration, aircraft, fares, days = '1234567'] of SEED_ROUTES) {
+    for (const time of times) {
+      // обратный рейс вылетает после разворота в аэропорту назначения
+      const back = addMinutesToStamp('2000-01-01T' + time, duration + TURNAROUND_MIN).slice(11);
+      const legs = [
+        ['S7 ' + number, HUB, dest, time],
+        ['S7 ' + (number + 1), dest, HUB, back],
+      ];
+      for (const [flightNumber, origin, destination, departure] of legs) {
+        await pool.query(
+          `INSERT INTO flights (flight_number, origin, destination, departure_time, duration_min, aircraft, days_of_week, fare_economy, fare_comfort, fare_business)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+          [flightNumber, origin, destination, departure, duration, aircraft, days,
+            fares.economy || null, fares.comfort || null, fares.business || null]
+        );
+      }
+      number += 2;
+    }
+  }
+}
+
+// Раскладываем расписание на даты вперёд (идемпотентно — уже созданные даты пропускаются)
+async function ensureFlightInstances(daysAhead = FLIGHT_HORIZON_DAYS) {
+  const { rows: flights } = await pool.query('SELECT * FROM flights WHERE is_active=true');
+  if (!flights.length) return;
+
+  const today = localStamp().slice(0, 10);
+  const lastDay = addMinutesToStamp(today + 'T00:00', daysAhead * 1440).slice(0, 10);
+  const existing = await pool.query(
+    'SELECT flight_id, flight_date FROM flight_instances WHERE flight_date >= $1',
+    [today]
+  );
+  const have = new Set(existing.rows.map(r => r.flight_id + '|' + r.flight_date));
+
+  for (let day = today; day <= lastDay; day = addMinutesToStamp(day + 'T00:00', 1440).slice(0, 10)) {
+    const isoDow = String(new Date(day + 'T00:00:00Z').getUTCDay() || 7);
+
+    for (const f of flights) {
+      if (!String(f.days_of_week).includes(isoDow)) continue;
+      if (have.has(f.id + '|' + day)) continue;
+
+      const departure = day + 'T' + f.departure_time;
+      const ins = await pool.query(
+        `INSERT INTO flight_instances (flight_id, flight_number, origin, destination, flight_date, departure_at, arrival_at, aircraft,
+           scheduled_departure_at, scheduled_arrival_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$6,$7)
+         ON CONFLICT (flight_id, flight_date) DO NOTHING
+         RETURNING id`,
+        [f.id, f.flight_number, f.origin, f.destination, day, departure,
+          addMinutesToStamp(departure, f.duration_min), f.aircraft]
+      );
+      if (!ins.rows.length) continue;
+
+      const seats = (FLEET[f.aircraft] || {}).seats || {};
+      for (const cabin of Object.keys(seats)) {
+        const price = f['fare_' + cabin];
+        if (!price) continue;
+        await pool.query(
+          'INSERT INTO flight_inventory (flight_instance_id, cabin, capacity, price) VALUES ($1,$2,$3,$4)',
+          [ins.rows[0].id, cabin, seats[cabin], price]
+        );
+      }
+    }
+  }
+}
+
+setInterval(() => {
+  ensureFlightInstances().catch(err => console.error('flight schedule err', err));
+}, 6 * 60 * 60 * 1000);
+
+// "Москва (ZIA)", "Савелий, GSV", "LED", "Казань" -> строка из airports
+async function resolveAirport(query) {
+  const q = String(query || '').trim();
+  if (!q) return null;
+  const code = (q.match(/\b([A-Za-z]{3})\)?\s*$/) || [])[1];
+  if (code) {
+    const { rows } = await pool.query('SELECT * FROM airports WHERE code=$1', [code.toUpperCase()]);
+    if (rows.length) return rows[0];
+  }
+  const { rows } = await pool.query(
+    'SELECT * FROM airports WHERE LOWER(city)=LOWER($1) OR LOWER(name)=LOWER($1) ORDER BY code LIMIT 1',
+    [q.replace(/\s*\(.*\)\s*$/, '')]
+  );
+  return rows[0] || null;
+}
+
+// "2_econom" из селекта или отдельные adults / cabin
+function parsePassengers(query) {
+  let count = query.adults;
+  let cabin = query.cabin;
+  if (query.passengers) {
+    const [n, c] = String(query.passengers).split('_');
+    count = count || n;
+    cabin = cabin || c;
+  }
+  count = Math.floor(Number(count || 1));
+  cabin = CABIN_ALIASES[String(cabin || 'economy').toLowerCase()];
+  if (!cabin || !(count >= 1 && count <= MAX_PASSENGERS)) return null;
+  return { count, cabin };
+}
+
+function formatFlight(row, inventory, pax) {
+  const duration = Math.round((Date.parse(row.arrival_at + ':00Z') - Date.parse(row.departure_at + ':00Z')) / 60000);
+  const cabins = inventory.map(c => ({
+    cabin: c.cabin,
+    title: CABINS[c.cabin] || c.cabin,
+    available: Math.max(0, c.capacity - c.sold),
+    price: c.price,
+  }));
+  const requested = pax && cabins.find(c => c.cabin === pax.cabin);
+  return {
+    id: row.id,
+    flight_number: row.flight_number,
+    origin: row.origin,
+    destination: row.destination,
+    date: row.flight_date,
+    departure_at: row.departure_at,
+    arrival_at: row.arrival_at,
+    duration_min: duration,
+    aircraft: row.aircraft,
+    aircraft_name: (FLEET[row.aircraft] || {}).name || row.aircraft,
+    status: row.status,
+    cabins,
+    bookable: !!requested && requested.available >= pax.count,
+    total_price: requested ? requested.price * pax.count : null,
+  };
+}
+
+async function findFlights(origin, destination, date, pax) {
+  const { rows } = await pool.query(
+    `SELECT * FROM flight_instances
+     WHERE origin=$1 AND destination=$2 AND flight_date=$3 AND status<>'cancelled' AND departure_at > $4
+     ORDER BY departure_at`,
+    [origin, destination, date, localStamp()]
+  );
+  if (!rows.length) return [];
+
+  const ids = rows.map(r => r.id);
+  const inv = await pool.query(
+    `SELECT * FROM flight_inventory WHERE flight_instance_id IN (${ids.map((_, i) => '$' + (i + 1)).join(',')})`,
+    ids
+  );
+  return rows.map(r => formatFlight(r, inv.rows.filter(c => c.flight_instance_id === r.id), pax));
+}
+
+// Аэропорты для автодополнения формы поиска
+app.get('/api/airports', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const { rows } = await pool.query('SELECT code, city, name, country FROM airports ORDER BY city');
+    const list = q
+      ? rows.filter(a => a.city.toLowerCase().startsWith(q) || a.code.toLowerCase().startsWith(q) || (a.name || '').toLowerCase().startsWith(q))
+      : rows;
+    res.json({ airports: list });
+  } catch (err) {
+    console.error('airports err', err);
+    res.status(500).json({ error: 'Ошибка загрузки аэропортов' });
+  }
+});
+
+// Поиск рейсов: туда (date1) и, если указана date2, обратно
+app.get('/api/flights/search', async (req, res) => {
+  try {
+    const { from, to, date1, date2 } = req.query;
+
+    const origin = await resolveAirport(from);
+    const destination = await resolveAirport(to);
+    if (!origin || !destination)
+      return res.status(400).json({ error: 'Аэропорт не найден' });
+    if (origin.code === destination.code)
+      return res.status(400).json({ error: 'Пункты вылета и прилёта совпадают' });
+
+    if (!isValidDateString(date1))
+      return res.status(400).json({ error: 'Некорректная дата вылета' });
+    if (date2 && (!isValidDateString(date2) || date2 < date1))
+      return res.status(400).json({ error: 'Некорректная дата обратного вылета' });
+
+    const pax = parsePassengers(req.query);
+    if (!pax)
+      return res.status(400).json({ error: 'Некорректное количество пассажиров или класс' });
+
+    const outbound = await findFlights(origin.code, destination.code, date1, pax);
+    const inbound = date2 ? await findFlights(destination.code, origin.code, date2, pax) : null;
+
+    res.json({
+      from: origin,
+      to: destination,
+      date1,
+      date2: date2 || null,
+      passengers: pax.count,
+      cabin: pax.cabin,
+      outbound,
+      inbound,
+    });
+  } catch (err) {
+    console.error('flights search err', err);
+    res.status(500).json({ error: 'Ошибка поиска рейсов' });
+  }
+});
+
+app.get('/api/flights/:id', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM flight_instances WHERE id=$1', [Number(req.params.id)]);
+    if (!rows.length) return res.status(404).json({ error: 'Рейс не найден' });
+    const inv = await pool.query('SELECT * FROM flight_inventory WHERE flight_instance_id=$1', [rows[0].id]);
+    res.json(formatFlight(rows[0], inv.rows, null));
+  } catch (err) {
+    console.error('flight err', err);
+    res.status(500).json({ error: 'Ошибка загрузки рейса' });
+  }
+});
+
+// =======================
+// FLIGHT STATUS BOARD
+// =======================
+
+const BOARD_TYPES = {
+  departures: { side: 'origin', column: 'scheduled_departure_at' },
+  arrivals: { side: 'destination', column: 'scheduled_arrival_at' },
+};
+const FLIGHT_SUBSCRIBE_IP_HOURLY = 10;
+
+const FLIGHT_STATUSES = {
+  scheduled: 'По расписанию',
+  delayed: 'Задерживается',
+  boarding: 'Посадка',
+  departed: 'Вылетел',
+  arrived: 'Прибыл',
+  cancelled: 'Отменён',
+};
+
+// Куда диспетчер может перевести рейс; delayed ставится сам — при переносе departure_at
+const FLIGHT_STATUS_FLOW = {
+  scheduled: ['boarding', 'departed', 'cancelled'],
+  delayed: ['boarding', 'departed', 'cancelled'],
+  boarding: ['departed', 'cancelled'],
+  departed: ['arrived'],
+  arrived: [],
+  cancelled: [],
+};
+
+// Плановое / расчётное / фактическое время; расчётное — только если отличается от планового
+function formatBoardFlight(row) {
+  const times = (scheduled, current, actual) => ({
+    scheduled: scheduled || current,
+    estimated: scheduled && current !== scheduled ? current : null,
+    actual: actual || null,
+  });
+  const departure = times(row.scheduled_departure_at, row.departure_at, row.actual_departure_at);
+  return {
+    id: row.id,
+    flight_number: row.flight_number,
+    date: row.flight_date,
+    origin: row.origin,
+    origin_city: row.origin_city,
+    destination: row.destination,
+    destination_city: row.destination_city,
+    aircraft: row.aircraft,
+    aircraft_name: (FLEET[row.aircraft] || {}).name || row.aircraft,
+    departure,
+    arrival: times(row.scheduled_arrival_at, row.arrival_at, row.actual_arrival_at),
+    delay_min: Math.max(0, stampDiffMin(departure.scheduled, row.actual_departure_at || row.departure_at)),
+    gate: row.gate || null,
+    status: row.status,
+    status_title: FLIGHT_STATUSES[row.status] || row.status,
+  };
+}
+
+async function loadBoardFlights(where, params) {
+  const { rows } = await pool.query(
+    `SELECT f.*, o.city AS origin_city, d.city AS destination_city
+     FROM flight_instances f JOIN airports o ON o.code = f.origin JOIN airports d ON d.code = f.destination
+     WHERE ${where}`,
+    params
+  );
+  return rows;
+}
+
+// id рейсов из списка, на которые подписан пользователь (для кнопки «Следить» на табло)
+async function subscribedFlightIds(userId, flightIds) {
+  if (!userId || !flightIds.length) return new Set();
+  const { rows } = await pool.query(
+    `SELECT flight_instance_id FROM flight_subscriptions WHERE user_id=$1 AND flight_instance_id IN (${placeholders(flightIds, 1)})`,
+    [userId, ...flightIds]
+  );
+  return new Set(rows.map(r => r.flight_instance_id));
+}
+
+// «S7 101», «s7101» -> «S7 101»
+function normalizeFlightNumber(s) {
+  const m = /^([A-Z0-9]{2})\s*(\d{1,4})$/i.exec(String(s || '').trim());
+  return m ? `${m[1].toUpperCase()} ${m[2]}` : null;
+}
+
+// Табло аэропорта за сутки: ?airport=GSV&type=departures|arrivals&date=YYYY-MM-DD (по умолчанию — хаб и сегодня)
+app.get('/api/flight-board', optionalAuth, async (req, res) => {
+  try {
+    const type = req.query.type || 'departures';
+    if (!BOARD_TYPES[type]) return res.status(400).json({ error: 'type: departures или arrivals' });
+    const date = req.query.date || localStamp().slice(0, 10);
+    if (!isValidDateString(date)) return res.status(400).json({ error: 'Некорректная дата' });
+    const airport = await resolveAirport(req.query.airport || HUB);
+    if (!airport) return res.status(404).json({ error: 'Аэропорт не найден' });
+
+    const { side, column } = BOARD_TYPES[type];
+    const rows = await loadBoardFlights(
+      `f.${side}=$1 AND f.${column} >= $2 AND f.${column} < $3 ORDER BY f.${column}, f.flight_number`,
+      [airport.code, date + 'T00:00', addMinutesToStamp(date + 'T00:00', 1440)]
+    );
+    const subscribed = await subscribedFlightIds(req.userId, rows.map(r => r.id));
+    res.json({
+      airport: { code: airport.code, city: airport.city, name: airport.name },
+      type,
+      date,
+      updated_at: localStamp(),
+      flights: rows.map(r => ({ ...formatBoardFlight(r), subscribed: subscribed.has(r.id) })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки табло');
+  }
+});
+
+// Направления с частотой рейсов по расписанию — для «Рейсы из Савелий» и arrivel.html
+app.get('/api/directions', async (req, res) => {
+  try {
+    const airport = await resolveAirport(req.query.airport || HUB);
+    if (!airport) return res.status(404).json({ error: 'Аэропорт не найден' });
+    const { rows } = await pool.query(
+      `SELECT f.destination, f.days_of_week, a.city, a.country FROM flights f JOIN airports a ON a.code = f.destination
+       WHERE f.origin=$1 AND f.is_active=true ORDER BY a.city`,
+      [airport.code]
+    );
+    const byCode = new Map();
+    for (const r of rows) {
+      if (!byCode.has(r.destination)) byCode.set(r.destination, { code: r.destination, city: r.city, country: r.country, perDay: [0, 0, 0, 0, 0, 0, 0] });
+      for (const dow of String(r.days_of_week)) byCode.get(r.destination).perDay[Number(dow) - 1]++;
+    }
+    res.json({
+      airport: { code: airport.code, city: airport.city, name: airport.name },
+      directions: [...byCode.values()].map(({ perDay, ...d }) => ({
+        ...d,
+        flights_per_week: perDay.reduce((s, n) => s + n, 0),
+        days_per_week: perDay.filter(Boolean).length,
+        min_per_day: Math.min(...perDay.filter(Boolean)),
+        max_per_day: Math.max(...perDay),
+      })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки направлений');
+  }
+});
+
+// Статус рейса по номеру: ?number=S7 101&date=YYYY-MM-DD, с историей изменений
+app.get('/api/flight-status', optionalAuth, async (req, res) => {
+  try {
+    const number = normalizeFlightNumber(req.query.number);
+    if (!number) return res.status(400).json({ error: 'Укажите номер рейса, например S7 101' });
+    const date = req.query.date || localStamp().slice(0, 10);
+    if (!isValidDateString(date)) return res.status(400).json({ error: 'Некорректная дата' });
+
+    const rows = await loadBoardFlights('f.flight_number=$1 AND f.flight_date=$2', [number, date]);
+    if (!rows.length) return res.status(404).json({ error: `Рейс ${number} на ${date.split('-').reverse().join('.')} не найден` });
+    const { rows: events } = await pool.query(
+      'SELECT status, departure_at, arrival_at, gate, note, created_at FROM flight_status_events WHERE flight_instance_id=$1 ORDER BY id',
+      [rows[0].id]
+    );
+    const subscribed = await subscribedFlightIds(req.userId, [rows[0].id]);
+    res.json({
+      flight: { ...formatBoardFlight(rows[0]), subscribed: subscribed.has(rows[0].id) },
+      events: events.map(e => ({ ...e, status_title: FLIGHT_STATUSES[e.status] || e.status })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки статуса рейса');
+  }
+});
+
+// Подписка на задержки, отмену и смену выхода: из аккаунта или по email (без входа).
+// Пассажирам с билетом подписываться не нужно — они получают уведомления по брони
+app.post('/api/flights/:id/subscribe', optionalAuth, async (req, res) => {
+  try {
+    const email = req.userId ? null : String(req.body.email || '').trim().toLowerCase();
+    if (!req.userId && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Войдите в аккаунт или укажите email' });
+    }
+    const rows = await loadBoardFlights('f.id=$1', [Number(req.params.id) || 0]);
+    if (!rows.length) return res.status(404).json({ error: 'Рейс не найден' });
+    const flight = rows[0];
+    if (['departed', 'arrived', 'cancelled'].includes(flight.status)) {
+      return res.status(400).json({ error: `Рейс ${FLIGHT_STATUSES[flight.status].toLowerCase()} — подписка недоступна` });
+    }
+
+    if (!req.userId) {
+      const { rows: recent } = await pool.query(
+        'SELECT COUNT(*) AS count FROM flight_subscriptions WHERE ip=$1 AND created_at > $2',
+        [req.ip, new Date(Date.now() - 3600 * 1000)]
+      );
+      if (Number(recent[0].count) >= FLIGHT_SUBSCRIBE_IP_HOURLY) {
+        return res.status(429).json({ error: 'Слишком много подписок. Попробуйте через час.', retry_after: 3600 });
+      }
+    }
+
+    await withTransaction(async db => {
+      const { rows: created } = await db.query(
+        `INSERT INTO flight_subscriptions (flight_instance_id, user_id, email, ip, created_at)
+         VALUES ($1,$2,$3,$4,$5) ON CONFLICT DO NOTHING RETURNING *`,
+        [flight.id, req.userId || null, email, req.ip, new Date()]
+      );
+      // подписка по email подтверждается письмом со ссылкой для отписки
+      if (created.length && email) {
+        await enqueueEmail(db, email, 'flight_subscription', `Рейс ${flight.flight_number}: вы подписаны на уведомления`,
+          `${flight.origin_city} → ${flight.destination_city}, вылет ${formatStamp(flight.departure_at)}. ` +
+          `Сообщим о задержке, отмене и смене выхода на посадку.\n\nОтписаться: ${flightUnsubscribeUrl(created[0])}`);
+      }
+    });
+    res.json({ ok: true, subscribed: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка подписки на рейс');
+  }
+});
+
+app.delete('/api/flights/:id/subscribe', authMiddleware, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM flight_subscriptions WHERE flight_instance_id=$1 AND user_id=$2', [Number(req.params.id) || 0, req.userId]);
+    res.json({ ok: true, subscribed: false });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отписки от рейса');
+  }
+});
+
+// Свои подписки на рейсы, начиная со вчерашних
+app.get('/api/flight-subscriptions', authMiddleware, async (req, res) => {
+  try {
+    const rows = await loadBoardFlights(
+      `f.id IN (SELECT flight_instance_id FROM flight_subscriptions WHERE user_id=$1) AND f.flight_date >= $2 ORDER BY f.departure_at`,
+      [req.userId, addMinutesToStamp(localStamp(), -1440).slice(0, 10)]
+    );
+    res.json({ flights: rows.map(r => ({ ...formatBoardFlight(r), subscribed: true })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки подписок');
+  }
+});
+
+// Ссылка из письма: отписка без Authorization
+app.get('/api/flight-subscriptions/:id/unsubscribe', async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+    } catch (e) {
+      return res.status(401).json({ error: 'Ссылка недействительна' });
+    }
+    if (payload.fsub !== Number(req.params.id)) return res.status(401).json({ error: 'Ссылка недействительна' });
+    const { rows } = await pool.query(
+      `SELECT f.flight_number FROM flight_subscriptions s JOIN flight_instances f ON f.id = s.flight_instance_id WHERE s.id=$1`,
+      [payload.fsub]
+    );
+    await pool.query('DELETE FROM flight_subscriptions WHERE id=$1', [payload.fsub]);
+    res.type('html').send(`<!doctype html><html lang="ru"><head><meta charset="utf-8"><title>S7avelii Airlines</title></head>
+<body style="font-family:Arial,sans-serif;padding:40px"><p>${rows.length
+      ? `Вы отписались от уведомлений по рейсу ${escapeHtml(rows[0].flight_number)}.`
+      : 'Подписка уже отменена.'}</p><p><a href="${PUBLIC_URL}/arrivel.html">Табло рейсов</a></p></body></html>`);
+  } catch (err) {
+    sendError(res, err, 'Ошибка отписки от рейса');
+  }
+});
+
+// Операционные изменения рейса (диспетчер): задержка, выход на посадку, посадка, вылет, прилёт, отмена.
+// { status?, departure_at?, arrival_at?, gate?, actual_departure_at?, actual_arrival_at?, note? }
+// departure_at/arrival_at — расчётное время: при задержке прилёт сдвигается вместе с вылетом,
+// плановое остаётся в scheduled_*; фактическое проставляется со статусом departed / arrived (по умолчанию — сейчас)
+app.patch('/api/admin/flights/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, departure_at, arrival_at, gate, actual_departure_at, actual_arrival_at } = req.body;
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 500) : null;
+    const stampRe = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+    if (status !== undefined && !['boarding', 'departed', 'arrived', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Статус: boarding, departed, arrived или cancelled; для задержки укажите departure_at' });
+    }
+    if ([departure_at, arrival_at, actual_departure_at, actual_arrival_at].some(v => v !== undefined && !stampRe.test(v))) {
+      return res.status(400).json({ error: 'Время — в формате YYYY-MM-DDTHH:MM' });
+    }
+    if (actual_departure_at !== undefined && status !== 'departed') return res.status(400).json({ error: 'Фактическое время вылета указывается со статусом departed' });
+    if (actual_arrival_at !== undefined && status !== 'arrived') return res.status(400).json({ error: 'Фактическое время прилёта указывается со статусом arrived' });
+    if (gate !== undefined && !/^[A-Z]?\d{1,3}$/.test(String(gate))) return res.status(400).json({ error: 'Некорректный выход' });
+
+    const result = await withTransaction(async db => {
+      const { rows } = await db.query('SELECT * FROM flight_instances WHERE id=$1', [Number(req.params.id) || 0]);
+      if (!rows.length) throw httpError(404, 'Рейс не найден');
+      const f = rows[0];
+      if (f.status === 'cancelled') throw httpError(400, 'Рейс уже отменён');
+      if (f.status === 'arrived') throw httpError(400, 'Рейс уже прибыл');
+      const inAir = ['departed', 'arrived'].includes(f.status);
+
+      const events = [];
+      const next = { ...f };
+      if (status === 'cancelled') {
+        if (inAir) throw httpError(400, 'Рейс уже вылетел');
+        next.status = 'cancelled';
+        events.push('flight_cancelled');
+      } else {
+        if (departure_at !== undefined && departure_at !== f.departure_at) {
+          if (inAir) throw httpError(400, 'Рейс уже вылетел');
+          if (departure_at < f.departure_at) throw httpError(400, 'Вылет можно только перенести на более позднее время');
+          next.departure_at = departure_at;
+          next.arrival_at = arrival_at || addMinutesToStamp(f.arrival_at, stampDiffMin(f.departure_at, departure_at));
+          next.status = 'delayed';
+          events.push('flight_delayed');
+        } else if (arrival_at !== undefined) {
+          next.arrival_at = arrival_at;
+        }
+        if (gate !== undefined && String(gate) !== f.gate) {
+          if (inAir) throw httpError(400, 'Рейс уже вылетел');
+          next.gate = String(gate);
+          events.push('flight_gate');
+        }
+        if (status !== undefined && status !== f.status) {
+          if (!FLIGHT_STATUS_FLOW[f.status].includes(status)) {
+            throw httpError(400, `Из статуса «${FLIGHT_STATUSES[f.status]}» нельзя перейти в «${FLIGHT_STATUSES[status]}»`);
+          }
+          next.status = status;
+          if (status === 'departed') {
+            next.actual_departure_at = actual_departure_at || localStamp();
+            // расчётный прилёт — от фактического вылета с тем же временем в пути
+            next.arrival_at = addMinutesToStamp(next.actual_departure_at, stampDiffMin(next.departure_at, next.arrival_at));
+          }
+          if (status === 'arrived') {
+            next.actual_arrival_at = actual_arrival_at || localStamp();
+            if (next.actual_arrival_at <= next.actual_departure_at) throw httpError(400, 'Прилёт должен быть позже вылета');
+          }
+        }
+      }
+      if (next.arrival_at <= next.departure_at) throw httpError(400, 'Прилёт должен быть позже вылета');
+
+      await db.query(
+        `UPDATE flight_instances SET status=$2, departure_at=$3, arrival_at=$4, gate=$5, actual_departure_at=$6, actual_arrival_at=$7
+         WHERE id=$1`,
+        [f.id, next.status, next.departure_at, next.arrival_at, next.gate, next.actual_departure_at, next.actual_arrival_at]
+      );
+      await db.query(
+        `INSERT INTO flight_status_events (flight_instance_id, status, departure_at, arrival_at, gate, note, actor_id, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+        [f.id, next.status, next.actual_departure_at || next.departure_at, next.actual_arrival_at || next.arrival_at, next.gate, note, req.userId, new Date()]
+      );
+      await audit(db, req.userId, 'flight_update', null, { flight_instance_id: f.id, flight_number: f.flight_number, status: next.status, events });
+
+      const notified = await notifyFlightEvents(db, f, next, events);
+      return { flight: next, events, notified };
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения рейса');
+  }
+});
+
+// =======================
+// BOOKINGS (PNR)
+// =======================
+
+const BOOKING_HOLD_MIN = Number(process.env.BOOKING_HOLD_MIN || 20);
+const BOOKING_CUTOFF_MIN = 60; // продажа закрывается за час до вылета
+const PNR_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // без O/0 и I/1
+const TICKET_PREFIX = '421';
+
+// Доля возврата от стоимости: early — больше REFUND_EARLY_HOURS до вылета, late — меньше
+const REFUND_RULES = {
+  economy: { early: 0.75, late: 0 },
+  comfort: { early: 0.9, late: 0.5 },
+  business: { early: 1, late: 0.75 },
+};
+const REFUND_EARLY_HOURS = 24;
+
+function randomCode(alphabet, length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += alphabet[crypto.randomInt(alphabet.length)];
+  return out;
+}
+
+async function generatePnr(db) {
+  for (;;) {
+    const pnr = randomCode(PNR_ALPHABET, 6);
+    const { rows } = await db.query('SELECT 1 FROM bookings WHERE pnr=$1', [pnr]);
+    if (!rows.length) return pnr;
+  }
+}
+
+async function generateTicketNumber(db) {
+  for (;;) {
+    const number = TICKET_PREFIX + randomCode('0123456789', 10);
+    const { rows } = await db.query('SELECT 1 FROM tickets WHERE ticket_number=$1', [number]);
+    if (!rows.length) return number;
+  }
+}
+
+// Атомарно списывает места из остатка; null — мест не хватило
+async function reserveSeats(db, flightInstanceId, cabin, count) {
+  const { rows } = await db.query(
+    `UPDATE flight_inventory SET sold = sold + $3
+     WHERE flight_instance_id=$1 AND cabin=$2 AND capacity - sold >= $3
+     RETURNING price`,
+    [flightInstanceId, cabin, count]
+  );
+  return rows[0] || null;
+}
+
+async function releaseBookingSeats(db, bookingId) {
+  await db.query('DELETE FROM checkins WHERE booking_id=$1', [bookingId]);
+  await db.query('DELETE FROM seat_assignments WHERE booking_id=$1', [bookingId]);
+  const { rows } = await db.query(
+    `SELECT s.flight_instance_id, s.cabin, COUNT(DISTINCT p.id) AS pax
+     FROM booking_segments s JOIN booking_passengers p ON p.booking_id = s.booking_id
+     WHERE s.booking_id=$1
+     GROUP BY s.flight_instance_id, s.cabin`,
+    [bookingId]
+  );
+  for (const s of rows) {
+    await db.query(
+      `UPDATE flight_inventory SET sold = CASE WHEN sold > $3 THEN sold - $3 ELSE 0 END
+       WHERE flight_instance_id=$1 AND cabin=$2`,
+      [s.flight_instance_id, s.cabin, Number(s.pax)]
+    );
+  }
+}
+
+async function loadBooking(db, pnr) {
+  const { rows } = await db.query('SELECT * FROM bookings WHERE pnr=$1', [String(pnr || '').toUpperCase()]);
+  if (!rows.length) return null;
+  const booking = rows[0];
+
+  const segments = await db.query(
+    `SELECT s.id, s.seq, s.cabin, s.price, s.flight_instance_id,
+            f.flight_number, f.origin, f.destination, f.departure_at, f.arrival_at, f.aircraft, f.status AS flight_status
+     FROM booking_segments s JOIN flight_instances f ON f.id = s.flight_instance_id
+     WHERE s.booking_id=$1 ORDER BY s.seq`,
+    [booking.id]
+  );
+  const passengers = await db.query('SELECT * FROM booking_passengers WHERE booking_id=$1 ORDER BY id', [booking.id]);
+  const tickets = await db.query('SELECT * FROM tickets WHERE booking_id=$1 ORDER BY id', [booking.id]);
+  const seats = await db.query(
+    "SELECT * FROM seat_assignments WHERE booking_id=$1 AND (status='confirmed' OR held_until > $2)",
+    [booking.id, new Date()]
+  );
+
+  const redemption = await db.query(
+    "SELECT miles, value_rub, cash_amount FROM miles_redemptions WHERE target_type='booking' AND target_id=$1 AND status='active'",
+    [booking.id]
+  );
+
+  booking.segments = segments.rows;
+  booking.miles_redemption = redemption.rows[0] || null;
+  booking.passengers = passengers.rows.map(p => ({
+    ...p,
+    ticket: tickets.rows.find(t => t.passenger_id === p.id) || null,
+    seats: seats.rows.filter(s => s.passenger_id === p.id),
+  }));
+  return booking;
+}
+
+function refundQuote(booking) {
+  if (booking.status === 'held') return { refundable: true, amount: 0, penalty: 0 };
+  if (booking.status !== 'ticketed') return { refundable: false, amount: 0, penalty: 0 };
+
+  // мили возвращаются полностью, штраф удерживается из оплаченной деньгами части
+  const paid = booking.total_amount - (booking.miles_redemption ? booking.miles_redemption.value_rub : 0);
+  // рейс отменила авиакомпания — возврат полный, без правил тарифа и в любой момент
+  if (booking.segments.some(s => s.flight_status === 'cancelled')) {
+    return { refundable: true, amount: paid, penalty: 0, flight_cancelled: true };
+  }
+
+  const first = booking.segments[0];
+  const now = localStamp();
+  if (!first || first.departure_at <= now) return { refundable: false, amount: 0, penalty: 0 };
+
+  const hoursLeft = (Date.parse(first.departure_at + ':00Z') - Date.parse(now + ':00Z')) / 3600000;
+  const rule = REFUND_RULES[booking.cabin] || REFUND_RULES.economy;
+  const share = hoursLeft >= REFUND_EARLY_HOURS ? rule.early : rule.late;
+  const amount = Math.round(paid * share);
+  return { refundable: true, amount, penalty: paid - amount };
+}
+
+function formatBooking(booking) {
+  const cashDue = booking.miles_redemption ? booking.miles_redemption.cash_amount : booking.total_amount;
+  return { ...booking, cash_due: cashDue, refund_quote: refundQuote(booking) };
+}
+
+function routeTitle(booking) {
+  const s = booking.segments;
+  return s.length ? `${s[0].origin} → ${s[0].destination}${s.length > 1 ? ' → ' + s[s.length - 1].destination : ''}` : '';
+}
+
+// Просроченные брони возвращают места в продажу
+async function expireHolds() {
+  const { rows } = await pool.query(
+    "SELECT id, pnr, user_id FROM bookings WHERE status='held' AND hold_expires_at < $1",
+    [new Date()]
+  );
+  for (const b of rows) {
+    const expired = await withTransaction(async db => {
+      const upd = await db.query("UPDATE bookings SET status='expired' WHERE id=$1 AND status='held' RETURNING id", [b.id]);
+      if (!upd.rows.length) return false; // успели выкупить или отменить
+      await releaseBookingSeats(db, b.id);
+      await cancelOpenPayments(db, 'booking', b.id);
+      await reverseRedemption(db, 'booking', b.id, `Возврат миль: бронь ${b.pnr} аннулирована`);
+      return true;
+    });
+    if (expired && b.user_id) {
+      await notify(b.user_id, 'booking_expired', `Бронь ${b.pnr} аннулирована`,
+        'Время на оплату истекло, места вернулись в продажу.', { pnr: b.pnr });
+    }
+  }
+}
+
+setInterval(() => {
+  expireHolds().catch(err => console.error('expire holds err', err));
+}, 60 * 1000);
+
+function validatePassenger(p) {
+  if (!p || typeof p !== 'object') return false;
+  const first = String(p.first_name || '').trim();
+  const last = String(p.last_name || '').trim();
+  if (!first || !last) return false;
+  if (p.birth_date && !isValidDateString(p.birth_date)) return false;
+  return true;
+}
+
+// Создание брони: места держим BOOKING_HOLD_MIN минут до выписки билетов
+app.post('/api/bookings', authMiddleware, async (req, res) => {
+  try {
+    const { flights, passengers, contact_phone, contact_email } = req.body;
+    const cabin = CABIN_ALIASES[String(req.body.cabin || 'economy').toLowerCase()];
+
+    if (!Array.isArray(flights) || !flights.length || flights.length > 2)
+      return res.status(400).json({ error: 'Укажите рейс туда и, при необходимости, обратно' });
+    if (!cabin)
+      return res.status(400).json({ error: 'Некорректный класс обслуживания' });
+    if (!Array.isArray(passengers) || !passengers.length || passengers.length > MAX_PASSENGERS)
+      return res.status(400).json({ error: `От 1 до ${MAX_PASSENGERS} пассажиров` });
+    if (!passengers.every(validatePassenger))
+      return res.status(400).json({ error: 'Укажите имя и фамилию каждого пассажира' });
+
+    const booking = await withTransaction(async db => {
+      const segments = [];
+      for (const id of flights) {
+        const { rows } = await db.query('SELECT * FROM flight_instances WHERE id=$1', [Number(id)]);
+        if (!rows.length) throw httpError(404, 'Рейс не найден');
+        segments.push(rows[0]);
+      }
+
+      const cutoff = addMinutesToStamp(localStamp(), BOOKING_CUTOFF_MIN);
+      for (let i = 0; i < segments.length; i++) {
+        const f = segments[i];
+        if (f.status === 'cancelled') throw httpError(400, `Рейс ${f.flight_number} отменён`);
+        if (f.departure_at <= cutoff) throw httpError(400, `Продажа на рейс ${f.flight_number} закрыта`);
+        if (i > 0 && f.origin !== segments[i - 1].destination)
+          throw httpError(400, 'Обратный рейс должен вылетать из пункта прилёта');
+        if (i > 0 && f.departure_at <= segments[i - 1].arrival_at)
+          throw httpError(400, 'Обратный рейс должен вылетать после прилёта');
+      }
+
+      let total = 0;
+      const prices = [];
+      for (const f of segments) {
+        const inv = await reserveSeats(db, f.id, cabin, passengers.length);
+        if (!inv) throw httpError(409, `На рейс ${f.flight_number} не осталось мест в классе ${CABINS[cabin]}`);
+        prices.push(inv.price);
+        total += inv.price * passengers.length;
+      }
+
+      const pnr = await generatePnr(db);
+      const holdUntil = new Date(Date.now() + BOOKING_HOLD_MIN * 60000);
+      const b = await db.query(
+        `INSERT INTO bookings (pnr, user_id, cabin, total_amount, contact_phone, contact_email, hold_expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+        [pnr, req.userId, cabin, total, contact_phone || null, contact_email || null, holdUntil]
+      );
+      const bookingId = b.rows[0].id;
+
+      for (let i = 0; i < segments.length; i++) {
+        await db.query(
+          'INSERT INTO booking_segments (booking_id, flight_instance_id, seq, cabin, price) VALUES ($1,$2,$3,$4,$5)',
+          [bookingId, segments[i].id, i + 1, cabin, prices[i]]
+        );
+      }
+      for (const p of passengers) {
+        await db.query(
+          `INSERT INTO booking_passengers (booking_id, first_name, last_name, birth_date, gender, document_number)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [bookingId, String(p.first_name).trim(), String(p.last_name).trim(), p.birth_date || null, p.gender || null, p.document_number || null]
+        );
+      }
+
+      return loadBooking(db, pnr);
+    });
+
+    res.json({ ok: true, booking: formatBooking(booking) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка бронирования');
+  }
+});
+
+// Мои бронирования
+app.get('/api/bookings', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT pnr FROM bookings WHERE user_id=$1 ORDER BY created_at DESC', [req.userId]);
+    const bookings = [];
+    for (const r of rows) bookings.push(formatBooking(await loadBooking(pool, r.pnr)));
+    res.json({ bookings });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки бронирований');
+  }
+});
+
+app.get('/api/bookings/:pnr', authMiddleware, async (req, res) => {
+  try {
+    const booking = await loadBooking(pool, req.params.pnr);
+    if (!booking || booking.user_id !== req.userId)
+      return res.status(404).json({ error: 'Бронирование не найдено' });
+    res.json(formatBooking(booking));
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки бронирования');
+  }
+});
+
+// Выписка билетов по удерживаемой брони: сразу из /ticket, если доплачивать нечего, или после оплаты картой
+async function issueTickets(db, current) {
+  const upd = await db.query(
+    `UPDATE bookings SET status='ticketed', ticketed_at=NOW(), hold_expires_at=NULL
+     WHERE id=$1 AND status='held' AND hold_expires_at > $2 RETURNING id`,
+    [current.id, new Date()]
+  );
+  if (!upd.rows.length) {
+    if (current.status === 'ticketed') throw httpError(400, 'Билеты уже оформлены');
+    throw httpError(400, 'Время брони истекло, выполните поиск заново');
+  }
+
+  for (const p of current.passengers) {
+    await db.query(
+      'INSERT INTO tickets (booking_id, passenger_id, ticket_number) VALUES ($1,$2,$3)',
+      [current.id, p.id, await generateTicketNumber(db)]
+    );
+  }
+  // бесплатные места подтверждаются вместе с билетами, платные ждут оплаты
+  await db.query(
+    "UPDATE seat_assignments SET status='confirmed', held_until=NULL WHERE booking_id=$1 AND status='held' AND price=0",
+    [current.id]
+  );
+  await db.query(
+    "UPDATE seat_assignments SET held_until=$2 WHERE booking_id=$1 AND status='held'",
+    [current.id, new Date(Date.now() + SEAT_HOLD_MIN * 60000)]
+  );
+  const booking = await loadBooking(db, current.pnr);
+  if (booking.user_id) {
+    await notify(booking.user_id, 'booking_ticketed', `Билеты по брони ${booking.pnr} оформлены`,
+      `${routeTitle(booking)}, пассажиров: ${booking.passengers.length}. Приятного полёта!`, { pnr: booking.pnr }, db);
+  }
+  return booking;
+}
+
+app.post('/api/bookings/:pnr/ticket', authMiddleware, async (req, res) => {
+  try {
+    const booking = await withTransaction(async db => {
+      let current = await loadBooking(db, req.params.pnr);
+      if (!current || current.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+
+      // "Оплатить милями": часть суммы списывается с бонусного счёта в той же транзакции
+      const miles = Math.floor(Number(req.body.miles) || 0);
+      if (miles > 0 && !current.miles_redemption) {
+        await redeemMiles(db, req.userId, 'booking', current.pnr, miles, { family: Boolean(req.body.miles_from_family) });
+        current = await loadBooking(db, current.pnr);
+      }
+      // остаток деньгами оплачивается через /api/payments, билеты выписываются после списания
+      const due = formatBooking(current).cash_due;
+      if (current.status === 'held' && due > 0) throw httpError(402, `К оплате ${due} ₽: оплатите бронь картой`);
+      return issueTickets(db, current);
+    });
+    res.json({ ok: true, booking: formatBooking(booking) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка оформления билетов');
+  }
+});
+
+// Отмена: до выписки — бесплатно, после — по правилам тарифа (REFUND_RULES), при отмене рейса — полный возврат
+app.post('/api/bookings/:pnr/cancel', authMiddleware, async (req, res) => {
+  try {
+    const booking = await withTransaction(async db => {
+      const current = await loadBooking(db, req.params.pnr);
+      if (!current || current.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+
+      const quote = refundQuote(current);
+      if (!quote.refundable) throw httpError(400, 'Бронирование нельзя отменить');
+
+      const upd = await db.query(
+        `UPDATE bookings SET status='cancelled', cancelled_at=NOW(), refund_amount=$2, hold_expires_at=NULL
+         WHERE id=$1 AND status=$3 RETURNING id`,
+        [current.id, quote.amount, current.status]
+      );
+      if (!upd.rows.length) throw httpError(409, 'Статус бронирования изменился, обновите страницу');
+
+      await db.query("UPDATE tickets SET status='refunded' WHERE booking_id=$1 AND status='issued'", [current.id]);
+      await releaseBookingSeats(db, current.id);
+      await cancelOpenPayments(db, 'booking', current.id);
+      await refundTargetPayments(db, 'booking', current.id, quote.amount, `Отмена брони ${current.pnr}`);
+      // оплаченный выбор мест не использован — возвращается целиком
+      await cancelOpenPayments(db, 'seat_assignment', current.id);
+      await refundTargetPayments(db, 'seat_assignment', current.id, null, `Места по брони ${current.pnr}`);
+      await cancelMealOrders(db, current.id, `отмена брони ${current.pnr}`);
+      await cancelLoungeReservations(db, current.id, `отмена брони ${current.pnr}`);
+      const reversed = await reverseRedemption(db, 'booking', current.id, `Возврат миль: отмена брони ${current.pnr}`);
+      const result = await loadBooking(db, current.pnr);
+      result.miles_refunded = reversed ? reversed.miles : 0;
+      return result;
+    });
+
+    const refundParts = [];
+    if (booking.refund_amount) refundParts.push(`${booking.refund_amount} ₽`);
+    if (booking.miles_refunded) refundParts.push(`${booking.miles_refunded} миль`);
+    await notify(req.userId, 'booking_cancelled', `Бронь ${booking.pnr} отменена`,
+      refundParts.length ? `К возврату ${refundParts.join(' и ')}.` : 'Бронирование отменено.', { pnr: booking.pnr });
+
+    res.json({ ok: true, booking: formatBooking(booking) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены бронирования');
+  }
+});
+
+// =======================
+// SEATS
+// =======================
+
+// Платный выбор места — только в экономе; в комфорте и бизнесе бесплатно
+const SEAT_PRICES = { standard: 390, preferred: 690, extra_legroom: 1290 };
+const PREFERRED_ROWS = 5; // первые ряды эконома после переборки
+const SEAT_HOLD_MIN = 15;
+
+// Какие места бесплатны по уровню карты: true — любые, массив — перечисленные типы
+const SEAT_TIER_FREE = {
+  Master: ['standard'],
+  Pro: ['standard', 'preferred'],
+  'Flight-master': true,
+  VIP: true,
+};
+
+function buildSeatMap(type) {
+  const map = SEAT_MAPS[type];
+  if (!map) return null;
+  const rows = [];
+  for (const c of map.cabins) {
+    const groups = c.layout.split(' ');
+    for (let row = c.rows[0]; row <= c.rows[1]; row++) {
+      const exit = map.exitRows.includes(row);
+      let kind = 'standard';
+      if (c.cabin === 'economy') {
+        if (exit || row === c.rows[0]) kind = 'extra_legroom';
+        else if (row < c.rows[0] + 1 + PREFERRED_ROWS) kind = 'preferred';
+      }
+      const seats = [];
+      groups.forEach((group, gi) => {
+        [...group].forEach((letter, li) => {
+          const seat = row + letter;
+          seats.push({
+            seat,
+            window: (gi === 0 && li === 0) || (gi === groups.length - 1 && li === group.length - 1),
+            aisle: (li === group.length - 1 && gi < groups.length - 1) || (li === 0 && gi > 0),
+            blocked: map.blocked.includes(seat),
+          });
+        });
+      });
+      rows.push({ row, cabin: c.cabin, exit, kind, seats });
+    }
+  }
+  return { aircraft: type, name: FLEET[type].name, cabins: map.cabins.map(c => c.cabin), rows };
+}
+
+function findSeat(seatMap, seat) {
+  const row = seatMap.rows.find(r => r.row === parseInt(seat, 10));
+  if (!row) return null;
+  const s = row.seats.find(x => x.seat === seat);
+  return s ? { ...s, row } : null;
+}
+
+function seatPrice(row, cardType) {
+  if (row.cabin !== 'economy') return 0;
+  const free = SEAT_TIER_FREE[cardType];
+  if (free === true || (Array.isArray(free) && free.includes(row.kind))) return 0;
+  return SEAT_PRICES[row.kind];
+}
+
+function ageAt(birthDate, stamp) {
+  if (!birthDate) return null;
+  const [by, bm, bd] = birthDate.split('-').map(Number);
+  const [y, m, d] = stamp.slice(0, 10).split('-').map(Number);
+  return y - by - ((m < bm || (m === bm && d < bd)) ? 1 : 0);
+}
+
+// Удалить удержания мест, которые не подтвердили вовремя
+async function expireSeatHolds() {
+  await pool.query("DELETE FROM seat_assignments WHERE status='held' AND held_until < $1", [new Date()]);
+}
+
+setInterval(() => {
+  expireSeatHolds().catch(err => console.error('expire seats err', err));
+}, 60 * 1000);
+
+app.get('/api/seatmaps/:aircraft', (req, res) => {
+  const map = buildSeatMap(String(req.params.aircraft).toUpperCase());
+  if (!map) return res.status(404).json({ error: 'Схема салона не найдена' });
+  res.json(map);
+});
+
+// Схема салона на рейс: занятость и цена выбора места для текущего пользователя
+app.get('/api/flights/:id/seatmap', optionalAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM flight_instances WHERE id=$1', [Number(req.params.id)]);
+    if (!rows.length) return res.status(404).json({ error: 'Рейс не найден' });
+    const map = buildSeatMap(rows[0].aircraft);
+
+    const taken = await pool.query(
+      "SELECT seat FROM seat_assignments WHERE flight_instance_id=$1 AND (status='confirmed' OR held_until > $2)",
+      [rows[0].id, new Date()]
+    );
+    const occupied = new Set(taken.rows.map(r => r.seat));
+
+    const user = req.userId ? await getUserById(req.userId) : null;
+    const cardType = user ? user.card_type : null;
+
+    for (const row of map.rows) {
+      row.price = seatPrice(row, cardType);
+      for (const s of row.seats) s.available = !s.blocked && !occupied.has(s.seat);
+    }
+    res.json({ flight_id: rows[0].id, flight_number: rows[0].flight_number, ...map });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки схемы салона');
+  }
+});
+
+// Снимает место пассажира на сегменте — перед заменой или по отмене выбора. После регистрации место
+// уже в талоне (checkins.seat, BCBP), поэтому не меняется; оплаченное подтверждённое место возвращаем на карту
+async function releaseSeat(db, booking, flightId, passengerId) {
+  const checkin = await db.query('SELECT id FROM checkins WHERE flight_instance_id=$1 AND passenger_id=$2', [flightId, passengerId]);
+  if (checkin.rows.length) throw httpError(409, 'Пассажир уже зарегистрирован на рейс — место не изменить');
+
+  const { rows } = await db.query(
+    'DELETE FROM seat_assignments WHERE booking_id=$1 AND flight_instance_id=$2 AND passenger_id=$3 RETURNING *',
+    [booking.id, flightId, passengerId]
+  );
+  for (const r of rows) {
+    if (r.status === 'confirmed' && r.price > 0) {
+      await refundTargetPayments(db, 'seat_assignment', booking.id, r.price, `Место ${r.seat}, бронь ${booking.pnr}`);
+    }
+  }
+}
+
+// Выбор места пассажиру на сегменте брони (повторный выбор заменяет прежнее место)
+app.post('/api/bookings/:pnr/seats', authMiddleware, async (req, res) => {
+  try {
+    const flightId = Number(req.body.flight_instance_id);
+    const passengerId = Number(req.body.passenger_id);
+    const seat = String(req.body.seat || '').toUpperCase().trim();
+
+    const assignment = await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (!['held', 'ticketed'].includes(booking.status)) throw httpError(400, 'Выбор мест недоступен');
+
+      const segment = booking.segments.find(s => s.flight_instance_id === flightId);
+      const passenger = booking.passengers.find(p => p.id === passengerId);
+      if (!segment || !passenger) throw httpError(400, 'Рейс или пассажир не относятся к брони');
+      if (segment.departure_at <= localStamp()) throw httpError(400, 'Рейс уже выполнен');
+
+      const found = findSeat(buildSeatMap(segment.aircraft), seat);
+      if (!found || found.blocked) throw httpError(400, 'Такого места нет');
+      if (found.row.cabin !== segment.cabin) throw httpError(400, 'Место в другом классе обслуживания');
+      if (found.row.exit) {
+        const age = ageAt(passenger.birth_date, segment.departure_at);
+        if (age === null || age < 18)
+          throw httpError(400, 'Места у аварийного выхода — только для взрослых пассажиров с указанной датой рождения');
+      }
+
+      const user = await getUserById(req.userId, db);
+      const price = seatPrice(found.row, user && user.card_type);
+
+      // бесплатное место в выписанной брони подтверждаем сразу, остальное держим
+      let status = 'held';
+      let heldUntil = new Date(Date.now() + SEAT_HOLD_MIN * 60000);
+      if (booking.status === 'held') heldUntil = booking.hold_expires_at;
+      else if (price === 0) { status = 'confirmed'; heldUntil = null; }
+
+      await db.query("DELETE FROM seat_assignments WHERE flight_instance_id=$1 AND seat=$2 AND status='held' AND held_until < $3",
+        [flightId, seat, new Date()]);
+      await releaseSeat(db, booking, flightId, passengerId);
+
+      const taken = await db.query('SELECT 1 FROM seat_assignments WHERE flight_instance_id=$1 AND seat=$2', [flightId, seat]);
+      if (taken.rows.length) throw httpError(409, 'Место уже занято');
+
+      const { rows } = await db.query(
+        `INSERT INTO seat_assignments (flight_instance_id, seat, booking_id, passenger_id, status, price, held_until)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+        [flightId, seat, booking.id, passengerId, status, price, heldUntil]
+      );
+      return rows[0];
+    });
+
+    res.json({ ok: true, assignment });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Место уже занято' });
+    sendError(res, err, 'Ошибка выбора места');
+  }
+});
+
+app.delete('/api/bookings/:pnr/seats/:flightId/:passengerId', authMiddleware, async (req, res) => {
+  try {
+    await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (!['held', 'ticketed'].includes(booking.status)) throw httpError(400, 'Выбор мест недоступен');
+      await releaseSeat(db, booking, Number(req.params.flightId), Number(req.params.passengerId));
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены выбора места');
+  }
+});
+
+// Удерживаемые места выписанной брони, ещё не подтверждённые
+async function heldSeats(db, bookingId) {
+  const { rows } = await db.query(
+    "SELECT * FROM seat_assignments WHERE booking_id=$1 AND status='held' AND held_until > $2 ORDER BY id",
+    [bookingId, new Date()]
+  );
+  return rows;
+}
+
+// Подтверждаем ровно те места, за которые взяли деньги: если удержание истекло — платёж вернётся
+async function confirmSeats(db, seats) {
+  if (!seats.length) return [];
+  const { rows } = await db.query(
+    `UPDATE seat_assignments SET status='confirmed', held_until=NULL
+     WHERE status='held' AND id IN (${placeholders(seats)}) RETURNING *`,
+    seats.map(s => s.id)
+  );
+  if (rows.length !== seats.length) throw httpError(409, 'Время удержания мест истекло');
+  return rows;
+}
+
+// Подтверждение удерживаемых мест выписанной брони: бесплатные — сразу,
+// платные — только оплатой { type: 'seat_assignment', id: PNR } через /api/payments
+app.post('/api/bookings/:pnr/seats/confirm', authMiddleware, async (req, res) => {
+  try {
+    const result = await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'ticketed') throw httpError(400, 'Сначала оформите билеты');
+
+      const seats = await heldSeats(db, booking.id);
+      const amount = seats.reduce((sum, r) => sum + r.price, 0);
+      if (amount > 0) throw httpError(402, `К оплате ${amount} ₽: оплатите выбранные места картой`);
+      return { seats: await confirmSeats(db, seats), amount };
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Ошибка подтверждения мест');
+  }
+});
+
+// =======================
+// CHECK-IN & BOARDING PASSES
+// =======================
+
+const CHECKIN_OPEN_HOURS = 24;
+const CHECKIN_CLOSE_MIN = 45;
+const BOARDING_BEFORE_MIN = 40;
+const GATES_COUNT = 10;
+const DOCUMENT_TYPES = ['passport', 'international_passport', 'birth_certificate', 'foreign_passport'];
+const COMPARTMENT_CODES = { economy: 'Y', comfort: 'W', business: 'J' };
+
+// Транслитерация по ICAO Doc 9303 — имя в посадочном талоне латиницей
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'i',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: 'ie', ы: 'y', ь: '', э: 'e', ю: 'iu', я: 'ia',
+};
+
+function transliterate(s) {
+  return [...String(s || '').toLowerCase()].map(ch => (ch in TRANSLIT ? TRANSLIT[ch] : ch)).join('')
+    .toUpperCase().replace(/[^A-Z\- ]/g, '');
+}
+
+function checkinWindow(departureAt) {
+  const opensAt = addMinutesToStamp(departureAt, -CHECKIN_OPEN_HOURS * 60);
+  const closesAt = addMinutesToStamp(departureAt, -CHECKIN_CLOSE_MIN);
+  const now = localStamp();
+  return { opens_at: opensAt, closes_at: closesAt, open: now >= opensAt && now < closesAt };
+}
+
+function dayOfYear(date) {
+  const d = Date.parse(date + 'T00:00:00Z');
+  return Math.floor((d - Date.UTC(Number(date.slice(0, 4)), 0, 1)) / 86400000) + 1;
+}
+
+// IATA BCBP (Resolution 792), формат M, один сегмент, без условных полей
+function buildBcbp({ lastName, firstName, pnr, origin, destination, flightNumber, flightDate, cabin, seat, sequence }) {
+  const name = (transliterate(lastName) + '/' + transliterate(firstName)).slice(0, 20).padEnd(20);
+  const [carrier, number] = flightNumber.split(' ');
+  const seatField = seat ? String(parseInt(seat, 10)).padStart(3, '0') + seat.replace(/^\d+/, '') : '';
+  return 'M1' + name + 'E' +
+    pnr.padEnd(7) +
+    origin + destination +
+    carrier.padEnd(3) +
+    number.padStart(4, '0').padEnd(5) +
+    String(dayOfYear(flightDate)).padStart(3, '0') +
+    (COMPARTMENT_CODES[cabin] || 'Y') +
+    seatField.padStart(4, '0') +
+    String(sequence).padStart(4, '0').padEnd(5) +
+    '1' + // статус пассажира: зарегистрирован
+    '00'; // длина условной части
+}
+
+function gateFor(flight) {
+  return String((flight.id % GATES_COUNT) + 1);
+}
+
+// Подписанная ссылка: открывается без заголовка Authorization (из уведомления или кабинета)
+function boardingPassUrl(checkinId, format) {
+  const token = jwt.sign({ bp: checkinId }, JWT_SECRET, { expiresIn: '30d' });
+  return `/api/boarding-passes/${checkinId}.${format}?token=${token}`;
+}
+
+// Свободное место в нужном классе, не у аварийного выхода
+async function autoAssignSeat(db, segment) {
+  const map = buildSeatMap(segment.aircraft);
+  const taken = await db.query(
+    "SELECT seat FROM seat_assignments WHERE flight_instance_id=$1 AND (status='confirmed' OR held_until > $2)",
+    [segment.flight_instance_id, new Date()]
+  );
+  const occupied = new Set(taken.rows.map(r => r.seat));
+  // сначала обычные места, платные "улучшенные" — только если других не осталось
+  for (const kinds of [['standard'], ['preferred', 'extra_legroom']]) {
+    for (const row of map.rows) {
+      if (row.cabin !== segment.cabin || row.exit || !kinds.includes(row.kind)) continue;
+      const free = row.seats.find(s => !s.blocked && !occupied.has(s.seat));
+      if (free) return free.seat;
+    }
+  }
+  return null;
+}
+
+function validateDocument(doc, flightDate) {
+  if (!DOCUMENT_TYPES.includes(doc.document_type)) return 'Укажите тип документа';
+  if (!String(doc.document_number || '').trim()) return 'Укажите номер документа';
+  if (!isValidDateString(doc.birth_date)) return 'Укажите дату рождения';
+  if (!String(doc.nationality || '').trim()) return 'Укажите гражданство';
+  if (doc.document_type !== 'passport' && doc.document_type !== 'birth_certificate') {
+    if (!isValidDateString(doc.document_expiry) || doc.document_expiry < flightDate)
+      return 'Срок действия документа истекает до вылета';
+  }
+  return null;
+}
+
+async function loadCheckins(db, bookingId) {
+  const { rows } = await db.query('SELECT * FROM checkins WHERE booking_id=$1 ORDER BY id', [bookingId]);
+  return rows.map(c => ({
+    ...c,
+    pdf_url: boardingPassUrl(c.id, 'pdf'),
+    png_url: boardingPassUrl(c.id, 'png'),
+  }));
+}
+
+// Статус регистрации по сегментам брони
+app.get('/api/bookings/:pnr/checkin', authMiddleware, async (req, res) => {
+  try {
+    const booking = await loadBooking(pool, req.params.pnr);
+    if (!booking || booking.user_id !== req.userId) return res.status(404).json({ error: 'Бронирование не найдено' });
+    const checkins = await loadCheckins(pool, booking.id);
+    res.json({
+      pnr: booking.pnr,
+      segments: booking.segments.map(s => ({
+        flight_instance_id: s.flight_instance_id,
+        flight_number: s.flight_number,
+        departure_at: s.departure_at,
+        window: checkinWindow(s.departure_at),
+        checkins: checkins.filter(c => c.flight_instance_id === s.flight_instance_id),
+      })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки регистрации');
+  }
+});
+
+// Онлайн-регистрация: документы пассажиров + подтверждение места
+app.post('/api/bookings/:pnr/checkin', authMiddleware, async (req, res) => {
+  try {
+    const flightId = Number(req.body.flight_instance_id);
+    const list = Array.isArray(req.body.passengers) ? req.body.passengers : [];
+    if (!list.length) return res.status(400).json({ error: 'Укажите пассажиров' });
+
+    const result = await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'ticketed') throw httpError(400, 'Регистрация доступна после оформления билетов');
+
+      const segment = booking.segments.find(s => s.flight_instance_id === flightId);
+      if (!segment) throw httpError(400, 'Рейс не относится к брони');
+      if (segment.flight_status === 'cancelled') throw httpError(400, 'Рейс отменён');
+      const window = checkinWindow(segment.departure_at);
+      if (!window.open) {
+        throw httpError(400, localStamp() < window.opens_at
+          ? `Регистрация откроется ${window.opens_at.replace('T', ' ')}`
+          : 'Онлайн-регистрация на рейс закрыта');
+      }
+
+      const created = [];
+      for (const item of list) {
+        const passenger = booking.passengers.find(p => p.id === Number(item.passenger_id));
+        if (!passenger) throw httpError(400, 'Пассажир не относится к брони');
+
+        const exists = await db.query('SELECT id FROM checkins WHERE flight_instance_id=$1 AND passenger_id=$2', [flightId, passenger.id]);
+        if (exists.rows.length) throw httpError(400, `${passenger.last_name} ${passenger.first_name} уже зарегистрирован(а)`);
+
+        const doc = {
+          document_type: item.document_type,
+          document_number: item.document_number || passenger.document_number,
+          document_expiry: item.document_expiry || null,
+          nationality: item.nationality,
+          birth_date: item.birth_date || passenger.birth_date,
+          gender: item.gender || passenger.gender,
+        };
+        const problem = validateDocument(doc, segment.departure_at.slice(0, 10));
+        if (problem) throw httpError(400, `${passenger.last_name} ${passenger.first_name}: ${problem}`);
+
+        await db.query(
+          `UPDATE booking_passengers SET document_type=$2, document_number=$3, document_expiry=$4, nationality=$5, birth_date=$6, gender=$7
+           WHERE id=$1`,
+          [passenger.id, doc.document_type, String(doc.document_number).trim(), doc.document_expiry,
+            String(doc.nationality).trim().toUpperCase(), doc.birth_date, doc.gender || null]
+        );
+
+        // место: выбранное заранее (подтверждённое), новое из запроса или автоматически
+        let seat = (passenger.seats.find(s => s.flight_instance_id === flightId) || {});
+        if (seat.status === 'held') throw httpError(400, `Оплатите место ${seat.seat} или выберите другое`);
+        seat = seat.seat || null;
+        if (item.seat && item.seat !== seat) throw httpError(400, 'Сначала выберите место через схему салона');
+        if (!seat) {
+          seat = await autoAssignSeat(db, segment);
+          if (!seat) throw httpError(409, 'Свободных мест нет, обратитесь на стойку регистрации');
+          await db.query(
+            `INSERT INTO seat_assignments (flight_instance_id, seat, booking_id, passenger_id, status, price)
+             VALUES ($1,$2,$3,$4,'confirmed',0)`,
+            [flightId, seat, booking.id, passenger.id]
+          );
+        }
+
+        const seq = await db.query(
+          'UPDATE flight_instances SET checkin_seq = COALESCE(checkin_seq,0) + 1 WHERE id=$1 RETURNING checkin_seq',
+          [flightId]
+        );
+        await db.query('UPDATE flight_instances SET gate=$2 WHERE id=$1 AND gate IS NULL', [flightId, gateFor({ id: flightId })]);
+
+        const bcbp = buildBcbp({
+          lastName: passenger.last_name,
+          firstName: passenger.first_name,
+          pnr: booking.pnr,
+          origin: segment.origin,
+          destination: segment.destination,
+          flightNumber: segment.flight_number,
+          flightDate: segment.departure_at.slice(0, 10),
+          cabin: segment.cabin,
+          seat,
+          sequence: seq.rows[0].checkin_seq,
+        });
+        const ins = await db.query(
+          `INSERT INTO checkins (booking_id, passenger_id, flight_instance_id, seat, sequence_number, bcbp)
+           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+          [booking.id, passenger.id, flightId, seat, seq.rows[0].checkin_seq, bcbp]
+        );
+        created.push({ id: ins.rows[0].id, name: `${passenger.last_name} ${passenger.first_name}`, seat });
+      }
+      return { booking, segment, created };
+    });
+
+    for (const c of result.created) {
+      await notify(req.userId, 'boarding_pass', `Посадочный талон ${result.segment.flight_number}`,
+        `${c.name}, место ${c.seat}. Посадка начнётся в ${addMinutesToStamp(result.segment.departure_at, -BOARDING_BEFORE_MIN).slice(11)}.`,
+        { pnr: result.booking.pnr, checkin_id: c.id, pdf_url: boardingPassUrl(c.id, 'pdf'), png_url: boardingPassUrl(c.id, 'png') });
+    }
+
+    const checkins = await loadCheckins(pool, result.booking.id);
+    res.json({ ok: true, checkins: checkins.filter(c => result.created.some(x => x.id === c.id)) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Место уже занято' });
+    sendError(res, err, 'Ошибка регистрации');
+  }
+});
+
+async function loadBoardingPass(checkinId) {
+  const { rows } = await pool.query(
+    `SELECT c.*, b.pnr, b.user_id, b.cabin, p.first_name, p.last_name, t.ticket_number,
+            f.flight_number, f.origin, f.destination, f.departure_at, f.gate, u.card_type, u.card_number
+     FROM checkins c
+     JOIN bookings b ON b.id = c.booking_id
+     JOIN booking_passengers p ON p.id = c.passenger_id
+     JOIN flight_instances f ON f.id = c.flight_instance_id
+     LEFT JOIN tickets t ON t.passenger_id = p.id
+     LEFT JOIN users u ON u.id = b.user_id
+     WHERE c.id=$1`,
+    [checkinId]
+  );
+  return rows[0] || null;
+}
+
+// Раскладка талона — общая для PDF и PNG: подпись, значение, x, y, кегль значения
+const BOARDING_PASS_SIZE = [595, 260];
+
+function boardingPassFields(bp) {
+  return [
+    ['PASSENGER', transliterate(bp.last_name) + '/' + transliterate(bp.first_name), 24, 58, 13],
+    ['FROM', bp.origin, 24, 92, 26],
+    ['TO', bp.destination, 110, 92, 26],
+    ['FLIGHT', bp.flight_number, 24, 140, 13],
+    ['DATE', bp.departure_at.slice(0, 10), 110, 140, 13],
+    ['GATE', bp.gate, 200, 140, 13],
+    ['BOARDING', addMinutesToStamp(bp.departure_at, -BOARDING_BEFORE_MIN).slice(11), 260, 140, 13],
+    ['DEPARTURE', bp.departure_at.slice(11), 340, 140, 13],
+    ['SEAT', bp.seat, 24, 180, 20],
+    ['CLASS', COMPARTMENT_CODES[bp.cabin], 110, 180, 13],
+    ['SEQ', String(bp.sequence_number).padStart(3, '0'), 160, 180, 13],
+    ['CARD', bp.card_type ? bp.card_type.toUpperCase() : '', 200, 180, 13],
+    ['PNR', bp.pnr, 24, 216, 13],
+    ['TICKET', bp.ticket_number, 110, 216, 13],
+  ];
+}
+
+function renderBoardingPassPdf(bp, barcodePng, res) {
+  const doc = new PDFDocument({ size: BOARDING_PASS_SIZE, margin: 0 });
+  doc.pipe(res);
+
+  doc.rect(0, 0, 595, 44).fill('#97ba1e');
+  doc.fillColor('#fff').font('Helvetica-Bold').fontSize(16).text('S7AVELII AIRLINES', 24, 15, { lineBreak: false });
+  doc.fontSize(11).text('BOARDING PASS', 400, 18, { width: 171, align: 'right', lineBreak: false });
+
+  for (const [label, value, x, y, size] of boardingPassFields(bp)) {
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(8).text(label, x, y, { lineBreak: false });
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(size).text(value || '-', x, y + 10, { lineBreak: false });
+  }
+
+  doc.image(barcodePng, 400, 70, { fit: [171, 150], align: 'center' });
+  doc.end();
+}
+
+// PNG — тот же талон, что и PDF: раскладка рисуется в SVG и растрируется sharp с двойной плотностью
+async function renderBoardingPassPng(bp, barcodePng) {
+  const [width, height] = BOARDING_PASS_SIZE;
+  // у PDF координата текста — верх строки, у SVG — базовая линия
+  const text = (value, x, y, size, color, bold, anchor = 'start') =>
+    `<text x="${x}" y="${y + size * 0.8}" font-size="${size}" fill="${color}" font-weight="${bold ? 'bold' : 'normal'}" text-anchor="${anchor}">${escapeHtml(value)}</text>`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, DejaVu Sans, sans-serif">
+    <rect width="${width}" height="${height}" fill="#fff"/>
+    <rect width="${width}" height="44" fill="#97ba1e"/>
+    ${text('S7AVELII AIRLINES', 24, 15, 16, '#fff', true)}
+    ${text('BOARDING PASS', 571, 18, 11, '#fff', true, 'end')}
+    ${boardingPassFields(bp).map(([label, value, x, y, size]) =>
+      text(label, x, y, 8, '#6b7280', false) + text(value || '-', x, y + 10, size, '#111827', true)).join('')}
+    <image x="400" y="70" width="171" height="150" preserveAspectRatio="xMidYMin meet" href="data:image/png;base64,${barcodePng.toString('base64')}"/>
+  </svg>`;
+  return sharp(Buffer.from(svg), { density: 144 }).png().toBuffer();
+}
+
+// Посадочный талон со штрихкодом BCBP (PDF417): PDF или та же раскладка картинкой PNG
+app.get('/api/boarding-passes/:id.:format', async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!['pdf', 'png'].includes(format)) return res.status(400).json({ error: 'Формат: pdf или png' });
+
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+    } catch (e) {
+      return res.status(401).json({ error: 'Ссылка недействительна' });
+    }
+    if (payload.bp !== Number(req.params.id)) return res.status(401).json({ error: 'Ссылка недействительна' });
+
+    const bp = await loadBoardingPass(Number(req.params.id));
+    if (!bp) return res.status(404).json({ error: 'Посадочный талон не найден' });
+
+    const barcode = await bwipjs.toBuffer({ bcid: 'pdf417', text: bp.bcbp, scale: 2, columns: 4 });
+    const filename = `boarding-pass-${bp.flight_number.replace(' ', '')}-${bp.seat}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'png') {
+      res.type('png').send(await renderBoardingPassPng(bp, barcode));
+    } else {
+      res.type('pdf');
+      renderBoardingPassPdf(bp, barcode, res);
+    }
+  } catch (err) {
+    sendError(res, err, 'Ошибка формирования посадочного талона');
+  }
+});
+
+// =======================
+// MILES REDEMPTION
+// =======================
+// 1 миля = MILE_VALUE_RUB ₽ при оплате; остаток суммы оплачивается деньгами
+const MILE_VALUE_RUB = Number(process.env.MILE_VALUE_RUB) || 1;
+
+function milesForAmount(amount) {
+  return Math.ceil(amount / MILE_VALUE_RUB);
+}
+
+// Что можно оплатить милями: тип -> поиск объекта пользователя и суммы к оплате
+const REDEEMABLE = {
+  booking: async (db, userId, key) => {
+    const { rows } = await db.query('SELECT id, pnr, user_id, status, total_amount FROM bookings WHERE pnr=$1', [String(key || '').toUpperCase()]);
+    const b = rows[0];
+    if (!b || b.user_id !== userId) throw httpError(404, 'Бронирование не найдено');
+    if (b.status !== 'held') throw httpError(400, 'Милями можно оплатить только неоплаченную бронь');
+    return { id: b.id, amount: b.total_amount, title: `бронь ${b.pnr}` };
+  },
+  order: async (db, userId, key) => {
+    const { rows } = await db.query('SELECT id, user_id, status, total_amount FROM orders WHERE id=$1', [Number(key) || 0]);
+    const o = rows[0];
+    if (!o || o.user_id !== userId) throw httpError(404, 'Заказ не найден');
+    if (o.status !== 'created') throw httpError(400, 'Заказ уже оплачен или отменён');
+    return { id: o.id, amount: o.total_amount, title: `заказ №${o.id}` };
+  },
+  hotel_reservation: async (db, userId, key) => {
+    const r = await loadHotelReservation(db, Number(key) || 0, userId);
+    if (r.status !== 'held') throw httpError(400, 'Милями можно оплатить только неоплаченную бронь отеля');
+    return { id: r.id, amount: r.total_amount, title: `отель ${r.hotel_name}, бронь ${r.code}` };
+  },
+};
+
+async function findRedeemable(db, userId, type, key) {
+  const load = REDEEMABLE[type];
+  if (!load) throw httpError(400, 'Неизвестный тип оплаты');
+  return load(db, userId, key);
+}
+
+// Списание одним UPDATE с проверкой остатка: параллельные запросы не уведут баланс в минус
+async function debitMiles(db, userId, miles, description, refType, refId) {
+  return postMilesEntry(db, userId, 'redemption', -miles, description, { refType, refId });
+}
+
+// family: списание с семейного счёта (свои мили, затем мили главы и остальных участников)
+async function redeemMiles(db, userId, type, key, miles, { family = false } = {}) {
+  const target = await findRedeemable(db, userId, type, key);
+  const full = milesForAmount(target.amount);
+  if (!Number.isInteger(miles) || miles <= 0) throw httpError(400, 'Некорректное количество миль');
+  if (miles > full) throw httpError(400, `Для оплаты достаточно ${full} миль`);
+
+  const value = Math.min(target.amount, Math.round(miles * MILE_VALUE_RUB));
+  let redemption;
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO miles_redemptions (user_id, target_type, target_id, miles, value_rub, cash_amount)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [userId, type, target.id, miles, value, target.amount - value]
+    );
+    redemption = rows[0];
+  } catch (err) {
+    if (err.code === '23505') throw httpError(409, 'Этот платёж уже оплачен милями');
+    throw err;
+  }
+  const description = `Оплата милями: ${target.title}`;
+  const parts = family
+    ? await debitFamilyMiles(db, userId, miles, description, type, target.id)
+    : [{ user_id: userId, miles, balance: await debitMiles(db, userId, miles, description, type, target.id) }];
+
+  for (const part of parts) {
+    await db.query(
+      'INSERT INTO miles_redemption_sources (redemption_id, user_id, miles) VALUES ($1,$2,$3)',
+      [redemption.id, part.user_id, part.miles]
+    );
+  }
+  const own = parts.find(p => p.user_id === userId);
+  redemption.balance = own ? own.balance : undefined;
+  redemption.sources = parts.map(p => ({ user_id: p.user_id, miles: p.miles }));
+  return redemption;
+}
+
+// Возврат списанных миль при отмене; повторный вызов ничего не делает
+async function reverseRedemption(db, type, targetId, description) {
+  const { rows } = await db.query(
+    `UPDATE miles_redemptions SET status='reversed', reversed_at=$3
+     WHERE target_type=$1 AND target_id=$2 AND status='active' RETURNING *`,
+    [type, targetId, new Date()]
+  );
+  const r = rows[0];
+  if (!r) return null;
+
+  // мили возвращаются тем, с чьих счетов они были списаны
+  const sources = await db.query('SELECT user_id, miles FROM miles_redemption_sources WHERE redemption_id=$1', [r.id]);
+  const parts = sources.rows.length ? sources.rows : [{ user_id: r.user_id, miles: r.miles }];
+  for (const part of parts) {
+    await postMilesEntry(db, part.user_id, 'redemption', part.miles, description, { refType: type, refId: targetId });
+  }
+  return r;
+}
+
+// Сколько миль можно списать за бронь/заказ
+app.get('/api/miles/quote', authMiddleware, async (req, res) => {
+  try {
+    const target = await findRedeemable(pool, req.userId, req.query.type, req.query.id);
+    const { rows } = await pool.query('SELECT bonus_miles FROM users WHERE id=$1', [req.userId]);
+    const balance = rows[0] ? rows[0].bonus_miles || 0 : 0;
+    const full = milesForAmount(target.amount);
+    const familyBalance = await familySpendableMiles(pool, req.userId);
+    res.json({
+      type: req.query.type,
+      amount: target.amount,
+      rate: MILE_VALUE_RUB,
+      miles_full: full,
+      balance,
+      max_miles: Math.min(full, balance),
+      family_balance: familyBalance,
+      family_max_miles: familyBalance === null ? null : Math.min(full, familyBalance),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка расчёта оплаты милями');
+  }
+});
+
+// Смешанная оплата: miles списываются сразу, cash_amount остаётся к оплате деньгами
+app.post('/api/miles/redeem', authMiddleware, async (req, res) => {
+  try {
+    const miles = Math.floor(Number(req.body.miles) || 0);
+    const family = Boolean(req.body.from_family);
+    const redemption = await withTransaction(async db => {
+      const r = await redeemMiles(db, req.userId, req.body.type, req.body.id, miles, { family });
+      // заказ или отель, полностью покрытые милями, сразу считаются оплаченными
+      if (r.target_type === 'order' && r.cash_amount === 0) await setOrderStatus(db, r.target_id, 'paid');
+      if (r.target_type === 'hotel_reservation' && r.cash_amount === 0) await confirmHotelReservation(db, r.target_id);
+      return r;
+    });
+    res.json({ ok: true, redemption });
+  } catch (err) {
+    sendError(res, err, 'Ошибка оплаты милями');
+  }
+});
+
+// =======================
+// LOYALTY TIERS
+// =======================
+// Уровень считается по статусным милям за скользящее окно STATUS_MILES_TTL_MONTHS.
+// Повышение — сразу, понижение — только при пересмотре, когда истёк tier_expires_at.
+const TIERS = [
+  { name: 'Classic', min: 0 },
+  { name: 'Master', min: 1000 },
+  { name: 'Pro', min: 5000 },
+  { name: 'Flight-master', min: 100000 },
+];
+const STATUS_MILES_TTL_MONTHS = 12;
+const TIER_VALID_MONTHS = 12;
+const STATUS_MILES_PER_SEGMENT = { economy: 500, comfort: 750, business: 1500 };
+// Эти карты выдаются отдельно и не пересчитываются по милям
+const SPECIAL_CARD_TYPES = ['VIP', 'Priority'];
+
+function tierIndex(name) {
+  const i = TIERS.findIndex(t => t.name === name);
+  return i < 0 ? 0 : i;
+}
+
+function tierForMiles(miles) {
+  let index = 0;
+  TIERS.forEach((t, i) => { if (miles >= t.min) index = i; });
+  return index;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+}
+
+async function qualifyingStatusMiles(db, userId, now = new Date()) {
+  const { rows } = await db.query(
+    'SELECT COALESCE(SUM(amount),0) AS total FROM status_miles_entries WHERE user_id=$1 AND expires_at > $2',
+    [userId, now]
+  );
+  return Number(rows[0].total);
+}
+
+// Пересчёт уровня пользователя; возвращает { tier, previous } и шлёт уведомление при смене
+async function evaluateTier(db, userId, { silent = false } = {}) {
+  const now = new Date();
+  const { rows } = await db.query('SELECT id, tier, tier_expires_at, card_type FROM users WHERE id=$1', [userId]);
+  const user = rows[0];
+  if (!user) return null;
+
+  const miles = await qualifyingStatusMiles(db, userId, now);
+  const current = tierIndex(user.tier);
+  const earned = tierForMiles(miles);
+  let next = current;
+  let expiresAt = user.tier_expires_at;
+
+  if (earned > current) {
+    next = earned;
+    expiresAt = addMonths(now, TIER_VALID_MONTHS);
+  } else if (current > 0 && (!expiresAt || new Date(expiresAt) <= now)) {
+    // срок уровня вышел: подтверждаем или понижаем по милям текущего окна
+    next = earned;
+    expiresAt = earned > 0 ? addMonths(now, TIER_VALID_MONTHS) : null;
+  }
+
+  const tier = TIERS[next].name;
+  const cardType = SPECIAL_CARD_TYPES.includes(user.card_type) ? user.card_type : tier;
+  await db.query(
+    'UPDATE users SET tier=$2, tier_expires_at=$3, status_miles=$4, card_type=$5 WHERE id=$1',
+    [userId, tier, expiresAt, miles, cardType]
+  );
+
+  if (next !== current && !silent) {
+    const up = next > current;
+    await notifyTemplate(userId, up ? 'tier_upgrade' : 'tier_downgrade', {
+      tier, until: expiresAt && expiresAt.toLocaleDateString('ru-RU'), months: STATUS_MILES_TTL_MONTHS, status_miles: miles,
+    }, { tier, previous: TIERS[current].name }, db);
+  }
+  return { tier, previous: TIERS[current].name, status_miles: miles };
+}
+
+async function accrueStatusMiles(db, userId, amount, source, { refType = null, refId = null, silent = false } = {}) {
+  const now = new Date();
+  await db.query(
+    `INSERT INTO status_miles_entries (user_id, amount, source, ref_type, ref_id, earned_at, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [userId, amount, source, refType, refId, now, addMonths(now, STATUS_MILES_TTL_MONTHS)]
+  );
+  return evaluateTier(db, userId, { silent });
+}
+
+// Статусные мили, выставленные клиентом до появления движка, переносим одной записью;
+// тип карты, выбранный клиентом, приводим к уровню
+async function migrateLegacyLoyalty() {
+  const { rows } = await pool.query(
+    `SELECT id, status_miles FROM users u
+     WHERE status_miles > 0 AND NOT EXISTS (SELECT 1 FROM status_miles_entries e WHERE e.user_id = u.id)`
+  );
+  for (const u of rows) {
+    await withTransaction(db => accrueStatusMiles(db, u.id, u.status_miles, 'legacy', { silent: true }));
+  }
+
+  const mismatched = await pool.query(
+    `SELECT id FROM users WHERE (card_type IS NULL OR card_type <> tier) AND (card_type IS NULL OR card_type NOT IN ($1,$2))`,
+    SPECIAL_CARD_TYPES
+  );
+  for (const u of mismatched.rows) {
+    await withTransaction(db => evaluateTier(db, u.id, { silent: true }));
+  }
+}
+
+// Статусные мили начисляются за выполненные перелёты владельцу брони
+async function creditFlownSegments() {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.cabin, b.user_id, b.pnr, f.flight_number
+     FROM booking_segments s
+     JOIN bookings b ON b.id = s.booking_id
+     JOIN flight_instances f ON f.id = s.flight_instance_id
+     WHERE b.status='ticketed' AND b.user_id IS NOT NULL AND s.miles_credited = FALSE AND f.departure_at <= $1`,
+    [localStamp()]
+  );
+  for (const seg of rows) {
+    await withTransaction(async db => {
+      const upd = await db.query('UPDATE booking_segments SET miles_credited=TRUE WHERE id=$1 AND miles_credited=FALSE RETURNING id', [seg.id]);
+      if (!upd.rows.length) return;
+      const amount = STATUS_MILES_PER_SEGMENT[seg.cabin] || STATUS_MILES_PER_SEGMENT.economy;
+      await accrueStatusMiles(db, seg.user_id, amount, `Перелёт ${seg.flight_number}, бронь ${seg.pnr}`, { refType: 'segment', refId: seg.id });
+    });
+  }
+}
+
+// Сгорание статусных миль и пересмотр уровней с истёкшим сроком
+async function reviewTiers() {
+  const now = new Date();
+  const expired = await pool.query(
+    'UPDATE status_miles_entries SET expired=TRUE WHERE expired=FALSE AND expires_at <= $1 RETURNING user_id',
+    [now]
+  );
+  const due = await pool.query('SELECT id FROM users WHERE tier_expires_at <= $1', [now]);
+  const ids = new Set([...expired.rows.map(r => r.user_id), ...due.rows.map(r => r.id)]);
+  for (const id of ids) {
+    await withTransaction(db => evaluateTier(db, id));
+  }
+}
+
+setInterval(() => {
+  creditFlownSegments()
+    .then(reviewTiers)
+    .catch(err => console.error('loyalty jobs err', err));
+}, 10 * 60 * 1000);
+
+app.get('/api/loyalty/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await getUserById(req.userId);
+    if (!user) return res.status(404).json({ error: 'Not found' });
+
+    const now = new Date();
+    const current = tierIndex(user.tier);
+    const next = TIERS[current + 1] || null;
+    const expiring = await pool.query(
+      `SELECT amount, expires_at FROM status_miles_entries
+       WHERE user_id=$1 AND expires_at > $2 AND expires_at <= $3 ORDER BY expires_at`,
+      [req.userId, now, addMonths(now, 3)]
+    );
+
+    res.json({
+      tier: user.tier,
+      card_type: user.card_type,
+      status_miles: user.status_miles || 0,
+      tier_expires_at: user.tier_expires_at,
+      next_tier: next ? next.name : null,
+      miles_to_next: next ? Math.max(0, next.min - (user.status_miles || 0)) : 0,
+      window_months: STATUS_MILES_TTL_MONTHS,
+      expiring: expiring.rows,
+      tiers: TIERS,
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка статуса программы лояльности');
+  }
+});
+
+// =======================
+// PROMO CODES
+// =======================
+// reward_type: bonus_miles | status_miles | miles (и бонусные, и статусные) | card_type | tier
+const PROMO_REWARD_TYPES = ['bonus_miles', 'status_miles', 'miles', 'card_type', 'tier'];
+
+// Коды, которые раньше были зашиты в cabinet.html
+const SEED_PROMO_CODES = [
+  { code: 'S717000', reward_type: 'miles', amount: 17000 },
+  { code: 'WELCOME500', reward_type: 'miles', amount: 500 },
+  { code: 'VIP2025', reward_type: 'miles', amount: 2000 },
+  { code: '2025', reward_type: 'miles', amount: 4000 },
+  { code: 'S2025', reward_type: 'miles', amount: 3000 },
+  { code: 'TAKE_OFFF500', reward_type: 'miles', amount: 500 },
+  { code: 'LANDING500', reward_type: 'miles', amount: 500 },
+  { code: 'VIP1111', reward_type: 'card_type', card_type: 'VIP', description: 'Смена карты на VIP' },
+  { code: 'CLASS5555', reward_type: 'card_type', card_type: 'Classic', description: 'Возврат к карте по уровню' },
+];
+
+async function seedPromoCodes() {
+  for (const p of SEED_PROMO_CODES) {
+    await pool.query(
+      `INSERT INTO promo_codes (code, reward_type, amount, card_type, description)
+       VALUES ($1,$2,$3,$4,$5) ON CONFLICT (code) DO NOTHING`,
+      [p.code, p.reward_type, p.amount || 0, p.card_type || null, p.description || null]
+    );
+  }
+}
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function validatePromoCode(body) {
+  const code = normalizePromoCode(body.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) return 'Код: 3–32 символа, латиница, цифры, _ и -';
+  if (!PROMO_REWARD_TYPES.includes(body.reward_type)) return 'Неизвестный тип награды';
+  if (['bonus_miles', 'status_miles', 'miles'].includes(body.reward_type) && !(Number(body.amount) > 0))
+    return 'Укажите количество миль';
+  if (body.reward_type === 'card_type' && !SPECIAL_CARD_TYPES.includes(body.card_type) && body.card_type !== TIERS[0].name)
+    return `Тип карты: ${[...SPECIAL_CARD_TYPES, TIERS[0].name].join(', ')}`;
+  if (body.reward_type === 'tier' && !TIERS.some(t => t.name === body.card_type && t.min > 0))
+    return 'Укажите уровень в card_type';
+  return null;
+}
+
+async function applyPromoReward(db, userId, promo, redemptionId) {
+  const label = `Промокод ${promo.code}`;
+  if (promo.reward_type === 'bonus_miles' || promo.reward_type === 'miles') {
+    await postMilesEntry(db, userId, 'accrual', promo.amount, label, { refType: 'promo', refId: redemptionId });
+  }
+  if (promo.reward_type === 'status_miles' || promo.reward_type === 'miles') {
+    await accrueStatusMiles(db, userId, promo.amount, label, { refType: 'promo', refId: redemptionId });
+  }
+  if (promo.reward_type === 'card_type') {
+    // базовый тип снимает спецкарту — дальше карта снова следует уровню
+    const special = SPECIAL_CARD_TYPES.includes(promo.card_type);
+    await db.query(
+      special ? 'UPDATE users SET card_type=$2 WHERE id=$1' : 'UPDATE users SET card_type=tier WHERE id=$1',
+      special ? [userId, promo.card_type] : [userId]
+    );
+  }
+  if (promo.reward_type === 'tier') {
+    const { rows } = await db.query('SELECT tier FROM users WHERE id=$1', [userId]);
+    if (tierIndex(promo.card_type) > tierIndex(rows[0] && rows[0].tier)) {
+      await db.query('UPDATE users SET tier=$2, tier_expires_at=$3 WHERE id=$1', [userId, promo.card_type, addMonths(new Date(), TIER_VALID_MONTHS)]);
+      await db.query(
+        "UPDATE users SET card_type=$2 WHERE id=$1 AND (card_type IS NULL OR card_type NOT IN ($3,$4))",
+        [userId, promo.card_type, ...SPECIAL_CARD_TYPES]
+      );
+      await notifyTemplate(userId, 'tier_upgrade', { tier: promo.card_type, reason: label }, { tier: promo.card_type }, db);
+    }
+  }
+}
+
+// Погашение идемпотентно: повтор с тем же Idempotency-Key (или повтор одноразового кода)
+// возвращает уже сделанное погашение и ничего не начисляет второй раз
+app.post('/api/promo/redeem', authMiddleware, async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.body.code);
+    if (!code) return res.status(400).json({ error: 'Введите промокод' });
+    const key = req.get('Idempotency-Key') || req.body.idempotency_key || null;
+
+    const result = await withTransaction(async db => {
+      if (key) {
+        const prev = await db.query('SELECT * FROM promo_redemptions WHERE user_id=$1 AND idempotency_key=$2', [req.userId, key]);
+        if (prev.rows.length) return { redemption: prev.rows[0], repeated: true };
+      }
+
+      const { rows } = await db.query('SELECT * FROM promo_codes WHERE code=$1', [code]);
+      const promo = rows[0];
+      if (!promo || !promo.active) throw httpError(404, 'Неверный промокод');
+
+      const used = await db.query(
+        'SELECT * FROM promo_redemptions WHERE code=$1 AND user_id=$2 ORDER BY seq DESC',
+        [code, req.userId]
+      );
+      if (promo.per_user_limit && used.rows.length >= promo.per_user_limit) {
+        if (promo.per_user_limit === 1) return { redemption: used.rows[0], repeated: true };
+        throw httpError(400, 'Промокод уже использован');
+      }
+
+      // лимит и срок действия проверяются тем же UPDATE, что и увеличивает счётчик
+      const now = new Date();
+      const upd = await db.query(
+        `UPDATE promo_codes SET uses = uses + 1
+         WHERE code=$1 AND active = TRUE
+           AND (max_uses IS NULL OR uses < max_uses)
+           AND (valid_from IS NULL OR valid_from <= $2)
+           AND (valid_until IS NULL OR valid_until > $2)
+         RETURNING *`,
+        [code, now]
+      );
+      if (!upd.rows.length) {
+        if (promo.valid_from && new Date(promo.valid_from) > now) throw httpError(400, 'Промокод ещё не действует');
+        if (promo.valid_until && new Date(promo.valid_until) <= now) throw httpError(400, 'Срок действия промокода истёк');
+        throw httpError(400, 'Промокод больше недоступен');
+      }
+
+      let redemption;
+      try {
+        const ins = await db.query(
+          `INSERT INTO promo_redemptions (code, user_id, seq, idempotency_key, reward_type, amount, card_type)
+           VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+          [code, req.userId, used.rows.length + 1, key, promo.reward_type, promo.amount, promo.card_type]
+        );
+        redemption = ins.rows[0];
+      } catch (err) {
+        // параллельный запрос того же пользователя успел первым
+        if (err.code === '23505') throw httpError(409, 'Промокод уже применяется, обновите страницу');
+        throw err;
+      }
+
+      await applyPromoReward(db, req.userId, promo, redemption.id);
+      return { redemption, repeated: false };
+    });
+
+    const user = await getUserById(req.userId);
+    res.json({ ok: true, ...result, user });
+  } catch (err) {
+    sendError(res, err, 'Ошибка активации промокода');
+  }
+});
+
+app.get('/api/promo/redemptions', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.id, r.code, r.reward_type, r.amount, r.card_type, r.created_at, p.description
+       FROM promo_redemptions r JOIN promo_codes p ON p.code = r.code
+       WHERE r.user_id=$1 ORDER BY r.id DESC`,
+      [req.userId]
+    );
+    res.json({ redemptions: rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка истории промокодов');
+  }
+});
+
+// Управление кодами — только для администраторов
+app.get('/api/admin/promo-codes', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM promo_codes ORDER BY created_at DESC, code');
+    res.json({ codes: rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка списка промокодов');
+  }
+});
+
+app.post('/api/admin/promo-codes', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const invalid = validatePromoCode(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const b = req.body;
+    const { rows } = await pool.query(
+      `INSERT INTO promo_codes (code, reward_type, amount, card_type, description, valid_from, valid_until, max_uses, per_user_limit)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (code) DO NOTHING RETURNING *`,
+      [normalizePromoCode(b.code), b.reward_type, Number(b.amount) || 0, b.card_type || null, b.description || null,
+       b.valid_from || null, b.valid_until || null, b.max_uses || null, b.per_user_limit === undefined ? 1 : b.per_user_limit]
+    );
+    if (!rows.length) return res.status(409).json({ error: 'Такой код уже существует' });
+    res.json({ ok: true, code: rows[0] });
+  } catch (err) {
+    sendError(res, err, 'Ошибка создания промокода');
+  }
+});
+
+// Менять можно только сроки, лимиты, описание и активность — награду погашённых кодов не трогаем
+app.patch('/api/admin/promo-codes/:code', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const editable = ['description', 'valid_from', 'valid_until', 'max_uses', 'per_user_limit', 'active'];
+    const sets = [];
+    const vals = [normalizePromoCode(req.params.code)];
+    for (const k of editable) {
+      if (!(k in req.body)) continue;
+      vals.push(req.body[k]);
+      sets.push(`${k}=$${vals.length}`);
+    }
+    if (!sets.length) return res.status(400).json({ error: 'Нечего обновлять' });
+    const { rows } = await pool.query(`UPDATE promo_codes SET ${sets.join(',')} WHERE code=$1 RETURNING *`, vals);
+    if (!rows.length) return res.status(404).json({ error: 'Промокод не найден' });
+    res.json({ ok: true, code: rows[0] });
+  } catch (err) {
+    sendError(res, err, 'Ошибка обновления промокода');
+  }
+});
+
+// =======================
+// FAMILY ACCOUNT
+// =======================
+const FAMILY_MAX_MEMBERS = 6; // вместе с главой и неотвеченными приглашениями
+const FAMILY_INVITE_DAYS = 7;
+
+async function activeMembership(db, userId) {
+  const { rows } = await db.query(
+    "SELECT * FROM family_members WHERE user_id=$1 AND status='active'",
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// Участник программы по номеру карты или телефону: номер карты появляется только после выдачи
+// заказанной карты, поэтому новых клиентов находим по телефону. Пробелы из «7123 4567 8903» отбрасываем
+async function findMember(db, value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (!digits) return null;
+  const byCard = await db.query('SELECT id, fio FROM users WHERE card_number=$1', [digits]);
+  if (byCard.rows.length) return byCard.rows[0];
+  const phone = normalizePhone(digits);
+  if (!phone) return null;
+  const byPhone = await db.query('SELECT id, fio FROM users WHERE phone=$1', [phone]);
+  return byPhone.rows[0] || null;
+}
+
+function inviteExpired(member) {
+  return member.status === 'invited' &&
+    new Date(member.invited_at).getTime() + FAMILY_INVITE_DAYS * 86400000 < Date.now();
+}
+
+async function pendingInvitations(db, userId) {
+  const { rows } = await db.query(
+    `SELECT m.id, m.family_id, m.invited_at, f.name, u.fio AS head_name
+     FROM family_members m
+     JOIN families f ON f.id = m.family_id
+     JOIN users u ON u.id = f.head_user_id
+     WHERE m.user_id=$1 AND m.status='invited' ORDER BY m.id`,
+    [userId]
+  );
+  return rows.filter(r => !inviteExpired({ ...r, status: 'invited' }));
+}
+
+// Ответ в формате, который ждёт модалка "Семья" в cabinet.html: { exists, members: [{ name, miles }] }
+async function loadFamily(db, userId) {
+  const invitations = await pendingInvitations(db, userId);
+  const membership = await activeMembership(db, userId);
+  if (!membership) return { exists: false, invitations };
+
+  const family = await db.query('SELECT * FROM families WHERE id=$1', [membership.family_id]);
+  const { rows } = await db.query(
+    `SELECT m.id, m.user_id, m.role, m.status, m.can_spend, m.spend_limit, m.invited_at, m.joined_at,
+            u.fio, u.card_number, u.bonus_miles
+     FROM family_members m JOIN users u ON u.id = m.user_id
+     WHERE m.family_id=$1 ORDER BY (m.role = 'head') DESC, m.id`,
+    [membership.family_id]
+  );
+  const members = rows
+    .filter(m => !inviteExpired(m))
+    .map(m => ({
+      id: m.id,
+      user_id: m.user_id,
+      name: m.fio || m.card_number,
+      card_number: m.card_number,
+      role: m.role,
+      status: m.status,
+      can_spend: m.role === 'head' || m.can_spend,
+      spend_limit: m.spend_limit,
+      // баланс приглашённых не раскрываем, пока они не приняли приглашение
+      miles: m.status === 'active' ? m.bonus_miles || 0 : 0,
+    }));
+
+  return {
+    exists: true,
+    family: family.rows[0],
+    role: membership.role,
+    members,
+    total_miles: members.reduce((sum, m) => sum + m.miles, 0),
+    invitations,
+  };
+}
+
+async function requireFamilyHead(db, userId) {
+  const membership = await activeMembership(db, userId);
+  if (!membership || membership.role !== 'head') throw httpError(403, 'Действие доступно только главе семьи');
+  return membership;
+}
+
+// Сколько миль участник может потратить с семейного счёта; null — если не в семье или нет права
+async function familySpendableMiles(db, userId) {
+  const membership = await activeMembership(db, userId);
+  if (!membership || (membership.role !== 'head' && !membership.can_spend)) return null;
+  const { rows } = await db.query(
+    `SELECT m.user_id, u.bonus_miles FROM family_members m JOIN users u ON u.id = m.user_id
+     WHERE m.family_id=$1 AND m.status='active'`,
+    [membership.family_id]
+  );
+  const own = rows.filter(r => r.user_id === userId).reduce((sum, r) => sum + (r.bonus_miles || 0), 0);
+  const others = rows.filter(r => r.user_id !== userId).reduce((sum, r) => sum + (r.bonus_miles || 0), 0);
+  if (membership.role === 'head' || membership.spend_limit === null) return own + others;
+  const used = await familyMilesUsedThisMonth(db, userId);
+  return own + Math.min(others, Math.max(0, membership.spend_limit - used));
+}
+
+// Чужие мили, потраченные участником в текущем месяце (для spend_limit)
+async function familyMilesUsedThisMonth(db, userId) {
+  const now = new Date();
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(s.miles),0) AS total
+     FROM miles_redemption_sources s JOIN miles_redemptions r ON r.id = s.redemption_id
+     WHERE r.user_id=$1 AND s.user_id <> $1 AND r.status='active' AND r.created_at >= $2`,
+    [userId, new Date(now.getFullYear(), now.getMonth(), 1)]
+  );
+  return Number(rows[0].total);
+}
+
+// Списание с семейного счёта: сначала свои мили, затем главы и остальных.
+// Каждое списание — тот же атомарный debitMiles, так что гонка просто откатит транзакцию.
+async function debitFamilyMiles(db, userId, miles, description, refType, refId) {
+  const membership = await activeMembership(db, userId);
+  if (!membership) throw httpError(400, 'Вы не состоите в семейном счёте');
+  if (membership.role !== 'head' && !membership.can_spend)
+    throw httpError(403, 'Глава семьи не разрешил вам тратить общие мили');
+
+  const { rows } = await db.query(
+    `SELECT m.user_id, m.role, u.bonus_miles FROM family_members m JOIN users u ON u.id = m.user_id
+     WHERE m.family_id=$1 AND m.status='active'`,
+    [membership.family_id]
+  );
+  const rank = r => (r.user_id === userId ? 0 : r.role === 'head' ? 1 : 2);
+  rows.sort((a, b) => rank(a) - rank(b) || a.user_id - b.user_id);
+
+  let left = miles;
+  const plan = [];
+  for (const r of rows) {
+    const take = Math.min(left, r.bonus_miles || 0);
+    if (take > 0) plan.push({ user_id: r.user_id, miles: take });
+    left -= take;
+    if (!left) break;
+  }
+  if (left > 0) throw httpError(400, 'Недостаточно миль на семейном счёте');
+
+  const fromOthers = plan.filter(p => p.user_id !== userId).reduce((sum, p) => sum + p.miles, 0);
+  if (fromOthers && membership.role !== 'head' && membership.spend_limit !== null) {
+    const used = await familyMilesUsedThisMonth(db, userId);
+    if (used + fromOthers > membership.spend_limit)
+      throw httpError(400, `Лимит семейных миль на месяц: ${membership.spend_limit}, доступно ${Math.max(0, membership.spend_limit - used)}`);
+  }
+
+  for (const part of plan) {
+    const text = part.user_id === userId ? description : `${description} (семейный счёт)`;
+    part.balance = await debitMiles(db, part.user_id, part.miles, text, refType, refId);
+  }
+  return plan;
+}
+
+app.get('/api/family', authMiddleware, async (req, res) => {
+  try {
+    res.json(await loadFamily(pool, req.userId));
+  } catch (err) {
+    sendError(res, err, 'Ошибка семейного счёта');
+  }
+});
+
+app.post('/api/family/create', authMiddleware, async (req, res) => {
+  try {
+    const family = await withTransaction(async db => {
+      if (await activeMembership(db, req.userId)) throw httpError(400, 'Вы уже состоите в семейном счёте');
+      const name = String(req.body.name || '').trim().slice(0, 60) || null;
+      const { rows } = await db.query('INSERT INTO families (head_user_id, name) VALUES ($1,$2) RETURNING id', [req.userId, name]);
+      await db.query(
+        "INSERT INTO family_members (family_id, user_id, role, status, can_spend, joined_at) VALUES ($1,$2,'head','active',TRUE,$3)",
+        [rows[0].id, req.userId, new Date()]
+      );
+      return loadFamily(db, req.userId);
+    });
+    res.json(family);
+  } catch (err) {
+    sendError(res, err, 'Ошибка создания семейного счёта');
+  }
+});
+
+// Приглашение по номеру карты лояльности; участником человек станет после подтверждения
+app.post('/api/family/add', authMiddleware, async (req, res) => {
+  try {
+    const card = String(req.body.loyalty || req.body.card_number || req.body.phone || '').trim();
+    if (!card) return res.status(400).json({ error: 'Укажите номер карты лояльности или телефон' });
+
+    const result = await withTransaction(async db => {
+      const head = await requireFamilyHead(db, req.userId);
+      const invitee = await findMember(db, card);
+      if (!invitee) throw httpError(404, 'Участник с такой картой или телефоном не найден');
+      const inviteeId = invitee.id;
+      if (inviteeId === req.userId) throw httpError(400, 'Нельзя пригласить самого себя');
+      if (await activeMembership(db, inviteeId)) throw httpError(400, 'Этот участник уже состоит в семейном счёте');
+
+      const members = await db.query('SELECT * FROM family_members WHERE family_id=$1', [head.family_id]);
+      const existing = members.rows.find(m => m.user_id === inviteeId);
+      const taken = members.rows.filter(m => m !== existing && !inviteExpired(m)).length;
+      if (taken >= FAMILY_MAX_MEMBERS) throw httpError(400, `В семейном счёте может быть не больше ${FAMILY_MAX_MEMBERS} человек`);
+
+      if (existing && !inviteExpired(existing)) throw httpError(400, 'Приглашение уже отправлено');
+      if (existing) {
+        await db.query('UPDATE family_members SET invited_at=$2 WHERE id=$1', [existing.id, new Date()]);
+      } else {
+        await db.query('INSERT INTO family_members (family_id, user_id, invited_at) VALUES ($1,$2,$3)', [head.family_id, inviteeId, new Date()]);
+      }
+
+      const { rows } = await db.query('SELECT fio FROM users WHERE id=$1', [req.userId]);
+      await notify(inviteeId, 'family_invite', 'Приглашение в семейный счёт',
+        `${rows[0].fio || 'Участник программы'} приглашает вас в семейный счёт. Приглашение действует ${FAMILY_INVITE_DAYS} дней.`,
+        { family_id: head.family_id }, db);
+      return loadFamily(db, req.userId);
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Ошибка приглашения в семейный счёт');
+  }
+});
+
+app.post('/api/family/invitations/:id/:action(accept|decline)', authMiddleware, async (req, res) => {
+  try {
+    const result = await withTransaction(async db => {
+      const { rows } = await db.query(
+        "SELECT m.*, f.head_user_id FROM family_members m JOIN families f ON f.id = m.family_id WHERE m.id=$1 AND m.user_id=$2 AND m.status='invited'",
+        [Number(req.params.id) || 0, req.userId]
+      );
+      const invite = rows[0];
+      if (!invite || inviteExpired(invite)) throw httpError(404, 'Приглашение не найдено или истекло');
+
+      if (req.params.action === 'decline') {
+        await db.query('DELETE FROM family_members WHERE id=$1', [invite.id]);
+        return loadFamily(db, req.userId);
+      }
+
+      if (await activeMembership(db, req.userId)) throw httpError(400, 'Сначала выйдите из текущего семейного счёта');
+      try {
+        await db.query("UPDATE family_members SET status='active', joined_at=$2 WHERE id=$1", [invite.id, new Date()]);
+      } catch (err) {
+        if (err.code === '23505') throw httpError(409, 'Вы уже состоите в семейном счёте');
+        throw err;
+      }
+      const { rows: me } = await db.query('SELECT fio FROM users WHERE id=$1', [req.userId]);
+      await notify(invite.head_user_id, 'family_joined', 'Новый участник семейного счёта',
+        `${me[0].fio || 'Участник'} принял приглашение.`, { family_id: invite.family_id }, db);
+      return loadFamily(db, req.userId);
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Ошибка ответа на приглашение');
+  }
+});
+
+// Право тратить общие мили и месячный лимит (spend_limit: null — без лимита)
+app.patch('/api/family/members/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await withTransaction(async db => {
+      const head = await requireFamilyHead(db, req.userId);
+      const { rows } = await db.query(
+        "SELECT * FROM family_members WHERE id=$1 AND family_id=$2 AND role='member'",
+        [Number(req.params.id) || 0, head.family_id]
+      );
+      if (!rows.length) throw httpError(404, 'Участник не найден');
+
+      const member = rows[0];
+      const canSpend = 'can_spend' in req.body ? Boolean(req.body.can_spend) : member.can_spend;
+      let limit = member.spend_limit;
+      if ('spend_limit' in req.body) {
+        limit = req.body.spend_limit === null ? null : Math.floor(Number(req.body.spend_limit));
+        if (limit !== null && !(limit >= 0)) throw httpError(400, 'Некорректный лимит');
+      }
+      await db.query('UPDATE family_members SET can_spend=$2, spend_limit=$3 WHERE id=$1', [member.id, canSpend, limit]);
+      return loadFamily(db, req.userId);
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения прав участника');
+  }
+});
+
+// Глава удаляет участника или отзывает приглашение; участник может выйти сам
+app.delete('/api/family/members/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await withTransaction(async db => {
+      const { rows } = await db.query('SELECT * FROM family_members WHERE id=$1', [Number(req.params.id) || 0]);
+      const member = rows[0];
+      if (!member || member.role === 'head') throw httpError(404, 'Участник не найден');
+
+      if (member.user_id !== req.userId) {
+        const head = await requireFamilyHead(db, req.userId);
+        if (head.family_id !== member.family_id) throw httpError(404, 'Участник не найден');
+      }
+      await db.query('DELETE FROM family_members WHERE id=$1', [member.id]);
+      if (member.user_id !== req.userId && member.status === 'active') {
+        await notify(member.user_id, 'family_removed', 'Семейный счёт',
+          'Глава семьи исключил вас из семейного счёта.', { family_id: member.family_id }, db);
+      }
+      return loadFamily(db, req.userId);
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Ошибка удаления участника');
+  }
+});
+
+// Закрыть семейный счёт может только глава; мили остаются на личных счетах
+app.delete('/api/family', authMiddleware, async (req, res) => {
+  try {
+    await withTransaction(async db => {
+      const head = await requireFamilyHead(db, req.userId);
+      const { rows } = await db.query(
+        "SELECT user_id FROM family_members WHERE family_id=$1 AND status='active' AND role='member'",
+        [head.family_id]
+      );
+      await db.query('DELETE FROM families WHERE id=$1', [head.family_id]);
+      for (const m of rows) {
+        await notify(m.user_id, 'family_closed', 'Семейный счёт закрыт', 'Глава семьи закрыл семейный счёт.', null, db);
+      }
+    });
+    res.json({ ok: true, exists: false });
+  } catch (err) {
+    sendError(res, err, 'Ошибка закрытия семейного счёта');
+  }
+});
+
+// =======================
+// MILES LEDGER
+// =======================
+// Все движения бонусных миль — записи miles_transactions; users.bonus_miles — кэш остатка,
+// который меняется только в той же транзакции, что и запись в журнале.
+const MILES_ENTRY_TYPES = ['accrual', 'redemption', 'expiry', 'adjustment', 'transfer'];
+const BONUS_MILES_INACTIVITY_MONTHS = Number(process.env.BONUS_MILES_INACTIVITY_MONTHS || 24);
+const MILES_HISTORY_PAGE_SIZE = 20;
+const MILES_TRANSFER_MIN = 100;
+
+// Списание (amount < 0) проходит только при достаточном остатке — проверка и изменение в одном UPDATE
+async function postMilesEntry(db, userId, type, amount, description, { refType = null, refId = null } = {}) {
+  if (!MILES_ENTRY_TYPES.includes(type)) throw new Error(`Unknown miles entry type: ${type}`);
+  if (!Number.isInteger(amount) || amount === 0) throw httpError(400, 'Некорректное количество миль');
+
+  const { rows } = await db.query(
+    amount < 0
+      ? 'UPDATE users SET bonus_miles = bonus_miles + $2 WHERE id=$1 AND bonus_miles + $2 >= 0 RETURNING bonus_miles'
+      : 'UPDATE users SET bonus_miles = COALESCE(bonus_miles,0) + $2 WHERE id=$1 RETURNING bonus_miles',
+    [userId, amount]
+  );
+  if (!rows.length) throw httpError(400, 'Недостаточно миль на счёте');
+
+  const balance = rows[0].bonus_miles;
+  await db.query(
+    `INSERT INTO miles_transactions (user_id, type, amount, balance_after, description, ref_type, ref_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [userId, type, amount, balance, description, refType, refId]
+  );
+  return balance;
+}
+
+// Команда вида "12345678 +500" (номер карты, затем количество миль)
+function parseCommand(text) {
+  const m = String(text || '').match(/(\d{6,})\D+?\+?(\d{1,7})\b/);
+  if (!m) return null;
+  const amount = Number(m[2]);
+  return amount > 0 ? { card_number: m[1], amount } : null;
+}
+
+// Переход на журнал: старые типы -> новые, остаток без истории -> начальная корректировка
+async function migrateMilesLedger() {
+  await pool.query("UPDATE miles_transactions SET type='accrual' WHERE type IN ('topup','promo')");
+  await pool.query("UPDATE miles_transactions SET type='redemption' WHERE type='redemption_refund'");
+
+  const { rows } = await pool.query(
+    `SELECT u.id, COALESCE(u.bonus_miles,0) AS balance, COALESCE(SUM(t.amount),0) AS ledger
+     FROM users u LEFT JOIN miles_transactions t ON t.user_id = u.id
+     WHERE NOT EXISTS (SELECT 1 FROM miles_transactions o WHERE o.user_id = u.id AND o.ref_type='opening')
+     GROUP BY u.id, u.bonus_miles`
+  );
+  for (const u of rows) {
+    const diff = Number(u.balance) - Number(u.ledger);
+    if (!diff) continue;
+    await pool.query(
+      `INSERT INTO miles_transactions (user_id, type, amount, balance_after, description, ref_type)
+       VALUES ($1,'adjustment',$2,$3,'Начальный остаток','opening')`,
+      [u.id, diff, u.balance]
+    );
+  }
+}
+
+// Пользователи, у которых кэш остатка разошёлся с суммой по журналу
+async function reconcileMiles(userId = null) {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.card_number, COALESCE(u.bonus_miles,0) AS balance, COALESCE(SUM(t.amount),0) AS ledger
+     FROM users u LEFT JOIN miles_transactions t ON t.user_id = u.id
+     ${userId ? 'WHERE u.id = $1' : ''}
+     GROUP BY u.id, u.card_number, u.bonus_miles`,
+    userId ? [userId] : []
+  );
+  return rows
+    .map(r => ({ user_id: r.id, card_number: r.card_number, balance: Number(r.balance), ledger: Number(r.ledger) }))
+    .filter(r => r.balance !== r.ledger)
+    .map(r => ({ ...r, drift: r.balance - r.ledger }));
+}
+
+// Бонусные мили сгорают, если по счёту не было движений BONUS_MILES_INACTIVITY_MONTHS
+async function expireInactiveMiles() {
+  const cutoff = addMonths(new Date(), -BONUS_MILES_INACTIVITY_MONTHS);
+  const { rows } = await pool.query(
+    `SELECT u.id, u.bonus_miles FROM users u
+     WHERE u.bonus_miles > 0
+       AND NOT EXISTS (SELECT 1 FROM miles_transactions t WHERE t.user_id = u.id AND t.created_at > $1)`,
+    [cutoff]
+  );
+  for (const u of rows) {
+    await withTransaction(async db => {
+      await postMilesEntry(db, u.id, 'expiry', -u.bonus_miles,
+        `Мили сгорели: нет движений по счёту ${BONUS_MILES_INACTIVITY_MONTHS} мес.`);
+      await notify(u.id, 'miles_expired', 'Мили сгорели',
+        `${u.bonus_miles} миль списаны из-за отсутствия активности.`, null, db);
+    });
+  }
+}
+
+setInterval(async () => {
+  try {
+    await expireInactiveMiles();
+    const drift = await reconcileMiles();
+    if (drift.length) console.warn('miles ledger drift', drift);
+  } catch (err) {
+    console.error('miles ledger jobs err', err);
+  }
+}, 24 * 60 * 60 * 1000);
+
+function formatMilesEntry(t) {
+  return {
+    id: t.id,
+    type: t.type,
+    title: t.description || t.type,
+    miles: t.amount,
+    balance_after: t.balance_after,
+    ref_type: t.ref_type,
+    ref_id: t.ref_id,
+    created_at: t.created_at,
+  };
+}
+
+// История с пагинацией: ?page=1&limit=20&type=accrual
+app.get('/api/miles/history', authMiddleware, async (req, res) => {
+  try {
+    const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+    const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query.limit)) || MILES_HISTORY_PAGE_SIZE));
+    const type = MILES_ENTRY_TYPES.includes(req.query.type) ? req.query.type : null;
+
+    const params = type ? [req.userId, type] : [req.userId];
+    const where = type ? 'WHERE user_id=$1 AND type=$2' : 'WHERE user_id=$1';
+    const total = await pool.query(`SELECT COUNT(*) AS count FROM miles_transactions ${where}`, params);
+    const { rows } = await pool.query(
+      `SELECT * FROM miles_transactions ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ items: rows.map(formatMilesEntry), page, limit, total: Number(total.rows[0].count) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка истории миль');
+  }
+});
+
+// Для модалки управления картой: { miles, transactions }
+app.get('/api/profile/full', authMiddleware, async (req, res) => {
+  try {
+    const user = await getUserById(req.userId);
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    const { rows } = await pool.query(
+      'SELECT * FROM miles_transactions WHERE user_id=$1 ORDER BY id DESC LIMIT $2',
+      [req.userId, MILES_HISTORY_PAGE_SIZE]
+    );
+    res.json({ user, miles: user.bonus_miles || 0, transactions: rows.map(formatMilesEntry) });
+  } catch (err) {
+    sendError(res, err, 'Profile error');
+  }
+});
+
+// Перевод миль участнику своего семейного счёта
+app.post('/api/miles/transfer', authMiddleware, async (req, res) => {
+  try {
+    const miles = Math.floor(Number(req.body.miles));
+    const card = String(req.body.to_card || req.body.to_phone || '').trim();
+    if (!card) return res.status(400).json({ error: 'Укажите карту или телефон получателя' });
+    if (!(miles >= MILES_TRANSFER_MIN)) return res.status(400).json({ error: `Минимальный перевод — ${MILES_TRANSFER_MIN} миль` });
+
+    const balance = await withTransaction(async db => {
+      const to = await findMember(db, card);
+      if (!to || to.id === req.userId) throw httpError(404, 'Получатель не найден');
+
+      const mine = await activeMembership(db, req.userId);
+      const theirs = await activeMembership(db, to.id);
+      if (!mine || !theirs || mine.family_id !== theirs.family_id)
+        throw httpError(403, 'Переводить мили можно только участникам своего семейного счёта');
+
+      const { rows } = await db.query('SELECT fio, card_number FROM users WHERE id=$1', [req.userId]);
+      const left = await postMilesEntry(db, req.userId, 'transfer', -miles, `Перевод ${to.fio || card}`, { refType: 'user', refId: to.id });
+      const received = await postMilesEntry(db, to.id, 'transfer', miles, `Перевод от ${rows[0].fio || rows[0].card_number}`, { refType: 'user', refId: req.userId });
+      await notifyTemplate(to.id, 'miles_transfer', { miles, from: rows[0].fio || 'Участник семьи', balance: received }, null, db);
+      return left;
+    });
+    res.json({ ok: true, balance });
+  } catch (err) {
+    sendError(res, err, 'Ошибка перевода миль');
+  }
+});
+
+app.get('/api/admin/miles/reconcile', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const drift = await reconcileMiles(req.query.user_id ? Number(req.query.user_id) : null);
+    res.json({ ok: drift.length === 0, drift });
+  } catch (err) {
+    sendError(res, err, 'Ошибка сверки миль');
+  }
+});
+
+// =======================
+// ADMIN
+// =======================
+// Первые администраторы назначаются через ADMIN_PHONES (через запятую), дальше — из админки
+async function bootstrapAdmins() {
+  const phones = String(process.env.ADMIN_PHONES || '').split(',').map(p => p.replace(/\D/g, '')).filter(Boolean);
+  for (const phone of phones) {
+    await pool.query("UPDATE users SET role='admin' WHERE phone=$1 AND role <> 'admin'", [phone]);
+  }
+}
+
+async function audit(db, actorId, action, targetUserId, details = null) {
+  await db.query(
+    'INSERT INTO admin_audit (actor_id, action, target_user_id, details) VALUES ($1,$2,$3,$4)',
+    [actorId, action, targetUserId, details ? JSON.stringify(details) : null]
+  );
+}
+
+const ADMIN_USER_FIELDS = 'id, fio, phone, email, card_number, card_type, tier, bonus_miles, status_miles, role';
+
+// Поиск по телефону, номеру карты, email или ФИО
+app.get('/api/admin/users', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.status(400).json({ error: 'Введите хотя бы 2 символа' });
+    const digits = q.replace(/\D/g, '');
+    // LOWER в базе не везде понимает кириллицу, поэтому ищем и как ввели, и в нижнем регистре
+    const { rows } = await pool.query(
+      `SELECT ${ADMIN_USER_FIELDS} FROM users
+       WHERE fio LIKE $1 OR LOWER(fio) LIKE $2 OR LOWER(email) LIKE $2
+          OR card_number = $3 OR ($4 <> '' AND phone LIKE $4)
+       ORDER BY id LIMIT 50`,
+      [`%${q}%`, `%${q.toLowerCase()}%`, q, digits.length >= 4 ? `%${digits}%` : '']
+    );
+    res.json({ users: rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка поиска пользователей');
+  }
+});
+
+app.get('/api/admin/users/:id', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id) || 0;
+    const { rows } = await pool.query(`SELECT ${ADMIN_USER_FIELDS} FROM users WHERE id=$1`, [id]);
+    if (!rows.length) return res.status(404).json({ error: 'Пользователь не найден' });
+    const ledger = await pool.query('SELECT * FROM miles_transactions WHERE user_id=$1 ORDER BY id DESC LIMIT 20', [id]);
+    const bookings = await pool.query('SELECT pnr, status, total_amount, created_at FROM bookings WHERE user_id=$1 ORDER BY id DESC LIMIT 10', [id]);
+    res.json({ user: rows[0], transactions: ledger.rows.map(formatMilesEntry), bookings: bookings.rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки пользователя');
+  }
+});
+
+// Ручная корректировка миль: причина обязательна и попадает и в журнал миль, и в аудит
+app.post('/api/admin/users/:id/miles', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const amount = Math.trunc(Number(req.body.amount));
+    const reason = String(req.body.reason || '').trim();
+    if (!amount) return res.status(400).json({ error: 'Укажите количество миль (можно со знаком минус)' });
+    if (reason.length < 3) return res.status(400).json({ error: 'Укажите причину корректировки' });
+
+    const balance = await withTransaction(async db => {
+      const { rows } = await db.query('SELECT id FROM users WHERE id=$1', [Number(req.params.id) || 0]);
+      if (!rows.length) throw httpError(404, 'Пользователь не найден');
+      const left = await postMilesEntry(db, rows[0].id, 'adjustment', amount, `Корректировка: ${reason}`, { refType: 'admin', refId: req.userId });
+      await audit(db, req.userId, 'miles_adjustment', rows[0].id, { amount, reason });
+      await notifyTemplate(rows[0].id, 'miles_adjustment', { amount, reason, balance: left }, null, db);
+      return left;
+    });
+    res.json({ ok: true, balance });
+  } catch (err) {
+    sendError(res, err, 'Ошибка корректировки миль');
+  }
+});
+
+app.post('/api/admin/notifications', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const title = String(req.body.title || '').trim();
+    const message = String(req.body.message || '').trim();
+    if (!title || !message) return res.status(400).json({ error: 'Заполните заголовок и текст' });
+
+    const target = req.body.user_id
+      ? await pool.query('SELECT id FROM users WHERE id=$1', [Number(req.body.user_id) || 0])
+      : await pool.query('SELECT id FROM users WHERE card_number=$1', [String(req.body.card_number || '')]);
+    if (!target.rows.length) return res.status(404).json({ error: 'Пользователь не найден' });
+
+    await withTransaction(async db => {
+      await notify(target.rows[0].id, 'admin_message', title, message, null, db);
+      await audit(db, req.userId, 'notification', target.rows[0].id, { title });
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отправки уведомления');
+  }
+});
+
+app.put('/api/admin/users/:id/role', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id) || 0;
+    const role = req.body.role;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `Роль: ${ROLES.join(', ')}` });
+    if (id === req.userId) return res.status(400).json({ error: 'Нельзя менять собственную роль' });
+
+    const user = await withTransaction(async db => {
+      const { rows } = await db.query(`UPDATE users SET role=$2 WHERE id=$1 RETURNING ${ADMIN_USER_FIELDS}`, [id, role]);
+      if (!rows.length) throw httpError(404, 'Пользователь не найден');
+      await audit(db, req.userId, 'role_change', id, { role });
+      return rows[0];
+    });
+    res.json({ ok: true, user });
+  } catch (err) {
+    sendError(res, err, 'Ошибка смены роли');
+  }
+});
+
+app.get('/api/admin/audit', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT a.*, u.fio AS actor_name FROM admin_audit a LEFT JOIN users u ON u.id = a.actor_id
+       ORDER BY a.id DESC LIMIT 100`
+    );
+    res.json({ entries: rows });
+  } catch (err) {
+    sendError(res, err, 'Ошибка журнала действий');
+  }
+});
+
+// =======================
+// SHOP CATALOG
+// =======================
+// Цена и остаток берутся только из каталога: клиент присылает товар, размер и количество.
+// Заказ: created -> paid -> shipped -> delivered; отменить можно до передачи в доставку.
+const SHOP_CATEGORIES = [
+  { slug: 'apparel', title: 'Одежда', sort: 1 },
+  { slug: 'sets', title: 'Наборы', sort: 2 },
+  { slug: 'gadgets', title: 'Гаджеты', sort: 3 },
+  { slug: 'stationery', title: 'Канцелярия', sort: 4 },
+];
+const SEED_PRODUCTS = [
+  {
+    sku: 'plt01', category: 'apparel', price: 2590, stock: 20, sizes: ['S', 'M', 'L', 'XL/XXL'],
+    name: 'Фирменная футболка S7avelii Airlines - ближе к небу',
+    description: 'Мягкий флисовый плед в фирменных цветах, компактный для полётов.',
+    images: ['images/photo_5294320566066154454_y.avif'],
+    specs: { Материал: 'Хлопок', Вес: '320 г' },
+  },
+  {
+    sku: 'pk02', category: 'sets', price: 4990, stock: 30,
+    name: 'Дорожный набор «Комфорт»',
+    description: 'Набор для путешествия: пауэрбанк, блокнот, футболка с длинным рукавом',
+    images: ['images/photo_5294320566066155493_y.avif'],
+    specs: { Состав: 'Маска, беруши, подушка', Вес: '250 г' },
+  },
+  {
+    sku: 'hd03', category: 'gadgets', price: 2490, stock: 50,
+    name: 'Пауэрбанк S7avelii',
+    description: 'Современный пауэрбанк, зарядит ваш телефон для приключения',
+    images: ['images/photo_5294320566066155491_y.avif'],
+    specs: { Цвет: 'белый' },
+  },
+  {
+    sku: 'bag04', category: 'apparel', price: 3290, stock: 20, sizes: ['S', 'M', 'L', 'XL'],
+    name: 'Фирменная футболка с длинным рукавом S7avelii Airlines - ближе к небу',
+    description: 'Водостойкая косметичка с отделениями для путешествий.',
+    images: ['images/photo_5294320566066154455_y.avif'],
+    specs: { Материал: 'хлопок' },
+  },
+  {
+    sku: 'cup05', category: 'stationery', price: 500, stock: 100,
+    name: 'Блокнот S7avelii',
+    description: 'Блокнот в премиум стиле s7avelii Airlines',
+    images: ['images/photo_5294320566066155493_y.avif'],
+    specs: { Объём: '24 листа', Разлиновка: 'клеточка' },
+  },
+  {
+    sku: 'set06', category: 'sets', price: 2800, stock: 30,
+    name: 'Подарочный набор «Путешественник»',
+    description: 'Футболка с коротким рукавом, блокнот',
+    images: ['images/photo_5294320566066155490_y.avif'],
+    specs: { Комплектация: 'блокнот и футболка', Подарочный: 'для любителей авиации' },
+  },
+];
+const ORDER_STATUSES = ['created', 'paid', 'shipped', 'delivered', 'cancelled'];
+const ORDER_TRANSITIONS = {
+  created: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+const ORDER_STATUS_TITLES = { paid: 'оплачен', shipped: 'передан в доставку', delivered: 'доставлен', cancelled: 'отменён' };
+// Мили за покупку — процент от суммы, оплаченной деньгами; начисляются после доставки
+const SHOP_MILES_PERCENT = Number(process.env.SHOP_MILES_PERCENT || 5);
+const ORDER_MAX_QTY = 10;
+// Товар списывается со склада при оформлении; неоплаченный заказ держит его ORDER_HOLD_MIN минут
+const ORDER_HOLD_MIN = Number(process.env.ORDER_HOLD_MIN || 30);
+
+async function seedCatalog() {
+  for (const c of SHOP_CATEGORIES) {
+    await pool.query(
+      'INSERT INTO product_categories (slug, title, sort) VALUES ($1,$2,$3) ON CONFLICT (slug) DO NOTHING',
+      [c.slug, c.title, c.sort]
+    );
+  }
+  for (const [i, p] of SEED_PRODUCTS.entries()) {
+    const { rows } = await pool.query(
+      `INSERT INTO products (sku, name, price, category, description, images, specs, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (sku) DO NOTHING RETURNING id`,
+      [p.sku, p.name, p.price, p.category, p.description, JSON.stringify(p.images), JSON.stringify(p.specs), i + 1]
+    );
+    // уже заведённые товары не трогаем: остатки и цены дальше меняет администратор
+    if (!rows.length) continue;
+    for (const size of p.sizes || [null]) {
+      await pool.query(
+        'INSERT INTO product_variants (product_id, sku, size, stock) VALUES ($1,$2,$3,$4)',
+        [rows[0].id, size ? `${p.sku}-${size}` : p.sku, size, p.stock]
+      );
+    }
+  }
+  // демо-товары без артикула в продажу больше не выводим
+  await pool.query('UPDATE products SET active=FALSE WHERE sku IS NULL');
+}
+
+function placeholders(values, offset = 0) {
+  return values.map((_, i) => `$${i + offset + 1}`).join(',');
+}
+
+function formatProduct(p, variants) {
+  const images = p.images || [];
+  return {
+    id: p.id,
+    sku: p.sku,
+    name: p.name,
+    price: p.price,
+    category: p.category,
+    description: p.description,
+    image: images[0] || null,
+    images,
+    specs: p.specs || {},
+    variants: variants.map(v => ({ id: v.id, sku: v.sku, size: v.size, price: v.price ?? p.price, stock: v.stock })),
+    in_stock: variants.some(v => v.stock > 0),
+  };
+}
+
+async function loadProducts(db, { category = null, key = null } = {}) {
+  const where = ['active = TRUE'];
+  const params = [];
+  if (category) {
+    params.push(category);
+    where.push(`category = $${params.length}`);
+  }
+  if (key) {
+    const byId = /^\d+$/.test(String(key));
+    params.push(byId ? Number(key) : String(key));
+    where.push(`${byId ? 'id' : 'sku'} = $${params.length}`);
+  }
+  const { rows } = await db.query(`SELECT * FROM products WHERE ${where.join(' AND ')} ORDER BY sort, id`, params);
+  if (!rows.length) return [];
+  const ids = rows.map(p => p.id);
+  const variants = await db.query(`SELECT * FROM product_variants WHERE product_id IN (${placeholders(ids)}) ORDER BY id`, ids);
+  return rows.map(p => formatProduct(p, variants.rows.filter(v => v.product_id === p.id)));
+}
+
+// Позиция корзины: variant_id либо товар (id или артикул) + размер
+async function findVariant(db, item) {
+  const cols = 'v.id, v.product_id, v.size, v.stock, COALESCE(v.price, p.price) AS price, p.name, p.sku';
+  const from = 'FROM product_variants v JOIN products p ON p.id = v.product_id';
+  if (item.variant_id) {
+    const { rows } = await db.query(`SELECT ${cols} ${from} WHERE v.id=$1 AND p.active = TRUE`, [Number(item.variant_id) || 0]);
+    if (!rows.length) throw httpError(404, 'Товар не найден');
+    return rows[0];
+  }
+  const key = item.sku || item.product_id || item.id;
+  const byId = /^\d+$/.test(String(key));
+  const { rows } = await db.query(
+    `SELECT ${cols} ${from} WHERE ${byId ? 'p.id' : 'p.sku'}=$1 AND p.active = TRUE ORDER BY v.id`,
+    [byId ? Number(key) : String(key || '')]
+  );
+  if (!rows.length) throw httpError(404, 'Товар не найден');
+  if (rows.length === 1 && !rows[0].size) return rows[0];
+  const size = String(item.size || '').trim();
+  if (!size) throw httpError(400, `Выберите размер: «${rows[0].name}»`);
+  const variant = rows.find(v => v.size === size);
+  if (!variant) throw httpError(400, `Размера ${size} нет у товара «${rows[0].name}»`);
+  return variant;
+}
+
+// Одинаковые позиции склеиваются; порядок по id варианта — чтобы параллельные заказы не взаимоблокировались
+async function resolveOrderLines(db, items) {
+  if (!Array.isArray(items) || !items.length) throw httpError(400, 'Корзина пуста');
+  const lines = new Map();
+  for (const item of items) {
+    const qty = Number(item.qty || 1);
+    if (!Number.isInteger(qty) || qty < 1) throw httpError(400, 'Некорректное количество товара');
+    const variant = await findVariant(db, item);
+    const line = lines.get(variant.id) || { ...variant, qty: 0 };
+    line.qty += qty;
+    if (line.qty > ORDER_MAX_QTY) throw httpError(400, `Не больше ${ORDER_MAX_QTY} шт. одного товара в заказе`);
+    lines.set(variant.id, line);
+  }
+  return [...lines.values()].sort((a, b) => a.id - b.id);
+}
+
+// Резерв — условный UPDATE: при параллельных заказах остаток не уходит в минус
+async function reserveStock(db, line) {
+  const { rows } = await db.query(
+    'UPDATE product_variants SET stock = stock - $2 WHERE id=$1 AND stock >= $2 RETURNING stock',
+    [line.id, line.qty]
+  );
+  if (!rows.length) throw httpError(409, `Недостаточно на складе: «${line.name}»${line.size ? ` (${line.size})` : ''}`);
+}
+
+async function releaseStock(db, orderId) {
+  const { rows } = await db.query('SELECT variant_id, qty FROM order_items WHERE order_id=$1 AND variant_id IS NOT NULL', [orderId]);
+  for (const item of rows) {
+    await db.query('UPDATE product_variants SET stock = stock + $2 WHERE id=$1', [item.variant_id, item.qty]);
+  }
+}
+
+function formatOrder(o, items, redemption) {
+  // у заказов, оформленных до каталога, позиции лежат только в orders.items
+  const lines = items.length
+    ? items
+    : (o.items || []).map(i => ({ product_id: i.id || null, variant_id: null, name: i.name, size: null, price: Number(i.price) || 0, qty: Number(i.qty) || 1 }));
+  return {
+    id: o.id,
+    status: o.status,
+    total_amount: o.total_amount,
+    cash_due: o.total_amount - (redemption ? redemption.value_rub : 0),
+    miles_redemption: redemption ? { miles: redemption.miles, value_rub: redemption.value_rub } : null,
+    miles_accrued: o.miles_accrued || 0,
+    items: lines.map(i => ({
+      product_id: i.product_id, variant_id: i.variant_id, name: i.name, size: i.size,
+      price: i.price, qty: i.qty, sum: i.price * i.qty,
+    })),
+    created_at: o.created_at,
+    hold_expires_at: o.status === 'created' ? o.hold_expires_at : null,
+    paid_at: o.paid_at,
+    shipped_at: o.shipped_at,
+    delivered_at: o.delivered_at,
+    cancelled_at: o.cancelled_at,
+  };
+}
+
+async function formatOrders(db, orders) {
+  if (!orders.length) return [];
+  const ids = orders.map(o => o.id);
+  const items = await db.query(`SELECT * FROM order_items WHERE order_id IN (${placeholders(ids)}) ORDER BY id`, ids);
+  const redemptions = await db.query(
+    `SELECT * FROM miles_redemptions WHERE target_type='order' AND status='active' AND target_id IN (${placeholders(ids)})`,
+    ids
+  );
+  return orders.map(o => formatOrder(
+    o,
+    items.rows.filter(i => i.order_id === o.id),
+    redemptions.rows.find(r => r.target_id === o.id)
+  ));
+}
+
+async function loadOrder(db, orderId, userId = null) {
+  const { rows } = await db.query('SELECT * FROM orders WHERE id=$1', [orderId]);
+  if (!rows.length || (userId && rows[0].user_id !== userId)) throw httpError(404, 'Заказ не найден');
+  return (await formatOrders(db, rows))[0];
+}
+
+// Переход статуса — условный UPDATE из допустимых исходных статусов; userId ограничивает заказами владельца
+async function setOrderStatus(db, orderId, status, { userId = null, reason = null } = {}) {
+  const from = ORDER_STATUSES.filter(s => ORDER_TRANSITIONS[s].includes(status));
+  if (!from.length) throw httpError(400, `Статус: ${ORDER_STATUSES.filter(s => s !== 'created').join(', ')}`);
+
+  const params = [orderId, status, new Date(), ...from];
+  let sql = `UPDATE orders SET status=$2, ${status}_at=$3 WHERE id=$1 AND status IN (${placeholders(from, 3)})`;
+  if (userId) {
+    params.push(userId);
+    sql += ` AND user_id=$${params.length}`;
+  }
+  const { rows } = await db.query(`${sql} RETURNING *`, params);
+  if (!rows.length) {
+    const current = await db.query('SELECT user_id, status FROM orders WHERE id=$1', [orderId]);
+    const o = current.rows[0];
+    if (!o || (userId && o.user_id !== userId)) throw httpError(404, 'Заказ не найден');
+    throw httpError(409, status === 'cancelled'
+      ? 'Заказ уже передан в доставку или отменён'
+      : `Заказ в статусе ${o.status}, перевести в ${status} нельзя`);
+  }
+  const order = rows[0];
+
+  let message = `Статус заказа №${order.id}: ${ORDER_STATUS_TITLES[status]}.`;
+  if (reason) message += ` ${reason}.`;
+  let milesRefunded = 0;
+  if (status === 'cancelled') {
+    await releaseStock(db, order.id);
+    await cancelOpenPayments(db, 'order', order.id);
+    const cashRefunded = await refundTargetPayments(db, 'order', order.id, null, `Отмена заказа №${order.id}`);
+    const reversed = await reverseRedemption(db, 'order', order.id, `Возврат миль: отмена заказа №${order.id}`);
+    milesRefunded = reversed ? reversed.miles : 0;
+    if (cashRefunded) message += ` ${cashRefunded} ₽ вернутся на карту.`;
+    if (milesRefunded) message += ` Возвращено ${milesRefunded} миль.`;
+  }
+  if (status === 'delivered') {
+    const redemption = await db.query(
+      "SELECT value_rub FROM miles_redemptions WHERE target_type='order' AND target_id=$1 AND status='active'",
+      [order.id]
+    );
+    const cash = order.total_amount - (redemption.rows[0] ? redemption.rows[0].value_rub : 0);
+    const miles = Math.floor(cash * SHOP_MILES_PERCENT / 100);
+    if (miles > 0 && order.user_id) {
+      await postMilesEntry(db, order.user_id, 'accrual', miles, `Мили за заказ №${order.id}`, { refType: 'order', refId: order.id });
+      await db.query('UPDATE orders SET miles_accrued=$2 WHERE id=$1', [order.id, miles]);
+      message += ` Начислено ${miles} миль.`;
+    }
+  }
+  if (order.user_id) {
+    await notify(order.user_id, 'order_status', `Заказ №${order.id} ${ORDER_STATUS_TITLES[status]}`, message, { order_id: order.id, status }, db);
+  }
+  return { order: await loadOrder(db, order.id), miles_refunded: milesRefunded };
+}
+
+// Неоплаченные вовремя заказы отменяются: товар возвращается на склад, списанные мили — на счёт
+async function expireOrderHolds() {
+  const { rows } = await pool.query("SELECT id FROM orders WHERE status='created' AND hold_expires_at < $1", [new Date()]);
+  for (const o of rows) {
+    try {
+      await withTransaction(db => setOrderStatus(db, o.id, 'cancelled', { reason: 'Время на оплату истекло, товар вернулся в продажу' }));
+    } catch (err) {
+      if (!err.status) throw err; // заказ успели оплатить или отменить
+    }
+  }
+}
+
+setInterval(() => {
+  expireOrderHolds().catch(err => console.error('expire order holds err', err));
+}, 60 * 1000);
+
+app.get('/api/shop', async (req, res) => {
+  try {
+    const categories = await pool.query('SELECT slug, title FROM product_categories ORDER BY sort, slug');
+    const products = await loadProducts(pool, { category: req.query.category ? String(req.query.category) : null });
+    res.json({ categories: categories.rows, products });
+  } catch (err) {
+    sendError(res, err, 'Ошибка каталога');
+  }
+});
+
+app.get('/api/shop/products/:key', async (req, res) => {
+  try {
+    const [product] = await loadProducts(pool, { key: req.params.key });
+    if (!product) return res.status(404).json({ error: 'Товар не найден' });
+    res.json({ product });
+  } catch (err) {
+    sendError(res, err, 'Ошибка каталога');
+  }
+});
+
+// items: [{ sku | product_id | variant_id, size, qty }]; без items оформляется серверная корзина.
+// Цены из клиента игнорируются
+app.post('/api/checkout', authMiddleware, async (req, res) => {
+  try {
+    const miles = Math.floor(Number(req.body.miles) || 0);
+    const fromCart = !req.body.items;
+    const order = await withTransaction(async db => {
+      const requested = fromCart
+        ? (await db.query('SELECT variant_id, qty FROM cart_items WHERE user_id=$1 ORDER BY id', [req.userId])).rows
+        : req.body.items;
+      const lines = await resolveOrderLines(db, requested);
+      for (const line of lines) await reserveStock(db, line);
+
+      const items = lines.map(l => ({
+        product_id: l.product_id, variant_id: l.id, sku: l.sku, name: l.name, size: l.size, price: l.price, qty: l.qty,
+      }));
+      const total = items.reduce((sum, i) => sum + i.price * i.qty, 0);
+      const { rows } = await db.query(
+        'INSERT INTO orders (user_id, items, total_amount, hold_expires_at) VALUES ($1,$2,$3,$4) RETURNING id',
+        [req.userId, JSON.stringify(items), total, new Date(Date.now() + ORDER_HOLD_MIN * 60000)]
+      );
+      const orderId = rows[0].id;
+      for (const i of items) {
+        await db.query(
+          'INSERT INTO order_items (order_id, product_id, variant_id, name, size, price, qty) VALUES ($1,$2,$3,$4,$5,$6,$7)',
+          [orderId, i.product_id, i.variant_id, i.name, i.size, i.price, i.qty]
+        );
+      }
+      if (miles > 0) {
+        const redemption = await redeemMiles(db, req.userId, 'order', orderId, miles, { family: Boolean(req.body.miles_from_family) });
+        if (redemption.cash_amount === 0) await setOrderStatus(db, orderId, 'paid');
+      }
+      if (fromCart) await db.query('DELETE FROM cart_items WHERE user_id=$1', [req.userId]);
+      return loadOrder(db, orderId);
+    });
+    res.json({ ok: true, order });
+  } catch (err) {
+    sendError(res, err, 'Ошибка оформления заказа');
+  }
+});
+
+app.get('/api/orders', authMiddleware, async (req, res) => {
+  try {
+    const params = [req.userId];
+    let sql = 'SELECT * FROM orders WHERE user_id=$1';
+    if (req.query.status) {
+      params.push(String(req.query.status));
+      sql += ' AND status=$2';
+    }
+    const { rows } = await pool.query(`${sql} ORDER BY id DESC`, params);
+    res.json({ orders: await formatOrders(pool, rows) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заказов');
+  }
+});
+
+app.get('/api/orders/:id', authMiddleware, async (req, res) => {
+  try {
+    res.json({ order: await loadOrder(pool, Number(req.params.id) || 0, req.userId) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заказа');
+  }
+});
+
+app.post('/api/orders/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const result = await withTransaction(db => setOrderStatus(db, Number(req.params.id) || 0, 'cancelled', { userId: req.userId }));
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены заказа');
+  }
+});
+
+app.get('/api/admin/orders', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const params = [];
+    let sql = 'SELECT * FROM orders';
+    if (req.query.status) {
+      params.push(String(req.query.status));
+      sql += ' WHERE status=$1';
+    }
+    const { rows } = await pool.query(`${sql} ORDER BY id DESC LIMIT 100`, params);
+    const orders = await formatOrders(pool, rows);
+    res.json({ orders: orders.map((o, i) => ({ ...o, user_id: rows[i].user_id })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заказов');
+  }
+});
+
+app.patch('/api/admin/orders/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id) || 0;
+    const result = await withTransaction(async db => {
+      const r = await setOrderStatus(db, id, String(req.body.status || ''));
+      const { rows } = await db.query('SELECT user_id FROM orders WHERE id=$1', [id]);
+      await audit(db, req.userId, 'order_status', rows[0].user_id, { order_id: id, status: req.body.status });
+      return r;
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Ошибка смены статуса заказа');
+  }
+});
+
+// Приход на склад и смена цены варианта
+app.patch('/api/admin/products/variants/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const sets = [];
+    const params = [Number(req.params.id) || 0];
+    for (const field of ['stock', 'price']) {
+      if (req.body[field] === undefined) continue;
+      const value = req.body[field] === null && field === 'price' ? null : Number(req.body[field]);
+      if (value !== null && (!Number.isInteger(value) || value < 0)) return res.status(400).json({ error: `Некорректное значение ${field}` });
+      params.push(value);
+      sets.push(`${field}=$${params.length}`);
+    }
+    if (!sets.length) return res.status(400).json({ error: 'Нечего менять' });
+
+    const variant = await withTransaction(async db => {
+      const { rows } = await db.query(`UPDATE product_variants SET ${sets.join(', ')} WHERE id=$1 RETURNING *`, params);
+      if (!rows.length) throw httpError(404, 'Вариант товара не найден');
+      await audit(db, req.userId, 'product_variant', null, { variant_id: rows[0].id, stock: rows[0].stock, price: rows[0].price });
+      return rows[0];
+    });
+    res.json({ ok: true, variant });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения товара');
+  }
+});
+
+// =======================
+// CART
+// =======================
+// Корзина хранится в cart_items и доступна с любого устройства. В ней только вариант и количество:
+// цены и итог пересчитываются по каталогу, склад резервируется лишь при оформлении заказа.
+async function loadCart(db, userId) {
+  const { rows } = await db.query(
+    `SELECT c.variant_id, c.qty, v.product_id, v.size, v.stock, COALESCE(v.price, p.price) AS price,
+            p.sku, p.name, p.images, p.active
+     FROM cart_items c
+     JOIN product_variants v ON v.id = c.variant_id
+     JOIN products p ON p.id = v.product_id
+     WHERE c.user_id=$1 ORDER BY c.id`,
+    [userId]
+  );
+  const items = rows.map(r => ({
+    variant_id: r.variant_id,
+    product_id: r.product_id,
+    sku: r.sku,
+    name: r.name,
+    size: r.size,
+    image: (r.images || [])[0] || null,
+    price: r.price,
+    qty: r.qty,
+    sum: r.price * r.qty,
+    available: r.active && r.stock >= r.qty,
+  }));
+  return {
+    items,
+    total: items.reduce((sum, i) => sum + i.sum, 0),
+    count: items.reduce((sum, i) => sum + i.qty, 0),
+  };
+}
+
+// qty <= 0 убирает позицию
+async function setCartQty(db, userId, variant, qty) {
+  if (qty <= 0) {
+    await db.query('DELETE FROM cart_items WHERE user_id=$1 AND variant_id=$2', [userId, variant.id]);
+    return;
+  }
+  if (qty > ORDER_MAX_QTY) throw httpError(400, `Не больше ${ORDER_MAX_QTY} шт. одного товара в заказе`);
+  if (qty > variant.stock) throw httpError(409, `Недостаточно на складе: «${variant.name}»${variant.size ? ` (${variant.size})` : ''}`);
+  await db.query(
+    `INSERT INTO cart_items (user_id, variant_id, qty, updated_at) VALUES ($1,$2,$3,$4)
+     ON CONFLICT (user_id, variant_id) DO UPDATE SET qty=excluded.qty, updated_at=excluded.updated_at`,
+    [userId, variant.id, qty, new Date()]
+  );
+}
+
+async function cartQty(db, userId, variantId) {
+  const { rows } = await db.query('SELECT qty FROM cart_items WHERE user_id=$1 AND variant_id=$2', [userId, variantId]);
+  return rows[0] ? rows[0].qty : 0;
+}
+
+function parseQty(value, fallback) {
+  const qty = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(qty) || qty < 0) throw httpError(400, 'Некорректное количество товара');
+  return qty;
+}
+
+app.get('/api/cart', authMiddleware, async (req, res) => {
+  try {
+    res.json(await loadCart(pool, req.userId));
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки корзины');
+  }
+});
+
+// { sku | product_id | variant_id, size, qty } — количество прибавляется к уже лежащему в корзине
+app.post('/api/cart/items', authMiddleware, async (req, res) => {
+  try {
+    const cart = await withTransaction(async db => {
+      const qty = parseQty(req.body.qty, 1);
+      const variant = await findVariant(db, req.body);
+      await setCartQty(db, req.userId, variant, (await cartQty(db, req.userId, variant.id)) + qty);
+      return loadCart(db, req.userId);
+    });
+    res.json({ ok: true, cart });
+  } catch (err) {
+    sendError(res, err, 'Ошибка добавления в корзину');
+  }
+});
+
+app.patch('/api/cart/items/:variantId', authMiddleware, async (req, res) => {
+  try {
+    const cart = await withTransaction(async db => {
+      const qty = parseQty(req.body.qty, undefined);
+      const variant = await findVariant(db, { variant_id: req.params.variantId });
+      await setCartQty(db, req.userId, variant, qty);
+      return loadCart(db, req.userId);
+    });
+    res.json({ ok: true, cart });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения корзины');
+  }
+});
+
+app.delete('/api/cart/items/:variantId', authMiddleware, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM cart_items WHERE user_id=$1 AND variant_id=$2', [req.userId, Number(req.params.variantId) || 0]);
+    res.json({ ok: true, cart: await loadCart(pool, req.userId) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения корзины');
+  }
+});
+
+app.delete('/api/cart', authMiddleware, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM cart_items WHERE user_id=$1', [req.userId]);
+    res.json({ ok: true, cart: await loadCart(pool, req.userId) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка очистки корзины');
+  }
+});
+
+// Гостевая корзина из localStorage после входа: количества складываются и урезаются
+// до лимита и остатка, исчезнувшие из каталога товары возвращаются в skipped
+app.post('/api/cart/merge', authMiddleware, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+    const skipped = [];
+    const cart = await withTransaction(async db => {
+      for (const item of items) {
+        try {
+          const variant = await findVariant(db, item);
+          const qty = Math.min((await cartQty(db, req.userId, variant.id)) + parseQty(item.qty, 1), ORDER_MAX_QTY, variant.stock);
+          if (qty > 0) await setCartQty(db, req.userId, variant, qty);
+          else skipped.push({ item, error: 'Нет в наличии' });
+        } catch (err) {
+          if (!err.status) throw err;
+          skipped.push({ item, error: err.message });
+        }
+      }
+      return loadCart(db, req.userId);
+    });
+    res.json({ ok: true, cart, skipped });
+  } catch (err) {
+    sendError(res, err, 'Ошибка переноса корзины');
+  }
+});
+
+// =======================
+// PAYMENTS
+// =======================
+// Платёж проходит: created -> (requires_action | processing) -> authorized -> captured, либо failed/cancelled.
+// После списания (captured) заказ/бронь исполняются в той же транзакции; если исполнить уже нельзя
+// (бронь истекла, сумма изменилась) — деньги сразу возвращаются. Провайдер выбирается PAYMENT_PROVIDER.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+// без секрета подпись вебхука подделывается: с настроенным провайдером без него не запускаемся,
+// без провайдера оплата картой выключена и вебхуки не принимаются
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+if (PAYMENT_PROVIDER && !PAYMENT_WEBHOOK_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET не задан');
+// Тестовый эквайринг — только для локальной разработки: явно PAYMENT_PROVIDER=mock и не production
+const MOCK_PAYMENTS_ENABLED = PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV !== 'production';
+if (PAYMENT_PROVIDER === 'mock' && !MOCK_PAYMENTS_ENABLED) console.error('PAYMENT_PROVIDER=mock в production отключён');
+const PAYMENT_OPEN_STATUSES = ['created', 'requires_action', 'processing', 'authorized'];
+const PAYMENT_EVENT_STATUSES = {
+  'payment.authorized': 'authorized',
+  'payment.succeeded': 'captured',
+  'payment.failed': 'failed',
+};
+
+// Что можно оплатить картой: load — сумма к оплате деньгами, fulfil — что сделать после списания
+const PAYABLE = {
+  order: {
+    async load(db, userId, key) {
+      const order = await loadOrder(db, Number(key) || 0, userId);
+      if (order.status !== 'created') throw httpError(400, 'Заказ уже оплачен или отменён');
+      if (order.hold_expires_at && order.hold_expires_at < new Date()) throw httpError(400, 'Время на оплату заказа истекло');
+      return { id: order.id, key: String(order.id), amount: order.cash_due, title: `Заказ №${order.id}` };
+    },
+    async fulfil(db, target) {
+      await setOrderStatus(db, target.id, 'paid');
+    },
+  },
+  meal_order: {
+    async load(db, userId, key) {
+      const order = await findMealOrder(db, Number(key) || 0, userId);
+      if (order.status !== 'pending' || order.pay_with !== 'rub') throw httpError(400, 'Предзаказ уже оплачен или отменён');
+      if (!mealWindow(order.departure_at).open) throw httpError(400, 'Предзаказ питания на этот рейс уже закрыт');
+      return { id: order.id, key: String(order.id), amount: order.price, title: `Питание: ${order.title}, рейс ${order.flight_number}` };
+    },
+    async fulfil(db, target) {
+      await db.query("UPDATE meal_orders SET status='confirmed' WHERE id=$1 AND status='pending'", [target.id]);
+    },
+  },
+  hotel_reservation: {
+    async load(db, userId, key) {
+      const r = await loadHotelReservation(db, Number(key) || 0, userId);
+      if (r.status !== 'held') throw httpError(400, 'Бронь отеля уже оплачена или аннулирована');
+      return { id: r.id, key: String(r.id), amount: formatHotelReservation(r).cash_due, title: `Отель ${r.hotel_name}, бронь ${r.code}` };
+    },
+    async fulfil(db, target) {
+      await confirmHotelReservation(db, target.id);
+    },
+  },
+  lounge_reservation: {
+    async load(db, userId, key) {
+      const r = await findLoungeReservation(db, Number(key) || 0, userId);
+      if (r.status !== 'pending') throw httpError(400, 'Бронь зала уже оплачена или отменена');
+      if (r.hold_expires_at < new Date()) throw httpError(400, 'Время на оплату брони зала истекло');
+      return { id: r.id, key: String(r.id), amount: r.price, title: `${r.title}, рейс ${r.flight_number}` };
+    },
+    async fulfil(db, target) {
+      const { rows } = await db.query(
+        "UPDATE lounge_reservations SET status='confirmed', hold_expires_at=NULL WHERE id=$1 AND status='pending' RETURNING user_id",
+        [target.id]
+      );
+      if (!rows.length) throw httpError(409, 'Бронь зала уже отменена');
+      await notifyLoungeConfirmed(db, await findLoungeReservation(db, target.id, rows[0].user_id));
+    },
+  },
+  card_order: {
+    async load(db, userId, key) {
+      const order = await findCardOrder(db, key, userId);
+      if (order.status !== 'awaiting_payment') throw httpError(400, 'Заказ карты уже оплачен или отменён');
+      const product = CARD_PRODUCTS[order.product] || { title: order.product };
+      return { id: order.id, key: String(order.id), amount: order.price, title: `Карта ${product.title}, заказ №${order.id}` };
+    },
+    async fulfil(db, target) {
+      const order = await findCardOrder(db, target.id);
+      if (!(await setCardOrderStatus(db, order, 'awaiting_payment', 'pending'))) throw httpError(409, 'Заказ карты уже отменён');
+    },
+  },
+  seat_assignment: {
+    async load(db, userId, key) {
+      const booking = await loadBooking(db, key);
+      if (!booking || booking.user_id !== userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'ticketed') throw httpError(400, 'Сначала оформите билеты');
+      const seats = await heldSeats(db, booking.id);
+      if (!seats.length) throw httpError(400, 'Нет выбранных мест, ожидающих оплаты');
+      return {
+        id: booking.id,
+        key: booking.pnr,
+        amount: seats.reduce((sum, r) => sum + r.price, 0),
+        title: `Места ${seats.map(r => r.seat).join(', ')}, бронь ${booking.pnr}`,
+        seats,
+      };
+    },
+    async fulfil(db, target) {
+      await confirmSeats(db, target.seats);
+    },
+  },
+  booking: {
+    async load(db, userId, key) {
+      const booking = await loadBooking(db, key);
+      if (!booking || booking.user_id !== userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'held') throw httpError(400, 'Бронь уже оплачена или аннулирована');
+      return { id: booking.id, key: booking.pnr, amount: formatBooking(booking).cash_due, title: `Бронь ${booking.pnr}`, booking };
+    },
+    async fulfil(db, target) {
+      await issueTickets(db, target.booking);
+    },
+  },
+};
+
+function signWebhook(body) {
+  return crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+function verifyWebhook(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+  const expected = Buffer.from(signWebhook(rawBody));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Встроенный тестовый эквайринг: живёт в памяти процесса и шлёт подписанные вебхуки на наш же
+// /api/payments/webhook/mock. Сценарий выбирается тестовым номером карты, любая другая карта — успех
+const MOCK_CARDS = {
+  '4000000000000002': 'decline',
+  '4000000000003220': '3ds',
+  '4000000000000259': 'late',
+};
+const MOCK_WEBHOOK_DELAY_MS = Number(process.env.MOCK_WEBHOOK_DELAY_MS || 10000);
+
+function createMockProvider() {
+  const intents = new Map();
+
+  function find(ref) {
+    const intent = intents.get(ref);
+    if (!intent) throw httpError(404, 'Платёж не найден у провайдера');
+    return intent;
+  }
+
+  function emit(type, intent, delay = 0) {
+    setTimeout(async () => {
+      const event = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, type, data: { ref: intent.ref, amount: intent.amount, error: intent.error || null } };
+      const body = JSON.stringify(event);
+      try {
+        await axios.post(`http://127.0.0.1:${PORT}/api/payments/webhook/mock`, body, {
+          headers: { 'Content-Type': 'application/json', 'X-Payment-Signature': signWebhook(body) },
+        });
+      } catch (err) {
+        console.error('mock webhook err', err.message);
+      }
+    }, delay);
+  }
+
+  return {
+    async createIntent({ amount }) {
+      const ref = `mock_${crypto.randomBytes(8).toString('hex')}`;
+      intents.set(ref, { ref, amount, status: 'created', captured: 0, refunded: 0 });
+      return { ref };
+    },
+    async confirm(ref, { card }) {
+      const intent = find(ref);
+      const scenario = MOCK_CARDS[String(card || '').replace(/\D/g, '')];
+      if (scenario === 'decline') {
+        intent.status = 'failed';
+        intent.error = 'Банк отклонил операцию';
+        emit('payment.failed', intent);
+        return { status: 'failed', error: intent.error };
+      }
+      if (scenario === '3ds') {
+        intent.status = 'requires_action';
+        return { status: 'requires_action', action_url: `/api/payments/mock/3ds/${ref}` };
+      }
+      if (scenario === 'late') {
+        // банк отвечает не сразу: итог придёт только вебхуком
+        intent.status = 'processing';
+        emit('payment.authorized', intent, MOCK_WEBHOOK_DELAY_MS);
+        return { status: 'processing' };
+      }
+      intent.status = 'authorized';
+      emit('payment.authorized', intent);
+      return { status: 'authorized' };
+    },
+    async complete3ds(ref, success) {
+      const intent = find(ref);
+      if (intent.status !== 'requires_action') throw httpError(409, 'Подтверждение уже пройдено');
+      intent.status = success ? 'authorized' : 'failed';
+      if (!success) intent.error = 'Не пройдена проверка 3-D Secure';
+      emit(success ? 'payment.authorized' : 'payment.failed', intent);
+    },
+    async capture(ref, amount) {
+      const intent = find(ref);
+      intent.status = 'captured';
+      intent.captured = amount;
+    },
+    async refund(ref, amount) {
+      const intent = find(ref);
+      if (intent.refunded + amount > intent.captured) throw httpError(400, 'Сумма возврата больше списанной');
+      intent.refunded += amount;
+    },
+    async cancel(ref) {
+      const intent = intents.get(ref);
+      if (intent && intent.status !== 'captured') intent.status = 'cancelled';
+    },
+  };
+}
+
+const PAYMENT_PROVIDERS = MOCK_PAYMENTS_ENABLED ? { mock: createMockProvider() } : {};
+
+function paymentProvider(name = PAYMENT_PROVIDER) {
+  const provider = name && PAYMENT_PROVIDERS[name];
+  if (!provider) throw httpError(503, name ? `Платёжный провайдер ${name} не настроен` : 'Оплата картой временно недоступна');
+  return provider;
+}
+
+function formatPayment(p) {
+  return {
+    id: p.public_id,
+    type: p.target_type,
+    target: p.target_key,
+    description: p.description,
+    amount: p.amount,
+    refunded_amount: p.refunded_amount,
+    status: p.status,
+    action_url: p.action_url,
+    error: p.error,
+    created_at: p.created_at,
+    captured_at: p.captured_at,
+  };
+}
+
+async function findPayment(db, publicId, userId = null) {
+  const { rows } = await db.query('SELECT * FROM payments WHERE public_id=$1', [String(publicId || '')]);
+  if (!rows.length || (userId && rows[0].user_id !== userId)) throw httpError(404, 'Платёж не найден');
+  return rows[0];
+}
+
+async function setPaymentStatus(db, paymentId, status, fromStatuses, extra = {}) {
+  const params = [paymentId, status, new Date(), extra.action_url || null, extra.error || null, ...fromStatuses];
+  const { rows } = await db.query(
+    `UPDATE payments SET status=$2, updated_at=$3, action_url=$4, error=$5
+     WHERE id=$1 AND status IN (${placeholders(fromStatuses, 5)}) RETURNING *`,
+    params
+  );
+  return rows[0] || null;
+}
+
+// Незавершённые попытки оплаты брони/заказа (например, при аннуляции) отменяются у провайдера
+async function cancelOpenPayments(db, type, targetId) {
+  const { rows } = await db.query(
+    "SELECT * FROM payments WHERE target_type=$1 AND target_id=$2 AND status IN ('created','requires_action')",
+    [type, targetId]
+  );
+  for (const p of rows) {
+    if (await setPaymentStatus(db, p.id, 'cancelled', ['created', 'requires_action'])) {
+      await paymentProvider(p.provider).cancel(p.provider_ref);
+    }
+  }
+}
+
+// Возврат amount рублей (null — всё списанное) по платежу; сначала запись, потом провайдер:
+// если провайдер откажет, транзакция откатится целиком
+async function refundPayment(db, payment, amount, reason) {
+  const left = payment.amount - payment.refunded_amount;
+  const sum = amount === null ? left : Math.min(amount, left);
+  if (sum <= 0) return 0;
+  const { rows } = await db.query(
+    `UPDATE payments SET refunded_amount = refunded_amount + $2, updated_at=$3, error=$4,
+       status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE 'partially_refunded' END
+     WHERE id=$1 AND refunded_amount + $2 <= amount RETURNING *`,
+    [payment.id, sum, new Date(), reason]
+  );
+  if (!rows.length) throw httpError(409, 'Платёж уже возвращён');
+  await paymentProvider(payment.provider).refund(payment.provider_ref, sum);
+  return sum;
+}
+
+async function refundTargetPayments(db, type, targetId, amount, reason) {
+  const { rows } = await db.query(
+    "SELECT * FROM payments WHERE target_type=$1 AND target_id=$2 AND status IN ('captured','partially_refunded') ORDER BY id",
+    [type, targetId]
+  );
+  let total = 0;
+  for (const p of rows) {
+    if (amount !== null && total >= amount) break;
+    total += await refundPayment(db, p, amount === null ? null : amount - total, reason);
+  }
+  return total;
+}
+
+async function createPayment(userId, type, key, idempotencyKey) {
+  const payable = PAYABLE[type];
+  if (!payable) throw httpError(400, 'Неизвестный тип оплаты');
+  return withTransaction(async db => {
+    if (idempotencyKey) {
+      const { rows } = await db.query('SELECT * FROM payments WHERE user_id=$1 AND idempotency_key=$2', [userId, idempotencyKey]);
+      if (rows.length) return rows[0];
+    }
+    const target = await payable.load(db, userId, key);
+    if (target.amount <= 0) throw httpError(400, 'Доплачивать нечего: сумма покрыта милями');
+
+    // неначатую попытку на ту же сумму отдаём повторно, устаревшие отменяем
+    const open = await db.query(
+      `SELECT * FROM payments WHERE target_type=$1 AND target_id=$2 AND status IN (${placeholders(PAYMENT_OPEN_STATUSES, 2)}) ORDER BY id`,
+      [type, target.id, ...PAYMENT_OPEN_STATUSES]
+    );
+    for (const p of open.rows) {
+      if (['processing', 'authorized'].includes(p.status)) throw httpError(409, 'Предыдущий платёж ещё обрабатывается банком');
+      if (p.status === 'created' && p.amount === target.amount && p.user_id === userId && !idempotencyKey) return p;
+    }
+    await cancelOpenPayments(db, type, target.id);
+
+    const provider = paymentProvider();
+    const intent = await provider.createIntent({ amount: target.amount, description: target.title });
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO payments (public_id, user_id, target_type, target_id, target_key, description, provider, provider_ref, amount, idempotency_key)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+        [`pay_${crypto.randomBytes(12).toString('hex')}`, userId, type, target.id, target.key, target.title,
+          PAYMENT_PROVIDER, intent.ref, target.amount, idempotencyKey]
+      );
+      return rows[0];
+    } catch (err) {
+      if (err.code === '23505') throw httpError(409, 'Повторите запрос');
+      throw err;
+    }
+  });
+}
+
+// Деньги списаны: отмечаем платёж и исполняем заказ/бронь одной транзакцией
+async function settlePayment(payment) {
+  let refundReason = null;
+  const settled = await withTransaction(async db => {
+    const { rows } = await db.query(
+      `UPDATE payments SET status='captured', captured_at=$2, updated_at=$2, action_url=NULL
+       WHERE id=$1 AND status IN (${placeholders(PAYMENT_OPEN_STATUSES, 2)}) RETURNING *`,
+      [payment.id, new Date(), ...PAYMENT_OPEN_STATUSES]
+    );
+    if (!rows.length) return null; // уже обработан (повторный вебхук)
+    try {
+      const payable = PAYABLE[payment.target_type];
+      const target = await payable.load(db, payment.user_id, payment.target_key);
+      if (target.amount !== payment.amount) throw httpError(409, 'Сумма к оплате изменилась');
+      await payable.fulfil(db, target);
+    } catch (err) {
+      if (!err.status) throw err;
+      refundReason = err.message;
+    }
+    return rows[0];
+  });
+
+  if (!settled) {
+    // успех пришёл по уже отменённой попытке — деньги списаны, возвращаем
+    const current = await findPayment(pool, payment.public_id);
+    if (['cancelled', 'failed'].includes(current.status)) {
+      await withTransaction(async db => {
+        await db.query("UPDATE payments SET status='captured', captured_at=$2 WHERE id=$1", [current.id, new Date()]);
+        await refundPayment(db, { ...current, status: 'captured' }, null, 'Оплата поступила после отмены');
+      });
+    }
+    return;
+  }
+  if (refundReason) {
+    await withTransaction(async db => {
+      await refundPayment(db, settled, null, refundReason);
+      if (settled.user_id) {
+        await notify(settled.user_id, 'payment_refunded', `${settled.description}: оплата возвращена`,
+          `${refundReason}. ${settled.amount} ₽ вернутся на карту.`, { payment_id: settled.public_id }, db);
+      }
+    });
+  }
+}
+
+// Единая точка для ответа провайдера на confirm, 3-DS и вебхуков; повторы безопасны
+async function applyPaymentResult(payment, result) {
+  const provider = paymentProvider(payment.provider);
+  if (result.status === 'authorized') {
+    const claimed = await setPaymentStatus(pool, payment.id, 'authorized', ['created', 'requires_action', 'processing']);
+    if (claimed) {
+      await provider.capture(payment.provider_ref, payment.amount);
+      await settlePayment(claimed);
+    } else if (['cancelled', 'failed'].includes((await findPayment(pool, payment.public_id)).status)) {
+      await provider.cancel(payment.provider_ref); // авторизацию по отменённой попытке снимаем
+    }
+  } else if (result.status === 'captured') {
+    await settlePayment(payment);
+  } else if (result.status === 'failed') {
+    await setPaymentStatus(pool, payment.id, 'failed', ['created', 'requires_action', 'processing'], { error: result.error || 'Оплата отклонена' });
+  } else if (['requires_action', 'processing'].includes(result.status)) {
+    await setPaymentStatus(pool, payment.id, result.status, ['created'], { action_url: result.action_url });
+  }
+  return findPayment(pool, payment.public_id);
+}
+
+// { type: 'order' | 'booking', id: номер заказа | PNR }
+app.post('/api/payments', authMiddleware, async (req, res) => {
+  try {
+    const key = req.get('Idempotency-Key') || req.body.idempotency_key || null;
+    const payment = await createPayment(req.userId, req.body.type, req.body.id, key);
+    res.json({ ok: true, payment: formatPayment(payment) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка создания платежа');
+  }
+});
+
+app.get('/api/payments', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM payments WHERE user_id=$1 ORDER BY id DESC LIMIT 50', [req.userId]);
+    res.json({ payments: rows.map(formatPayment) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки платежей');
+  }
+});
+
+app.get('/api/payments/:id', authMiddleware, async (req, res) => {
+  try {
+    res.json({ payment: formatPayment(await findPayment(pool, req.params.id, req.userId)) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки платежа');
+  }
+});
+
+// Данные карты уходят провайдеру и у нас не сохраняются
+app.post('/api/payments/:id/confirm', authMiddleware, async (req, res) => {
+  try {
+    const payment = await findPayment(pool, req.params.id, req.userId);
+    if (payment.status !== 'created') throw httpError(409, 'Платёж уже обработан');
+    const result = await paymentProvider(payment.provider).confirm(payment.provider_ref, { card: req.body.card_number });
+    res.json({ ok: true, payment: formatPayment(await applyPaymentResult(payment, result)) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка оплаты');
+  }
+});
+
+// Вебхук провайдера: подпись HMAC-SHA256 тела в X-Payment-Signature, повторная доставка события — no-op
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  const provider = req.params.provider;
+  const event = req.body || {};
+  let eventRow = null;
+  try {
+    if (!PAYMENT_PROVIDERS[provider]) return res.status(404).json({ error: 'Неизвестный провайдер' });
+    if (!PAYMENT_WEBHOOK_SECRET) return res.status(503).json({ error: 'Приём вебхуков не настроен' });
+    if (!verifyWebhook(req.rawBody, req.get('X-Payment-Signature'))) return res.status(401).json({ error: 'Неверная подпись' });
+    if (!event.id || !event.type || !event.data) return res.status(400).json({ error: 'Некорректное событие' });
+
+    const { rows } = await pool.query('SELECT * FROM payments WHERE provider=$1 AND provider_ref=$2', [provider, String(event.data.ref || '')]);
+    try {
+      const inserted = await pool.query(
+        'INSERT INTO payment_events (provider, event_id, type, payment_id, payload) VALUES ($1,$2,$3,$4,$5) RETURNING id',
+        [provider, String(event.id), String(event.type), rows[0] ? rows[0].id : null, JSON.stringify(event)]
+      );
+      eventRow = inserted.rows[0];
+    } catch (err) {
+      if (err.code === '23505') return res.json({ ok: true, duplicate: true });
+      throw err;
+    }
+
+    const status = PAYMENT_EVENT_STATUSES[event.type];
+    if (rows[0] && status) await applyPaymentResult(rows[0], { status, error: event.data.error });
+    res.json({ ok: true });
+  } catch (err) {
+    // событие не обработано — убираем отметку, чтобы провайдер смог доставить его повторно
+    if (eventRow) await pool.query('DELETE FROM payment_events WHERE id=$1', [eventRow.id]).catch(() => {});
+    sendError(res, err, 'Ошибка обработки вебхука');
+  }
+});
+
+// Страница «банка» для сценария 3-D Secure тестового провайдера (только когда он включён)
+if (MOCK_PAYMENTS_ENABLED) app.get('/api/payments/mock/3ds/:ref', async (req, res) => {
+  try {
+    const result = req.query.result;
+    if (!result) {
+      return res.send(`<!doctype html><meta charset="utf-8"><title>3-D Secure</title>
+        <h3>Тестовый банк: подтверждение оплаты</h3>
+        <p><a href="?result=success">Подтвердить</a> · <a href="?result=fail">Отклонить</a></p>`);
+    }
+    await PAYMENT_PROVIDERS.mock.complete3ds(req.params.ref, result === 'success');
+    res.send('<!doctype html><meta charset="utf-8"><title>3-D Secure</title><p>Готово, вернитесь на сайт.</p><script>setTimeout(()=>window.close(),1500)</script>');
+  } catch (err) {
+    sendError(res, err, 'Ошибка подтверждения');
+  }
+});
+
+app.post('/api/admin/payments/:id/refund', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const amount = req.body.amount === undefined ? null : Number(req.body.amount);
+    if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) return res.status(400).json({ error: 'Некорректная сумма возврата' });
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'Укажите причину возврата' });
+
+    const payment = await withTransaction(async db => {
+      const p = await findPayment(db, req.params.id);
+      if (!['captured', 'partially_refunded'].includes(p.status)) throw httpError(400, 'Возврат возможен только по списанному платежу');
+      const refunded = await refundPayment(db, p, amount, reason);
+      await audit(db, req.userId, 'payment_refund', p.user_id, { payment_id: p.public_id, amount: refunded, reason });
+      return findPayment(db, p.public_id);
+    });
+    res.json({ ok: true, payment: formatPayment(payment) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка возврата');
+  }
+});
+
+// =======================
+// MEALS
+// =======================
+// Предзаказ блюда на пассажира и сегмент оформленной брони — не позже чем за MEAL_PREORDER_CUTOFF_HOURS
+// до вылета. Милями платится сразу, рублями — через /api/payments (type: 'meal_order').
+const MEAL_PREORDER_CUTOFF_HOURS = 48;
+const MEAL_TAGS = { vegetarian: 'Вегетарианское', halal: 'Халяль', child: 'Детское', gluten_free: 'Без глютена' };
+const SEED_MEALS = [
+  { code: 'CHKN', title: 'Курица с рисом и овощами', description: 'Куриное филе, рис басмати, овощи на пару', tags: [], cabins: ['economy', 'comfort'], price_rub: 650, price_miles: 900 },
+  { code: 'VGML', title: 'Овощное рагу с киноа', description: 'Сезонные овощи, киноа, соус песто', tags: ['vegetarian', 'gluten_free'], cabins: ['economy', 'comfort', 'business'], price_rub: 590, price_miles: 800 },
+  { code: 'MOML', title: 'Говядина халяль с булгуром', description: 'Тушёная говядина, булгур, салат из свежих овощей', tags: ['halal'], cabins: ['economy', 'comfort', 'business'], price_rub: 750, price_miles: 1000 },
+  { code: 'CHML', title: 'Детское меню', description: 'Паста с сыром, сырники, сок', tags: ['child', 'vegetarian'], cabins: ['economy', 'comfort', 'business'], price_rub: 490, price_miles: 700 },
+  { code: 'GFML', title: 'Лосось с картофелем', description: 'Запечённый лосось, молодой картофель, без глютена', tags: ['gluten_free'], cabins: ['comfort', 'business'], price_rub: 890, price_miles: 1200 },
+  { code: 'STEAK', title: 'Стейк из говядины с овощами гриль', description: 'Стейк рибай, овощи гриль, соус демиглас', tags: [], cabins: ['business'], price_rub: 1900, price_miles: 2500 },
+];
+
+async function seedMeals() {
+  for (const [i, m] of SEED_MEALS.entries()) {
+    await pool.query(
+      `INSERT INTO meals (code, title, description, tags, cabins, price_rub, price_miles, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (code) DO NOTHING`,
+      [m.code, m.title, m.description, JSON.stringify(m.tags), JSON.stringify(m.cabins), m.price_rub, m.price_miles, i + 1]
+    );
+  }
+}
+
+function mealWindow(departureAt) {
+  const closesAt = addMinutesToStamp(departureAt, -MEAL_PREORDER_CUTOFF_HOURS * 60);
+  return { closes_at: closesAt, open: localStamp() < closesAt };
+}
+
+function formatMeal(m) {
+  return {
+    code: m.code,
+    title: m.title,
+    description: m.description,
+    tags: (m.tags || []).map(t => ({ code: t, title: MEAL_TAGS[t] || t })),
+    cabins: m.cabins || [],
+    price_rub: m.price_rub,
+    price_miles: m.price_miles,
+  };
+}
+
+async function loadMeals(db, { cabin = null, tag = null } = {}) {
+  const { rows } = await db.query('SELECT * FROM meals WHERE active = TRUE ORDER BY sort, code');
+  return rows
+    .filter(m => !cabin || (m.cabins || []).includes(cabin))
+    .filter(m => !tag || (m.tags || []).includes(tag))
+    .map(formatMeal);
+}
+
+const MEAL_ORDER_FIELDS = `o.*, m.title, s.flight_instance_id, s.cabin, f.flight_number, f.departure_at,
+  p.first_name, p.last_name`;
+const MEAL_ORDER_JOINS = `FROM meal_orders o
+  JOIN meals m ON m.code = o.meal_code
+  JOIN booking_segments s ON s.id = o.segment_id
+  JOIN flight_instances f ON f.id = s.flight_instance_id
+  JOIN booking_passengers p ON p.id = o.passenger_id`;
+
+async function findMealOrder(db, id, userId) {
+  const { rows } = await db.query(`SELECT ${MEAL_ORDER_FIELDS} ${MEAL_ORDER_JOINS} WHERE o.id=$1`, [id]);
+  if (!rows.length || rows[0].user_id !== userId) throw httpError(404, 'Предзаказ не найден');
+  return rows[0];
+}
+
+function formatMealOrder(o) {
+  return {
+    id: o.id,
+    segment_id: o.segment_id,
+    passenger_id: o.passenger_id,
+    passenger: `${o.last_name} ${o.first_name}`,
+    flight_number: o.flight_number,
+    departure_at: o.departure_at,
+    meal_code: o.meal_code,
+    title: o.title,
+    pay_with: o.pay_with,
+    price: o.price,
+    status: o.status,
+    created_at: o.created_at,
+  };
+}
+
+// Отмена предзаказа: мили возвращаются сразу, рубли — возвратом платежа
+async function cancelMealOrder(db, order, reason) {
+  const { rows } = await db.query(
+    "UPDATE meal_orders SET status='cancelled', cancelled_at=$2 WHERE id=$1 AND status IN ('pending','confirmed') RETURNING *",
+    [order.id, new Date()]
+  );
+  if (!rows.length) return false;
+  if (order.pay_with === 'miles') {
+    await postMilesEntry(db, order.user_id, 'redemption', order.price, `Возврат миль: ${reason}`, { refType: 'meal_order', refId: order.id });
+  } else {
+    await cancelOpenPayments(db, 'meal_order', order.id);
+    await refundTargetPayments(db, 'meal_order', order.id, null, reason);
+  }
+  return true;
+}
+
+async function cancelMealOrders(db, bookingId, reason) {
+  const { rows } = await db.query("SELECT * FROM meal_orders WHERE booking_id=$1 AND status IN ('pending','confirmed')", [bookingId]);
+  for (const order of rows) await cancelMealOrder(db, order, `питание, ${reason}`);
+}
+
+app.get('/api/meals', async (req, res) => {
+  try {
+    const cabin = req.query.cabin ? CABIN_ALIASES[String(req.query.cabin).toLowerCase()] : null;
+    const meals = await loadMeals(pool, { cabin, tag: req.query.tag ? String(req.query.tag) : null });
+    res.json({ meals, tags: Object.entries(MEAL_TAGS).map(([code, title]) => ({ code, title })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки меню');
+  }
+});
+
+// Что можно заказать по брони: сегменты с окном предзаказа, блюда по классу, текущие предзаказы
+app.get('/api/bookings/:pnr/meals', authMiddleware, async (req, res) => {
+  try {
+    const booking = await loadBooking(pool, req.params.pnr);
+    if (!booking || booking.user_id !== req.userId) return res.status(404).json({ error: 'Бронирование не найдено' });
+
+    const meals = await loadMeals(pool);
+    const orders = await pool.query(`SELECT ${MEAL_ORDER_FIELDS} ${MEAL_ORDER_JOINS} WHERE o.booking_id=$1 ORDER BY o.id`, [booking.id]);
+    res.json({
+      pnr: booking.pnr,
+      status: booking.status,
+      segments: booking.segments.map(s => ({
+        segment_id: s.id,
+        flight_number: s.flight_number,
+        origin: s.origin,
+        destination: s.destination,
+        departure_at: s.departure_at,
+        cabin: s.cabin,
+        window: mealWindow(s.departure_at),
+        meals: meals.filter(m => m.cabins.includes(s.cabin)),
+      })),
+      passengers: booking.passengers.map(p => ({ id: p.id, name: `${p.last_name} ${p.first_name}` })),
+      orders: orders.rows.map(formatMealOrder),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки питания');
+  }
+});
+
+// { passenger_id, segment_id, meal_code, pay_with: 'rub' | 'miles' }
+app.post('/api/bookings/:pnr/meals', authMiddleware, async (req, res) => {
+  try {
+    const payWith = req.body.pay_with === 'miles' ? 'miles' : 'rub';
+    const order = await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'ticketed') throw httpError(400, 'Питание можно заказать после оформления билетов');
+
+      const segment = booking.segments.find(s => s.id === Number(req.body.segment_id));
+      const passenger = booking.passengers.find(p => p.id === Number(req.body.passenger_id));
+      if (!segment || !passenger) throw httpError(400, 'Укажите пассажира и рейс из брони');
+      if (!mealWindow(segment.departure_at).open)
+        throw httpError(400, `Питание заказывается не позднее чем за ${MEAL_PREORDER_CUTOFF_HOURS} часов до вылета`);
+
+      const { rows } = await db.query('SELECT * FROM meals WHERE code=$1 AND active = TRUE', [String(req.body.meal_code || '')]);
+      const meal = rows[0];
+      if (!meal) throw httpError(404, 'Блюдо не найдено');
+      if (!(meal.cabins || []).includes(segment.cabin)) throw httpError(400, 'Это блюдо недоступно в вашем классе обслуживания');
+      if (payWith === 'miles' && !meal.price_miles) throw httpError(400, 'Это блюдо нельзя оплатить милями');
+
+      // неоплаченный предзаказ на то же место заменяется новым; оплаченный нужно сначала отменить
+      const existing = await db.query(
+        "SELECT * FROM meal_orders WHERE segment_id=$1 AND passenger_id=$2 AND status IN ('pending','confirmed')",
+        [segment.id, passenger.id]
+      );
+      if (existing.rows.some(o => o.status === 'confirmed')) throw httpError(409, 'Питание на этот рейс уже заказано');
+      for (const o of existing.rows) await cancelMealOrder(db, o, 'замена предзаказа');
+
+      const price = payWith === 'miles' ? meal.price_miles : meal.price_rub;
+      const inserted = await db.query(
+        `INSERT INTO meal_orders (booking_id, segment_id, passenger_id, user_id, meal_code, pay_with, price, status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+        [booking.id, segment.id, passenger.id, req.userId, meal.code, payWith, price, payWith === 'miles' ? 'confirmed' : 'pending']
+      );
+      const id = inserted.rows[0].id;
+      if (payWith === 'miles') {
+        await postMilesEntry(db, req.userId, 'redemption', -price, `Питание на рейс ${segment.flight_number}: ${meal.title}`, { refType: 'meal_order', refId: id });
+      }
+      return findMealOrder(db, id, req.userId);
+    });
+    res.json({ ok: true, order: formatMealOrder(order), payment_required: order.status === 'pending' });
+  } catch (err) {
+    sendError(res, err, 'Ошибка предзаказа питания');
+  }
+});
+
+app.delete('/api/bookings/:pnr/meals/:id', authMiddleware, async (req, res) => {
+  try {
+    const order = await withTransaction(async db => {
+      const o = await findMealOrder(db, Number(req.params.id) || 0, req.userId);
+      if (!mealWindow(o.departure_at).open)
+        throw httpError(400, `Отменить питание можно не позднее чем за ${MEAL_PREORDER_CUTOFF_HOURS} часов до вылета`);
+      if (!await cancelMealOrder(db, o, `отмена питания на рейс ${o.flight_number}`)) throw httpError(400, 'Предзаказ уже отменён');
+      return findMealOrder(db, o.id, req.userId);
+    });
+    res.json({ ok: true, order: formatMealOrder(order) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены питания');
+  }
+});
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",;\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Манифест для кейтеринга: оплаченные предзаказы рейса, итог по блюдам и список с местами
+app.get('/api/admin/flights/:id/catering', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const flight = await pool.query('SELECT id, flight_number, origin, destination, departure_at FROM flight_instances WHERE id=$1', [Number(req.params.id) || 0]);
+    if (!flight.rows.length) return res.status(404).json({ error: 'Рейс не найден' });
+    const f = flight.rows[0];
+
+    const { rows } = await pool.query(
+      `SELECT o.meal_code, m.title, m.tags, s.cabin, b.pnr, p.last_name, p.first_name, sa.seat
+       FROM meal_orders o
+       JOIN meals m ON m.code = o.meal_code
+       JOIN booking_segments s ON s.id = o.segment_id
+       JOIN bookings b ON b.id = o.booking_id
+       JOIN booking_passengers p ON p.id = o.passenger_id
+       LEFT JOIN seat_assignments sa ON sa.flight_instance_id = s.flight_instance_id AND sa.passenger_id = o.passenger_id
+       WHERE s.flight_instance_id=$1 AND o.status='confirmed' AND b.status='ticketed'
+       ORDER BY sa.seat, p.last_name`,
+      [f.id]
+    );
+    const totals = {};
+    for (const r of rows) {
+      totals[r.meal_code] = totals[r.meal_code] || { meal_code: r.meal_code, title: r.title, count: 0 };
+      totals[r.meal_code].count++;
+    }
+
+    if (req.query.format === 'csv') {
+      const lines = [['seat', 'passenger', 'pnr', 'cabin', 'meal_code', 'meal', 'tags'].join(';')];
+      for (const r of rows) {
+        lines.push([r.seat, `${r.last_name} ${r.first_name}`, r.pnr, r.cabin, r.meal_code, r.title, (r.tags || []).join(',')].map(csvCell).join(';'));
+      }
+      const filename = `catering-${f.flight_number.replace(/\s+/g, '')}-${f.departure_at.slice(0, 10)}.csv`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('text/csv').send('\uFEFF' + lines.join('\n'));
+    }
+    res.json({
+      flight: f,
+      cutoff_at: mealWindow(f.departure_at).closes_at,
+      totals: Object.values(totals),
+      passengers: rows.map(r => ({
+        seat: r.seat || null, name: `${r.last_name} ${r.first_name}`, pnr: r.pnr, cabin: r.cabin, meal_code: r.meal_code, title: r.title,
+      })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка манифеста питания');
+  }
+});
+
+// =======================
+// LOUNGES
+// =======================
+// Вход в зал бронируется на часовой слот под сегмент оформленной брони с вылетом из аэропорта зала.
+// Вместимость зала — на слот (гости занимают места наравне с владельцем брони).
+// Платный доступ оплачивается через /api/payments (type: 'lounge_reservation') за LOUNGE_HOLD_MIN минут.
+const LOUNGE_WINDOW_HOURS = 4; // раньше чем за 4 часа до вылета в зал не пускаем
+const LOUNGE_LAST_ENTRY_MIN = 40; // последний вход — до начала посадки
+const LOUNGE_HOLD_MIN = 20;
+const LOUNGE_MAX_GUESTS = 3;
+const LOUNGE_PASS_PREFIX = 'S7LOUNGE:';
+const SEED_LOUNGES = [
+  { code: 'business', title: 'Бизнес-зал «S7avelii»', airport: 'GSV', terminal: 'Терминал B', location: '3 этаж, правое крыло', capacity: 40, price_rub: 3500 },
+  { code: 'vip', title: 'VIP-зал «S7avelii»', airport: 'GSV', terminal: 'Терминал A', location: '1 этаж', capacity: 12, price_rub: 9000 },
+];
+
+// Кому вход бесплатный: по классу перелёта (cabins) и по карте лояльности (cards); значение — число
+// бесплатных гостей. Если подходят оба правила, берётся более щедрое; остальные гости — по цене зала
+const LOUNGE_ENTITLEMENTS = {
+  business: {
+    cabins: { business: 1 },
+    cards: { Pro: 0, Priority: 1, 'Flight-master': 1, VIP: 2 },
+  },
+  vip: {
+    cabins: {},
+    cards: { 'Flight-master': 0, VIP: 2 },
+  },
+};
+
+async function seedLounges() {
+  for (const [i, l] of SEED_LOUNGES.entries()) {
+    await pool.query(
+      `INSERT INTO lounges (code, title, airport, terminal, location, capacity, price_rub, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (code) DO NOTHING`,
+      [l.code, l.title, l.airport, l.terminal, l.location, l.capacity, l.price_rub, i + 1]
+    );
+  }
+}
+
+function loungeEntitlement(loungeCode, cabin, cardType) {
+  const rules = LOUNGE_ENTITLEMENTS[loungeCode] || { cabins: {}, cards: {} };
+  const matched = [];
+  if (rules.cabins[cabin] !== undefined) matched.push({ source: `cabin:${cabin}`, free_guests: rules.cabins[cabin] });
+  if (rules.cards[cardType] !== undefined) matched.push({ source: `card:${cardType}`, free_guests: rules.cards[cardType] });
+  if (!matched.length) return { free: false, free_guests: 0, source: null };
+  return { free: true, ...matched.reduce((a, b) => (b.free_guests > a.free_guests ? b : a)) };
+}
+
+function loungePrice(lounge, entitlement, guests) {
+  const paidGuests = Math.max(0, guests - entitlement.free_guests);
+  return ((entitlement.free ? 0 : 1) + paidGuests) * lounge.price_rub;
+}
+
+// Часовые слоты входа перед вылетом; прошедшие слоты не предлагаем
+function loungeSlots(departureAt) {
+  const now = localStamp();
+  const last = addMinutesToStamp(departureAt, -LOUNGE_LAST_ENTRY_MIN);
+  const slots = [];
+  let slot = addMinutesToStamp(departureAt, -LOUNGE_WINDOW_HOURS * 60).slice(0, 13) + ':00';
+  while (slot <= last) {
+    if (addMinutesToStamp(slot, 60) > now) slots.push(slot);
+    slot = addMinutesToStamp(slot, 60);
+  }
+  return slots;
+}
+
+// Атомарно занимает места в слоте: false — слот заполнен
+async function reserveLoungeSlot(db, lounge, slotStart, persons) {
+  await db.query('INSERT INTO lounge_slots (lounge_code, slot_start) VALUES ($1,$2) ON CONFLICT DO NOTHING', [lounge.code, slotStart]);
+  const { rows } = await db.query(
+    'UPDATE lounge_slots SET booked = booked + $3 WHERE lounge_code=$1 AND slot_start=$2 AND booked + $3 <= $4 RETURNING booked',
+    [lounge.code, slotStart, persons, lounge.capacity]
+  );
+  return rows.length > 0;
+}
+
+async function releaseLoungeSlot(db, loungeCode, slotStart, persons) {
+  await db.query(
+    'UPDATE lounge_slots SET booked = booked - $3 WHERE lounge_code=$1 AND slot_start=$2 AND booked >= $3',
+    [loungeCode, slotStart, persons]
+  );
+}
+
+async function loungeAvailability(db, lounge, slots) {
+  if (!slots.length) return [];
+  const { rows } = await db.query(
+    `SELECT slot_start, booked FROM lounge_slots WHERE lounge_code=$1 AND slot_start IN (${placeholders(slots, 1)})`,
+    [lounge.code, ...slots]
+  );
+  return slots.map(slot => {
+    const booked = (rows.find(r => r.slot_start === slot) || { booked: 0 }).booked;
+    return { slot_start: slot, available: Math.max(0, lounge.capacity - booked) };
+  });
+}
+
+const LOUNGE_RESERVATION_FIELDS = `r.*, l.title, l.airport, l.terminal, l.location,
+  s.cabin, f.flight_number, f.origin, f.destination, f.departure_at, b.pnr, u.fio`;
+const LOUNGE_RESERVATION_JOINS = `FROM lounge_reservations r
+  JOIN lounges l ON l.code = r.lounge_code
+  JOIN booking_segments s ON s.id = r.segment_id
+  JOIN flight_instances f ON f.id = s.flight_instance_id
+  JOIN bookings b ON b.id = r.booking_id
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+async function findLoungeReservation(db, id, userId) {
+  const { rows } = await db.query(`SELECT ${LOUNGE_RESERVATION_FIELDS} ${LOUNGE_RESERVATION_JOINS} WHERE r.id=$1`, [id]);
+  if (!rows.length || rows[0].user_id !== userId) throw httpError(404, 'Бронь зала не найдена');
+  return rows[0];
+}
+
+// Подписанная ссылка на QR-пропуск, как у посадочного талона
+function loungePassUrl(reservationId) {
+  const token = jwt.sign({ lp: reservationId }, JWT_SECRET, { expiresIn: '30d' });
+  return `/api/lounge-passes/${reservationId}.png?token=${token}`;
+}
+
+function formatLoungeReservation(r) {
+  return {
+    id: r.id,
+    lounge_code: r.lounge_code,
+    lounge: r.title,
+    terminal: r.terminal,
+    location: r.location,
+    pnr: r.pnr,
+    segment_id: r.segment_id,
+    flight_number: r.flight_number,
+    departure_at: r.departure_at,
+    slot_start: r.slot_start,
+    guests: r.guests,
+    free_guests: r.free_guests,
+    entitlement: r.entitlement,
+    price: r.price,
+    status: r.status,
+    hold_expires_at: r.status === 'pending' ? r.hold_expires_at : null,
+    pass: ['confirmed', 'used'].includes(r.status) ? { code: r.pass_code, qr_url: loungePassUrl(r.id) } : null,
+    used_at: r.used_at,
+    created_at: r.created_at,
+  };
+}
+
+async function notifyLoungeConfirmed(db, r) {
+  await notify(r.user_id, 'lounge_confirmed', `${r.title}: вход подтверждён`,
+    `Рейс ${r.flight_number}, вход с ${r.slot_start.slice(11)}${r.guests ? `, гостей: ${r.guests}` : ''}. Покажите QR-код на входе.`,
+    { reservation_id: r.id, pnr: r.pnr, qr_url: loungePassUrl(r.id) }, db);
+}
+
+// Отмена: места в слоте возвращаются, оплаченное — возвратом платежа
+async function cancelLoungeReservation(db, r, reason) {
+  const { rows } = await db.query(
+    "UPDATE lounge_reservations SET status='cancelled', cancelled_at=$2, hold_expires_at=NULL WHERE id=$1 AND status IN ('pending','confirmed') RETURNING *",
+    [r.id, new Date()]
+  );
+  if (!rows.length) return false;
+  await releaseLoungeSlot(db, r.lounge_code, r.slot_start, 1 + r.guests);
+  await cancelOpenPayments(db, 'lounge_reservation', r.id);
+  await refundTargetPayments(db, 'lounge_reservation', r.id, null, reason);
+  return true;
+}
+
+async function cancelLoungeReservations(db, bookingId, reason) {
+  const { rows } = await db.query("SELECT * FROM lounge_reservations WHERE booking_id=$1 AND status IN ('pending','confirmed')", [bookingId]);
+  for (const r of rows) await cancelLoungeReservation(db, r, `бизнес-зал, ${reason}`);
+}
+
+// Неоплаченные брони зала освобождают места в слоте
+async function expireLoungeHolds() {
+  const { rows } = await pool.query(
+    "SELECT * FROM lounge_reservations WHERE status='pending' AND hold_expires_at < $1",
+    [new Date()]
+  );
+  for (const r of rows) {
+    await withTransaction(db => cancelLoungeReservation(db, r, 'время на оплату истекло'));
+  }
+}
+
+setInterval(() => {
+  expireLoungeHolds().catch(err => console.error('expire lounge holds err', err));
+}, 60 * 1000);
+
+app.get('/api/lounges', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM lounges WHERE active = TRUE ORDER BY sort, code');
+    res.json({
+      lounges: rows.map(l => ({
+        code: l.code,
+        title: l.title,
+        airport: l.airport,
+        terminal: l.terminal,
+        location: l.location,
+        capacity: l.capacity,
+        price_rub: l.price_rub,
+        entitlements: LOUNGE_ENTITLEMENTS[l.code] || { cabins: {}, cards: {} },
+      })),
+      max_guests: LOUNGE_MAX_GUESTS,
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки залов');
+  }
+});
+
+// Залы по брони: для каждого сегмента с вылетом из аэропорта зала — право входа, цена и свободные слоты
+app.get('/api/bookings/:pnr/lounges', authMiddleware, async (req, res) => {
+  try {
+    const booking = await loadBooking(pool, req.params.pnr);
+    if (!booking || booking.user_id !== req.userId) return res.status(404).json({ error: 'Бронирование не найдено' });
+
+    const user = await getUserById(req.userId);
+    const lounges = (await pool.query('SELECT * FROM lounges WHERE active = TRUE ORDER BY sort, code')).rows;
+    const segments = [];
+    for (const s of booking.segments) {
+      const slots = loungeSlots(s.departure_at);
+      const options = [];
+      for (const l of lounges.filter(x => x.airport === s.origin)) {
+        const entitlement = loungeEntitlement(l.code, s.cabin, user.card_type);
+        options.push({
+          code: l.code,
+          title: l.title,
+          terminal: l.terminal,
+          location: l.location,
+          price_rub: l.price_rub,
+          entitlement,
+          price: loungePrice(l, entitlement, 0),
+          slots: await loungeAvailability(pool, l, slots),
+        });
+      }
+      if (options.length) {
+        segments.push({ segment_id: s.id, flight_number: s.flight_number, origin: s.origin, departure_at: s.departure_at, cabin: s.cabin, lounges: options });
+      }
+    }
+    const reservations = await pool.query(
+      `SELECT ${LOUNGE_RESERVATION_FIELDS} ${LOUNGE_RESERVATION_JOINS} WHERE r.booking_id=$1 ORDER BY r.id`,
+      [booking.id]
+    );
+    res.json({
+      pnr: booking.pnr,
+      status: booking.status,
+      max_guests: LOUNGE_MAX_GUESTS,
+      segments,
+      reservations: reservations.rows.map(formatLoungeReservation),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки бизнес-залов');
+  }
+});
+
+// { segment_id, lounge_code, slot_start, guests }
+app.post('/api/bookings/:pnr/lounges', authMiddleware, async (req, res) => {
+  try {
+    const guests = req.body.guests === undefined ? 0 : Number(req.body.guests);
+    if (!Number.isInteger(guests) || guests < 0 || guests > LOUNGE_MAX_GUESTS)
+      return res.status(400).json({ error: `Гостей может быть от 0 до ${LOUNGE_MAX_GUESTS}` });
+
+    const reservation = await withTransaction(async db => {
+      const booking = await loadBooking(db, req.params.pnr);
+      if (!booking || booking.user_id !== req.userId) throw httpError(404, 'Бронирование не найдено');
+      if (booking.status !== 'ticketed') throw httpError(400, 'Зал можно забронировать после оформления билетов');
+
+      const segment = booking.segments.find(s => s.id === Number(req.body.segment_id));
+      if (!segment) throw httpError(400, 'Укажите рейс из брони');
+      const { rows } = await db.query('SELECT * FROM lounges WHERE code=$1 AND active = TRUE', [String(req.body.lounge_code || '')]);
+      const lounge = rows[0];
+      if (!lounge) throw httpError(404, 'Зал не найден');
+      if (lounge.airport !== segment.origin) throw httpError(400, 'Зал находится в другом аэропорту');
+
+      const slotStart = String(req.body.slot_start || '');
+      if (!loungeSlots(segment.departure_at).includes(slotStart))
+        throw httpError(400, `Вход в зал — не раньше чем за ${LOUNGE_WINDOW_HOURS} часа до вылета и до начала посадки`);
+
+      // неоплаченная бронь на тот же рейс заменяется новой; подтверждённую нужно сначала отменить
+      const existing = await db.query(
+        "SELECT * FROM lounge_reservations WHERE segment_id=$1 AND status IN ('pending','confirmed','used')",
+        [segment.id]
+      );
+      if (existing.rows.some(r => r.status !== 'pending')) throw httpError(409, 'Зал на этот рейс уже забронирован');
+      for (const r of existing.rows) await cancelLoungeReservation(db, r, 'замена брони зала');
+
+      if (!await reserveLoungeSlot(db, lounge, slotStart, 1 + guests)) throw httpError(409, 'На это время в зале нет мест');
+
+      const user = await getUserById(req.userId, db);
+      const entitlement = loungeEntitlement(lounge.code, segment.cabin, user.card_type);
+      const price = loungePrice(lounge, entitlement, guests);
+      const inserted = await db.query(
+        `INSERT INTO lounge_reservations
+           (lounge_code, booking_id, segment_id, user_id, slot_start, guests, free_guests, entitlement, price, status, pass_code, hold_expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING id`,
+        [
+          lounge.code, booking.id, segment.id, req.userId, slotStart, guests, Math.min(guests, entitlement.free_guests),
+          entitlement.source, price, price ? 'pending' : 'confirmed',
+          randomCode('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 12),
+          price ? new Date(Date.now() + LOUNGE_HOLD_MIN * 60000) : null,
+        ]
+      );
+      const r = await findLoungeReservation(db, inserted.rows[0].id, req.userId);
+      if (!price) await notifyLoungeConfirmed(db, r);
+      return r;
+    });
+    res.json({ ok: true, reservation: formatLoungeReservation(reservation), payment_required: reservation.status === 'pending' });
+  } catch (err) {
+    sendError(res, err, 'Ошибка бронирования зала');
+  }
+});
+
+// Отменить можно до начала слота
+app.delete('/api/bookings/:pnr/lounges/:id', authMiddleware, async (req, res) => {
+  try {
+    const reservation = await withTransaction(async db => {
+      const r = await findLoungeReservation(db, Number(req.params.id) || 0, req.userId);
+      if (r.pnr !== String(req.params.pnr).toUpperCase()) throw httpError(404, 'Бронь зала не найдена');
+      if (r.status === 'confirmed' && r.slot_start <= localStamp()) throw httpError(400, 'Отменить бронь зала можно только до начала слота');
+      if (!await cancelLoungeReservation(db, r, `отмена брони зала, рейс ${r.flight_number}`)) throw httpError(400, 'Бронь зала уже отменена или использована');
+      return findLoungeReservation(db, r.id, req.userId);
+    });
+    res.json({ ok: true, reservation: formatLoungeReservation(reservation) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены брони зала');
+  }
+});
+
+// QR-пропуск: PNG с кодом S7LOUNGE:<pass_code>, ссылка подписана (открывается без Authorization)
+app.get('/api/lounge-passes/:id.png', async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+    } catch (e) {
+      return res.status(401).json({ error: 'Ссылка недействительна' });
+    }
+    if (payload.lp !== Number(req.params.id)) return res.status(401).json({ error: 'Ссылка недействительна' });
+
+    const { rows } = await pool.query('SELECT id, pass_code, status FROM lounge_reservations WHERE id=$1', [payload.lp]);
+    if (!rows.length || !['confirmed', 'used'].includes(rows[0].status)) return res.status(404).json({ error: 'Пропуск не найден' });
+
+    const qr = await bwipjs.toBuffer({ bcid: 'qrcode', text: LOUNGE_PASS_PREFIX + rows[0].pass_code, scale: 5 });
+    res.type('png').send(qr);
+  } catch (err) {
+    sendError(res, err, 'Ошибка формирования пропуска');
+  }
+});
+
+// Проверка пропуска на входе: { code, lounge_code? }. code — отсканированный QR или код с экрана.
+// Успешная проверка гасит пропуск, повторно по нему не пройти
+app.post('/api/admin/lounge-passes/validate', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim().toUpperCase().replace(LOUNGE_PASS_PREFIX, '');
+    if (!code) return res.status(400).json({ error: 'Укажите код пропуска' });
+
+    const reservation = await withTransaction(async db => {
+      const found = await db.query(`SELECT ${LOUNGE_RESERVATION_FIELDS} ${LOUNGE_RESERVATION_JOINS} WHERE r.pass_code=$1`, [code]);
+      const r = found.rows[0];
+      if (!r) throw httpError(404, 'Пропуск не найден');
+      if (req.body.lounge_code && r.lounge_code !== req.body.lounge_code) throw httpError(409, `Пропуск в другой зал: ${r.title}`);
+      if (r.status === 'used') throw httpError(409, 'Пропуск уже использован');
+      if (r.status === 'pending') throw httpError(402, 'Доступ в зал не оплачен');
+      if (r.status !== 'confirmed') throw httpError(409, 'Пропуск аннулирован');
+
+      const now = localStamp();
+      if (now < r.slot_start) throw httpError(400, `Вход по пропуску — с ${r.slot_start.slice(11)}`);
+      if (now >= r.departure_at) throw httpError(400, `Рейс ${r.flight_number} уже вылетел`);
+
+      const upd = await db.query(
+        "UPDATE lounge_reservations SET status='used', used_at=$2, used_by=$3 WHERE id=$1 AND status='confirmed' RETURNING id",
+        [r.id, new Date(), req.userId]
+      );
+      if (!upd.rows.length) throw httpError(409, 'Пропуск уже использован');
+      await audit(db, req.userId, 'lounge_pass_used', r.user_id, { reservation_id: r.id, lounge: r.lounge_code, guests: r.guests });
+      return findLoungeReservation(db, r.id, r.user_id);
+    });
+    res.json({ ok: true, reservation: { ...formatLoungeReservation(reservation), fio: reservation.fio, persons: 1 + reservation.guests } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка проверки пропуска');
+  }
+});
+
+// =======================
+// HOTELS
+// =======================
+// Отели-партнёры: номера продаются по ночам из остатка hotel_room_nights.
+// Бронь держится HOTEL_HOLD_MIN минут: милями — /api/miles/redeem, остаток картой — /api/payments
+// (type: 'hotel_reservation'). Условия отмены фиксируются в брони при оформлении.
+// Мили за проживание начисляются после выезда с оплаченной деньгами части.
+const HOTEL_HOLD_MIN = 20;
+const HOTEL_MAX_NIGHTS = 30;
+const HOTEL_MAX_ROOMS = 5;
+const HOTEL_MILES_PERCENT = Number(process.env.HOTEL_MILES_PERCENT || 5);
+const HOTEL_PURPOSES = { leisure: 'Отдых', business: 'Работа' };
+const SEED_HOTELS = [
+  {
+    code: 'radisson-sonya-led', name: 'Radisson Sonya Hotel', city: 'Санкт-Петербург', country: 'Россия',
+    address: 'Литейный проспект, 5/19', stars: 4, image: 'images/hotelspb.avif',
+    description: 'В историческом центре, 10 минут пешком до Летнего сада',
+    rooms: [
+      { code: 'STD', title: 'Стандарт', capacity: 2, rate: 9500, inventory: 20, free_cancel_days: 2 },
+      { code: 'STD-NR', title: 'Стандарт, невозвратный тариф', capacity: 2, rate: 8200, inventory: 10, free_cancel_days: null },
+      { code: 'SUP', title: 'Улучшенный', capacity: 3, rate: 12500, inventory: 8, free_cancel_days: 2 },
+    ],
+  },
+  {
+    code: 'riviera-kzn', name: 'Ривьера Отель', city: 'Казань', country: 'Россия',
+    address: 'проспект Фатыха Амирхана, 1', stars: 4, image: 'images/2025-08-14_09-37-55.avif',
+    description: 'На берегу Казанки, рядом с аквапарком',
+    rooms: [
+      { code: 'STD', title: 'Стандарт', capacity: 2, rate: 6500, inventory: 25, free_cancel_days: 1 },
+      { code: 'FAM', title: 'Семейный', capacity: 4, rate: 9800, inventory: 6, free_cancel_days: 1 },
+    ],
+  },
+  {
+    code: 'lotte-zia', name: 'Lotte Hotel', city: 'Москва', country: 'Россия',
+    address: 'Новинский бульвар, 8, стр. 2', stars: 5, image: 'images/2025-08-14_09-49-14.avif',
+    description: 'Пятизвёздочный отель на Садовом кольце',
+    rooms: [
+      { code: 'DLX', title: 'Делюкс', capacity: 2, rate: 18500, inventory: 15, free_cancel_days: 3 },
+      { code: 'STE', title: 'Люкс', capacity: 3, rate: 42000, inventory: 3, free_cancel_days: 3 },
+    ],
+  },
+];
+
+async function seedHotels() {
+  for (const [i, h] of SEED_HOTELS.entries()) {
+    await pool.query(
+      `INSERT INTO hotels (code, name, city, country, address, stars, description, image, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (code) DO NOTHING`,
+      [h.code, h.name, h.city, h.country, h.address, h.stars, h.description, h.image, i + 1]
+    );
+    const { rows } = await pool.query('SELECT id FROM hotels WHERE code=$1', [h.code]);
+    for (const r of h.rooms) {
+      await pool.query(
+        `INSERT INTO hotel_room_types (hotel_id, code, title, capacity, rate, inventory, free_cancel_days)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (hotel_id, code) DO NOTHING`,
+        [rows[0].id, r.code, r.title, r.capacity, r.rate, r.inventory, r.free_cancel_days]
+      );
+    }
+  }
+}
+
+function nextDay(day) {
+  return addMinutesToStamp(day + 'T00:00', 1440).slice(0, 10);
+}
+
+// Даты проживания из запроса: ночи от заезда до дня выезда (не включая его)
+function parseStay(checkIn, checkOut) {
+  if (!isValidDateString(checkIn) || !isValidDateString(checkOut)) throw httpError(400, 'Укажите даты заезда и выезда');
+  if (checkIn < localStamp().slice(0, 10)) throw httpError(400, 'Дата заезда уже прошла');
+  if (checkOut <= checkIn) throw httpError(400, 'Дата выезда должна быть позже даты заезда');
+  // длину проверяем до перебора ночей: иначе далёкая дата выезда заняла бы цикл надолго
+  if (stampDiffMin(checkIn + 'T00:00', checkOut + 'T00:00') / 1440 > HOTEL_MAX_NIGHTS) throw httpError(400, `Не больше ${HOTEL_MAX_NIGHTS} ночей за одну бронь`);
+  const nights = [];
+  for (let day = checkIn; day < checkOut; day = nextDay(day)) nights.push(day);
+  return { check_in: checkIn, check_out: checkOut, nights };
+}
+
+function cancelPolicy(roomType) {
+  if (roomType.free_cancel_days === null) return 'Невозвратный тариф: при отмене оплата не возвращается';
+  return `Бесплатная отмена до ${roomType.free_cancel_days} сут. до заезда, позже — удерживается стоимость первой ночи`;
+}
+
+function freeCancelUntil(roomType, checkIn, checkinTime) {
+  if (roomType.free_cancel_days === null) return null;
+  return addMinutesToStamp(`${checkIn}T${checkinTime}`, -roomType.free_cancel_days * 1440);
+}
+
+// Свободных номеров на весь срок — минимум по ночам
+async function roomsAvailable(db, roomType, nights) {
+  const { rows } = await db.query(
+    `SELECT night, booked FROM hotel_room_nights WHERE room_type_id=$1 AND night IN (${placeholders(nights, 1)})`,
+    [roomType.id, ...nights]
+  );
+  const booked = Math.max(0, ...rows.map(r => r.booked));
+  return Math.max(0, roomType.inventory - booked);
+}
+
+// Атомарно занимает номера на каждую ночь: false — на какую-то ночь мест нет (транзакцию откатит вызывающий)
+async function reserveRoomNights(db, roomType, nights, rooms) {
+  for (const night of nights) {
+    await db.query('INSERT INTO hotel_room_nights (room_type_id, night) VALUES ($1,$2) ON CONFLICT DO NOTHING', [roomType.id, night]);
+    const { rows } = await db.query(
+      'UPDATE hotel_room_nights SET booked = booked + $3 WHERE room_type_id=$1 AND night=$2 AND booked + $3 <= $4 RETURNING booked',
+      [roomType.id, night, rooms, roomType.inventory]
+    );
+    if (!rows.length) return false;
+  }
+  return true;
+}
+
+async function releaseRoomNights(db, r) {
+  for (let night = r.check_in; night < r.check_out; night = nextDay(night)) {
+    await db.query(
+      'UPDATE hotel_room_nights SET booked = booked - $3 WHERE room_type_id=$1 AND night=$2 AND booked >= $3',
+      [r.room_type_id, night, r.rooms]
+    );
+  }
+}
+
+function formatHotel(h) {
+  return {
+    code: h.code,
+    name: h.name,
+    city: h.city,
+    country: h.country,
+    address: h.address,
+    stars: h.stars,
+    description: h.description,
+    image: h.image,
+    checkin_time: h.checkin_time,
+    checkout_time: h.checkout_time,
+  };
+}
+
+// Отели с типами номеров; если заданы даты — с остатком и стоимостью за весь срок
+async function hotelOffers(db, hotels, stay, rooms) {
+  if (!hotels.length) return [];
+  const { rows } = await db.query(
+    `SELECT * FROM hotel_room_types WHERE active = TRUE AND hotel_id IN (${placeholders(hotels)}) ORDER BY rate`,
+    hotels.map(h => h.id)
+  );
+  const result = [];
+  for (const h of hotels) {
+    const roomTypes = [];
+    for (const rt of rows.filter(x => x.hotel_id === h.id)) {
+      const offer = { id: rt.id, code: rt.code, title: rt.title, capacity: rt.capacity, rate: rt.rate, cancel_policy: cancelPolicy(rt) };
+      if (stay) {
+        offer.available = await roomsAvailable(db, rt, stay.nights);
+        offer.total = rt.rate * stay.nights.length * rooms;
+        offer.free_cancel_until = freeCancelUntil(rt, stay.check_in, h.checkin_time);
+      }
+      roomTypes.push(offer);
+    }
+    result.push({ ...formatHotel(h), rooms: stay ? roomTypes.filter(r => r.available >= rooms) : roomTypes });
+  }
+  return stay ? result.filter(h => h.rooms.length) : result;
+}
+
+async function loadHotelReservation(db, id, userId) {
+  const { rows } = await db.query(
+    `SELECT r.*, h.code AS hotel_code, h.name AS hotel_name, h.city, h.address, h.checkin_time, h.checkout_time, t.title AS room_title
+     FROM hotel_reservations r JOIN hotels h ON h.id = r.hotel_id JOIN hotel_room_types t ON t.id = r.room_type_id
+     WHERE r.id=$1`,
+    [id]
+  );
+  const r = rows[0];
+  if (!r || r.user_id !== userId) throw httpError(404, 'Бронь отеля не найдена');
+  const redemption = await db.query(
+    "SELECT miles, value_rub, cash_amount FROM miles_redemptions WHERE target_type='hotel_reservation' AND target_id=$1 AND status='active'",
+    [r.id]
+  );
+  r.miles_redemption = redemption.rows[0] || null;
+  return r;
+}
+
+// Как у авиабилетов: мили возвращаются полностью, штраф удерживается из оплаченной деньгами части.
+// Невозвратный тариф после оплаты не возвращает ни денег, ни миль
+function hotelRefundQuote(r) {
+  if (r.status === 'held') return { refundable: true, amount: 0, penalty: 0, miles: true };
+  if (r.status !== 'confirmed' || r.check_in <= localStamp().slice(0, 10)) return { refundable: false, amount: 0, penalty: 0, miles: false };
+
+  const paid = r.total_amount - (r.miles_redemption ? r.miles_redemption.value_rub : 0);
+  if (r.free_cancel_until === null) return { refundable: true, amount: 0, penalty: paid, miles: false };
+  if (localStamp() < r.free_cancel_until) return { refundable: true, amount: paid, penalty: 0, miles: true };
+  const penalty = Math.min(paid, r.rate * r.rooms);
+  return { refundable: true, amount: paid - penalty, penalty, miles: true };
+}
+
+function formatHotelReservation(r) {
+  return {
+    id: r.id,
+    code: r.code,
+    hotel: { code: r.hotel_code, name: r.hotel_name, city: r.city, address: r.address },
+    room: r.room_title,
+    check_in: r.check_in,
+    check_out: r.check_out,
+    checkin_time: r.checkin_time,
+    checkout_time: r.checkout_time,
+    nights: r.nights,
+    rooms: r.rooms,
+    guests: r.guests,
+    guest_name: r.guest_name,
+    purpose: r.purpose,
+    rate: r.rate,
+    total_amount: r.total_amount,
+    cash_due: r.miles_redemption ? r.miles_redemption.cash_amount : r.total_amount,
+    miles_redemption: r.miles_redemption ? { miles: r.miles_redemption.miles, value_rub: r.miles_redemption.value_rub } : null,
+    free_cancel_until: r.free_cancel_until,
+    status: r.status,
+    hold_expires_at: r.status === 'held' ? r.hold_expires_at : null,
+    refund_quote: hotelRefundQuote(r),
+    refund_amount: r.refund_amount,
+    miles_accrued: r.miles_accrued,
+    created_at: r.created_at,
+  };
+}
+
+async function confirmHotelReservation(db, id) {
+  const { rows } = await db.query(
+    "UPDATE hotel_reservations SET status='confirmed', confirmed_at=$2, hold_expires_at=NULL WHERE id=$1 AND status='held' RETURNING *",
+    [id, new Date()]
+  );
+  if (!rows.length) throw httpError(409, 'Бронь отеля уже подтверждена или аннулирована');
+  const r = await loadHotelReservation(db, id, rows[0].user_id);
+  await notify(r.user_id, 'hotel_confirmed', `Отель ${r.hotel_name}: бронь ${r.code} подтверждена`,
+    `${r.room_title}, ${r.check_in} — ${r.check_out} (${r.nights} ноч.). Заезд с ${r.checkin_time}.`, { hotel_reservation_id: r.id }, db);
+}
+
+async function generateHotelCode(db) {
+  for (;;) {
+    const code = 'H' + randomCode(PNR_ALPHABET, 7);
+    const { rows } = await db.query('SELECT 1 FROM hotel_reservations WHERE code=$1', [code]);
+    if (!rows.length) return code;
+  }
+}
+
+// Неоплаченные брони возвращают номера в продажу, списанные мили — на счёт
+async function expireHotelHolds() {
+  const { rows } = await pool.query(
+    "SELECT * FROM hotel_reservations WHERE status='held' AND hold_expires_at < $1",
+    [new Date()]
+  );
+  for (const r of rows) {
+    const expired = await withTransaction(async db => {
+      const upd = await db.query("UPDATE hotel_reservations SET status='expired' WHERE id=$1 AND status='held' RETURNING id", [r.id]);
+      if (!upd.rows.length) return false;
+      await releaseRoomNights(db, r);
+      await cancelOpenPayments(db, 'hotel_reservation', r.id);
+      await reverseRedemption(db, 'hotel_reservation', r.id, `Возврат миль: бронь отеля ${r.code} аннулирована`);
+      return true;
+    });
+    if (expired && r.user_id) {
+      await notify(r.user_id, 'hotel_expired', `Бронь отеля ${r.code} аннулирована`, 'Время на оплату истекло, номер вернулся в продажу.', { hotel_reservation_id: r.id });
+    }
+  }
+}
+
+// После выезда бронь закрывается и начисляются мили за оплаченное деньгами
+async function completeHotelStays() {
+  const { rows } = await pool.query(
+    "SELECT id, user_id FROM hotel_reservations WHERE status='confirmed' AND check_out <= $1",
+    [localStamp().slice(0, 10)]
+  );
+  for (const row of rows) {
+    await withTransaction(async db => {
+      const r = await loadHotelReservation(db, row.id, row.user_id);
+      const paid = r.total_amount - (r.miles_redemption ? r.miles_redemption.value_rub : 0);
+      const miles = Math.floor(paid * HOTEL_MILES_PERCENT / 100);
+      const upd = await db.query(
+        "UPDATE hotel_reservations SET status='completed', completed_at=$2, miles_accrued=$3 WHERE id=$1 AND status='confirmed' RETURNING id",
+        [r.id, new Date(), miles]
+      );
+      if (!upd.rows.length || !r.user_id || !miles) return;
+      const balance = await postMilesEntry(db, r.user_id, 'accrual', miles, `Мили за проживание: ${r.hotel_name}, бронь ${r.code}`, { refType: 'hotel_reservation', refId: r.id });
+      await notifyTemplate(r.user_id, 'miles_accrued', {
+        miles, balance, reason: `Проживание в ${r.hotel_name}, ${r.check_in} — ${r.check_out}`,
+      }, { hotel_reservation_id: r.id }, db);
+    });
+  }
+}
+
+setInterval(() => {
+  expireHotelHolds().catch(err => console.error('expire hotel holds err', err));
+}, 60 * 1000);
+
+setInterval(() => {
+  completeHotelStays().catch(err => console.error('complete hotel stays err', err));
+}, 10 * 60 * 1000);
+
+function parseRooms(value) {
+  const rooms = value === undefined || value === '' ? 1 : Number(value);
+  if (!Number.isInteger(rooms) || rooms < 1 || rooms > HOTEL_MAX_ROOMS) throw httpError(400, `Номеров — от 1 до ${HOTEL_MAX_ROOMS}`);
+  return rooms;
+}
+
+// Поиск: ?city=Казань[,Россия]&check_in=&check_out=&rooms=&guests=. Без дат — просто каталог отелей
+app.get('/api/hotels', async (req, res) => {
+  try {
+    const city = String(req.query.city || '').split(',')[0].trim();
+    const stay = req.query.check_in || req.query.check_out ? parseStay(req.query.check_in, req.query.check_out) : null;
+    const rooms = parseRooms(req.query.rooms);
+    const guests = Number(req.query.guests) || 1;
+
+    const { rows } = await pool.query(
+      city
+        ? 'SELECT * FROM hotels WHERE active = TRUE AND LOWER(city)=LOWER($1) ORDER BY sort, id'
+        : 'SELECT * FROM hotels WHERE active = TRUE ORDER BY sort, id',
+      city ? [city] : []
+    );
+    const hotels = (await hotelOffers(pool, rows, stay, rooms))
+      .map(h => ({ ...h, rooms: h.rooms.filter(r => r.capacity * rooms >= guests) }))
+      .filter(h => !stay || h.rooms.length);
+    res.json({ hotels, nights: stay ? stay.nights.length : null, purposes: HOTEL_PURPOSES });
+  } catch (err) {
+    sendError(res, err, 'Ошибка поиска отелей');
+  }
+});
+
+app.get('/api/hotels/:code', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM hotels WHERE code=$1 AND active = TRUE', [req.params.code]);
+    if (!rows.length) return res.status(404).json({ error: 'Отель не найден' });
+    const stay = req.query.check_in || req.query.check_out ? parseStay(req.query.check_in, req.query.check_out) : null;
+    const [hotel] = await hotelOffers(pool, rows, stay, parseRooms(req.query.rooms));
+    if (!hotel) return res.json({ hotel: { ...formatHotel(rows[0]), rooms: [] } });
+    res.json({ hotel });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки отеля');
+  }
+});
+
+// { room_type_id, check_in, check_out, rooms, guests, guest_name, purpose: 'leisure' | 'business' }
+app.post('/api/hotel-reservations', authMiddleware, async (req, res) => {
+  try {
+    const stay = parseStay(req.body.check_in, req.body.check_out);
+    const rooms = parseRooms(req.body.rooms);
+    const guests = req.body.guests === undefined ? 1 : Number(req.body.guests);
+    if (!Number.isInteger(guests) || guests < 1) return res.status(400).json({ error: 'Некорректное число гостей' });
+    const purpose = HOTEL_PURPOSES[req.body.purpose] ? req.body.purpose : 'leisure';
+
+    const reservation = await withTransaction(async db => {
+      const { rows } = await db.query(
+        `SELECT t.*, h.checkin_time FROM hotel_room_types t JOIN hotels h ON h.id = t.hotel_id
+         WHERE t.id=$1 AND t.active = TRUE AND h.active = TRUE`,
+        [Number(req.body.room_type_id) || 0]
+      );
+      const roomType = rows[0];
+      if (!roomType) throw httpError(404, 'Номер не найден');
+      if (guests > roomType.capacity * rooms) throw httpError(400, `В номере «${roomType.title}» не больше ${roomType.capacity} гостей`);
+      if (!await reserveRoomNights(db, roomType, stay.nights, rooms)) throw httpError(409, 'На эти даты свободных номеров нет');
+
+      const user = await getUserById(req.userId, db);
+      const code = await generateHotelCode(db);
+      const inserted = await db.query(
+        `INSERT INTO hotel_reservations
+           (code, user_id, hotel_id, room_type_id, check_in, check_out, nights, rooms, guests, guest_name, purpose, rate, total_amount, free_cancel_until, hold_expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15) RETURNING id`,
+        [
+          code, req.userId, roomType.hotel_id, roomType.id, stay.check_in, stay.check_out, stay.nights.length, rooms, guests,
+          String(req.body.guest_name || user.fio || '').trim() || null, purpose, roomType.rate,
+          roomType.rate * stay.nights.length * rooms, freeCancelUntil(roomType, stay.check_in, roomType.checkin_time),
+          new Date(Date.now() + HOTEL_HOLD_MIN * 60000),
+        ]
+      );
+      return loadHotelReservation(db, inserted.rows[0].id, req.userId);
+    });
+    res.json({ ok: true, reservation: formatHotelReservation(reservation) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка бронирования отеля');
+  }
+});
+
+app.get('/api/hotel-reservations', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT id FROM hotel_reservations WHERE user_id=$1 ORDER BY id DESC', [req.userId]);
+    const reservations = [];
+    for (const r of rows) reservations.push(formatHotelReservation(await loadHotelReservation(pool, r.id, req.userId)));
+    res.json({ reservations });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки броней отелей');
+  }
+});
+
+app.get('/api/hotel-reservations/:id', authMiddleware, async (req, res) => {
+  try {
+    const r = await loadHotelReservation(pool, Number(req.params.id) || 0, req.userId);
+    res.json({ reservation: formatHotelReservation(r) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки брони отеля');
+  }
+});
+
+// Отмена по условиям тарифа, зафиксированным в брони (hotelRefundQuote)
+app.post('/api/hotel-reservations/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const reservation = await withTransaction(async db => {
+      const current = await loadHotelReservation(db, Number(req.params.id) || 0, req.userId);
+      const quote = hotelRefundQuote(current);
+      if (!quote.refundable) throw httpError(400, 'Бронь отеля нельзя отменить');
+
+      const upd = await db.query(
+        `UPDATE hotel_reservations SET status='cancelled', cancelled_at=$2, refund_amount=$3, hold_expires_at=NULL
+         WHERE id=$1 AND status=$4 RETURNING id`,
+        [current.id, new Date(), quote.amount, current.status]
+      );
+      if (!upd.rows.length) throw httpError(409, 'Статус брони изменился, обновите страницу');
+
+      await releaseRoomNights(db, current);
+      await cancelOpenPayments(db, 'hotel_reservation', current.id);
+      if (quote.amount) await refundTargetPayments(db, 'hotel_reservation', current.id, quote.amount, `Отмена брони отеля ${current.code}`);
+      const reversed = quote.miles
+        ? await reverseRedemption(db, 'hotel_reservation', current.id, `Возврат миль: отмена брони отеля ${current.code}`)
+        : null;
+      const result = await loadHotelReservation(db, current.id, req.userId);
+      result.miles_refunded = reversed ? reversed.miles : 0;
+      return result;
+    });
+
+    const refundParts = [];
+    if (reservation.refund_amount) refundParts.push(`${reservation.refund_amount} ₽`);
+    if (reservation.miles_refunded) refundParts.push(`${reservation.miles_refunded} миль`);
+    await notify(req.userId, 'hotel_cancelled', `Бронь отеля ${reservation.code} отменена`,
+      refundParts.length ? `К возврату ${refundParts.join(' и ')}.` : 'Бронь отменена.', { hotel_reservation_id: reservation.id });
+
+    res.json({ ok: true, reservation: { ...formatHotelReservation(reservation), miles_refunded: reservation.miles_refunded } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены брони отеля');
+  }
+});
+
+// =======================
+// ASSISTANT & HELP CENTER
+// =======================
+// Одна база знаний (kb_articles) для чат-виджета на страницах и Справочного центра (helper.html).
+// Вопрос сопоставляется с ключевыми фразами статей по основам слов (стеммер Портера для русского)
+// с допуском опечаток; личные вопросы ("мой рейс", "сколько миль") отвечаются по данным пользователя.
+// Вопросы без ответа копятся в assistant_unanswered, поддержка разбирает их в админке.
+const KB_CATEGORIES = {
+  flights: 'Перелёты', miles: 'Мили и Priority', shop: 'S7avelii Shop', services: 'Услуги', company: 'О компании',
+};
+const SEED_KB = [
+  { slug: 'baggage', category: 'flights', featured: true, question: 'Можно ли взять чемодан в самолёт?',
+    keywords: ['багаж', 'чемодан', 'ручная кладь', 'размер клади', 'вес багажа'],
+    answer: 'Ручная кладь — 55×40×20 см и 7–10 кг. Багаж — три тарифа: S до 23 кг, M до 25 кг, L до 28 кг. Чтобы обезопасить чемодан, воспользуйтесь упаковкой багажа в аэропорту.' },
+  { slug: 'destinations', category: 'flights', featured: true, question: 'В какие города вы летаете?', link: 'arrivel.html',
+    keywords: ['направление', 'маршрут', 'маршрутная сеть', 'куда летаете', 'какие города', 'сколько направлений'],
+    answer: 'Мы летаем из Савелия в Москву, Санкт-Петербург, Казань, Сочи, Мармарис и ещё полтора десятка городов. Все направления — в разделе «Направления».' },
+  { slug: 'priority', category: 'miles', featured: true, question: 'Что даёт карта S7avelii Priority?', link: 'priority.html',
+    keywords: ['priority', 'приорити', 'карта лояльности', 'оформить карту', 'карта приорити'],
+    answer: 'Карта S7avelii Priority — участие в программе лояльности: мили за перелёты, покупки и отели, бесплатный проход в бизнес-зал с гостем и бесплатный выбор места. Оформить карту можно в разделе S7avelii Priority.' },
+  { slug: 'shop-order-status', category: 'shop', featured: true, question: 'Где узнать статус заказа S7avelii Shop?', link: 'cabinet.html',
+    keywords: ['статус заказа', 'где заказ', 'доставка заказа', 'отследить заказ'],
+    answer: 'Статус заказа виден в личном кабинете: оплачен, передан в доставку, доставлен. Об изменениях статуса придёт уведомление, мили за покупку начисляются после доставки.' },
+  { slug: 'cabinet', category: 'company', featured: true, question: 'Как разобраться с личным кабинетом?', link: 'auth.html',
+    keywords: ['личный кабинет', 'кабинет', 'профиль', 'зарегистрироваться', 'зарегистрироваться на сайте', 'регистрация на сайте', 'войти', 'вход на сайт'],
+    answer: 'Нажмите «Вход» → «Зарегистрироваться». В личном кабинете — ваши брони, заказы, мили, семейный счёт и уведомления.' },
+  { slug: 'earn-miles', category: 'miles', featured: true, question: 'Как можно накопить мили S7avelii?',
+    keywords: ['накопить мили', 'начисление миль', 'заработать мили', 'получить мили', 'мили за перелет', 'зачем мили'],
+    answer: 'Мили начисляются за покупки в S7avelii Shop и проживание в отелях-партнёров (5% от оплаченного деньгами), по промокодам и акциям. За перелёты копятся статусные мили — от них зависит уровень карты.' },
+  { slug: 'pay-with-miles', category: 'miles', featured: true, question: 'Как работает оплата «Милями»?',
+    keywords: ['оплата милями', 'оплатить милями', 'потратить мили', 'списать мили', 'обменять мили'],
+    answer: '1 миля = 1 ₽. Милями можно оплатить билет, заказ в магазине, отель или питание на борту — целиком или частично, остаток оплачивается картой. При отмене мили возвращаются на счёт.' },
+  { slug: 'buy-ticket', category: 'flights', featured: true, question: 'Как я могу заказать билет на сайте?', link: 'search.html',
+    keywords: ['купить билет', 'заказать билет', 'билет', 'забронировать рейс', 'бронирование билета'],
+    answer: 'Найдите рейс в поиске, выберите класс и укажите пассажиров. Места держатся 20 минут — за это время оплатите бронь картой или милями, и билеты будут выписаны.' },
+  { slug: 'refund', category: 'flights', question: 'Как вернуть билет?', link: 'cabinet.html',
+    keywords: ['вернуть билет', 'возврат билета', 'отменить бронь', 'сдать билет'],
+    answer: 'Отменить бронь можно в личном кабинете. Больше чем за сутки до вылета возвращается 75% стоимости в экономе, 90% в комфорте и 100% в бизнесе; мили возвращаются полностью.' },
+  { slug: 'checkin', category: 'flights', question: 'Когда открывается онлайн-регистрация?', link: 'cabinet.html',
+    keywords: ['онлайн регистрация', 'регистрация на рейс', 'посадочный талон', 'приезжать в аэропорт'],
+    answer: 'Онлайн-регистрация открывается за 24 часа и закрывается за 45 минут до вылета, посадочный талон можно скачать в PDF. В аэропорт лучше приезжать за 2,5 часа.' },
+  { slug: 'seats', category: 'flights', question: 'Как выбрать место в самолёте?',
+    keywords: ['выбрать место', 'место в самолете', 'выбор места'],
+    answer: 'Место выбирается на схеме салона после бронирования. В комфорте и бизнесе — бесплатно, в экономе — от 390 ₽; владельцам карт Master, Pro, Flight-master и VIP часть мест бесплатна.' },
+  { slug: 'cabin-class', category: 'flights', question: 'Какие классы обслуживания есть?', link: 'class.html',
+    keywords: ['класс обслуживания', 'бизнес класс', 'эконом', 'комфорт', 'выбор класса'],
+    answer: 'Эконом, комфорт (на дальних рейсах) и бизнес. Класс выбирается при поиске рейса.' },
+  { slug: 'meals', category: 'services', question: 'Как заказать питание на борт?', link: 'eat.html',
+    keywords: ['питание', 'еда', 'меню', 'блюдо', 'кушать', 'поесть'],
+    answer: 'Питание заказывается заранее, не позднее чем за 48 часов до вылета, на странице «Питание» по номеру брони. Оплатить можно картой или милями.' },
+  { slug: 'lounges', category: 'services', question: 'Как попасть в бизнес-зал?', link: 'VIP.html',
+    keywords: ['бизнес зал', 'vip зал', 'лаунж', 'зал ожидания'],
+    answer: 'Вход в бизнес-зал или VIP-зал бронируется на час вылета по номеру брони. Пассажирам бизнес-класса и владельцам карт Pro, Priority, Flight-master и VIP вход бесплатный, остальным — платный. На входе покажите QR-пропуск.' },
+  { slug: 'hotels', category: 'services', question: 'Как забронировать отель?', link: 'HOTEL.html',
+    keywords: ['отель', 'гостиница', 'проживание', 'номер в отеле'],
+    answer: 'Отели-партнёры бронируются в разделе «Отели»: выберите город и даты. Оплатить можно картой или милями, а после выезда начисляются мили.' },
+  { slug: 'shop', category: 'shop', question: 'Как купить товар в S7avelii Shop?', link: 's7hop.html',
+    keywords: ['магазин', 'товар', 'мерч', 'shop', 'купить товар'],
+    answer: 'Выберите товар и размер в S7avelii Shop, добавьте в корзину и оформите заказ в личном кабинете. Оплата — картой или милями.' },
+  { slug: 'fleet', category: 'company', question: 'Сколько самолётов во флоте?', link: 'plane.html',
+    keywords: ['самолет', 'флот', 'авиапарк', 'сколько самолетов'],
+    answer: 'Флот S7avelii Airlines насчитывает 12 миниатюрных самолётов. Подробнее — в разделе «Наш флот».' },
+  { slug: 'websites', category: 'company', question: 'Можно ли заказать у вас сайт?', link: 'busines.html',
+    keywords: ['заказать сайт', 'создать сайт', 'для бизнеса', 'разработка сайта'],
+    answer: 'Да, в разделе «Для бизнеса» выберите тариф — менеджер свяжется с вами.' },
+  { slug: 'offices', category: 'company', question: 'Где находится офис?', link: 'office.html',
+    keywords: ['представительство', 'офис', 'где офис', 'адрес офиса'],
+    answer: 'Флагманский офис — г. Саратов, Киевский проезд, д. 1. Миниатюрные представительства есть практически во всех городах, куда мы летаем.' },
+  { slug: 'about', category: 'company', question: 'Кто вы?', link: 'body.html',
+    keywords: ['о нас', 'о компании', 'авиакомпания', 'кто вы'],
+    answer: 'S7avelii Airlines — молодая авиакомпания, работаем с 2019 года. Помимо миниатюрных авиаперевозок, делаем сайты и цифровые продукты и продаём фирменный мерч.' },
+  { slug: 'support', category: 'company', question: 'Как связаться со службой поддержки?', link: 'https://t.me/s7aveliihelper',
+    keywords: ['поддержка', 'служба поддержки', 'помощь', 'оператор', 'связаться'],
+    answer: 'Напишите в службу поддержки в Telegram — @s7aveliihelper. А я постараюсь помочь прямо здесь: что случилось?' },
+  { slug: 'partners', category: 'company', question: 'Как стать партнёром?', link: 'partners.html',
+    keywords: ['партнер', 'партнерство', 'стать партнером'],
+    answer: 'Наши партнёры — в разделе «Партнёры» внизу страницы. Чтобы стать партнёром, отправьте заявку на s7avelii_airlines@mail.ru.' },
+  { slug: 'vacancies', category: 'company', question: 'Есть ли у вас вакансии?', link: 'vacance.html',
+    keywords: ['вакансия', 'хочу работать', 'работа у вас', 'нужна работа', 'карьера'],
+    answer: 'Открытые вакансии — в разделе «Вакансии». Если вас позвали на собеседование, напишите на s7avelii_airlines@mail.ru.' },
+  { slug: 'news', category: 'company', question: 'Где читать новости?', link: 'https://t.me/S7saveliiairlines',
+    keywords: ['новости', 'что нового'],
+    answer: 'Новости публикуются на главной странице и в нашем Telegram-канале.' },
+];
+
+async function seedKnowledgeBase() {
+  for (const [i, a] of SEED_KB.entries()) {
+    await pool.query(
+      `INSERT INTO kb_articles (slug, category, question, answer, keywords, link, featured, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (slug) DO NOTHING`,
+      [a.slug, a.category, a.question, a.answer, JSON.stringify(a.keywords), a.link || null, Boolean(a.featured), i + 1]
+    );
+  }
+}
+
+// Стеммер Портера (Snowball) для русского: RV — часть слова после первой гласной
+const RU_PERFECTIVE_GERUND = /((ив|ивши|ившись|ыв|ывши|ывшись)|((?<=[ая])(в|вши|вшись)))$/;
+const RU_REFLEXIVE = /(с[яь])$/;
+const RU_ADJECTIVE = /(ее|ие|ые|ое|ими|ыми|ей|ий|ый|ой|ем|им|ым|ом|его|ого|ему|ому|их|ых|ую|юю|ая|яя|ою|ею)$/;
+const RU_PARTICIPLE = /((ивш|ывш|ующ)|((?<=[ая])(ем|нн|вш|ющ|щ)))$/;
+const RU_VERB = /((ила|ыла|ена|ейте|уйте|ите|или|ыли|ей|уй|ил|ыл|им|ым|ен|ило|ыло|ено|ят|ует|уют|ит|ыт|ены|ить|ыть|ишь|ую|ю)|((?<=[ая])(ла|на|ете|йте|ли|й|л|ем|н|ло|но|ет|ют|ны|ть|ешь|нно)))$/;
+const RU_NOUN = /(а|ев|ов|ие|ье|е|иями|ями|ами|еи|ии|и|ией|ей|ой|ий|й|иям|ям|ием|ем|ам|ом|о|у|ах|иях|ях|ы|ь|ию|ью|ю|ия|ья|я)$/;
+
+function stemRu(word) {
+  const m = word.match(/^(.*?[аеиоуыэюя])(.*)$/);
+  if (!m) return word;
+  let rv = m[2];
+  if (RU_PERFECTIVE_GERUND.test(rv)) {
+    rv = rv.replace(RU_PERFECTIVE_GERUND, '');
+  } else {
+    rv = rv.replace(RU_REFLEXIVE, '');
+    if (RU_ADJECTIVE.test(rv)) rv = rv.replace(RU_ADJECTIVE, '').replace(RU_PARTICIPLE, '');
+    else if (RU_VERB.test(rv)) rv = rv.replace(RU_VERB, '');
+    else rv = rv.replace(RU_NOUN, '');
+  }
+  rv = rv.replace(/и$/, '').replace(/ость?$/, '');
+  rv = rv.replace(/ейше?$/, '').replace(/нн$/, 'н').replace(/ь$/, '');
+  return m[1] + rv;
+}
+
+const ASSISTANT_STOP_WORDS = new Set([
+  'а', 'в', 'во', 'и', 'к', 'ко', 'с', 'со', 'у', 'о', 'об', 'на', 'по', 'за', 'из', 'от', 'до', 'для', 'не', 'ли', 'же', 'бы', 'ну',
+  'как', 'что', 'где', 'когда', 'какой', 'какая', 'какие', 'можно', 'нужно', 'надо', 'это', 'мне', 'меня', 'я', 'вы', 'вас', 'ваш',
+  'ваши', 'есть', 'подскажите', 'скажите', 'пожалуйста', 'хочу', 'хотел', 'хотела', 'привет', 'здравствуйте',
+]);
+
+// Нормализованные основы слов; stopWords: false — для личных вопросов, где важны "мой", "сколько"
+function assistantStems(text, { stopWords = true } = {}) {
+  return String(text || '').toLowerCase().replace(/ё/g, 'е')
+    .split(/[^a-zа-я0-9]+/).filter(Boolean)
+    .filter(w => !stopWords || !ASSISTANT_STOP_WORDS.has(w))
+    .map(w => (/[а-я]/.test(w) ? stemRu(w) : w));
+}
+
+// Расстояние Дамерау — Левенштейна (с перестановкой соседних букв)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Короткие основы — только точно, длинные — с одной-двумя опечатками
+function stemsMatch(a, b) {
+  if (a === b) return true;
+  const len = Math.min(a.length, b.length);
+  if (len <= 3) return false;
+  return editDistance(a, b) <= (len >= 7 ? 2 : 1);
+}
+
+function phraseMatches(phraseStems, stems) {
+  return phraseStems.length > 0 && phraseStems.every(p => stems.some(s => stemsMatch(p, s)));
+}
+
+// Вес статьи: совпавшие ключевые фразы (многословные весомее) + доля совпадения с самим вопросом статьи
+function scoreArticle(article, stems) {
+  let score = 0;
+  for (const k of article.keywords || []) {
+    const phrase = assistantStems(k);
+    if (phraseMatches(phrase, stems)) score += phrase.length;
+  }
+  const title = assistantStems(article.question);
+  if (title.length && stems.length) {
+    const hits = title.filter(t => stems.some(s => stemsMatch(t, s))).length;
+    score += (2 * hits) / Math.max(title.length, stems.length);
+  }
+  return score;
+}
+
+const ASSISTANT_MIN_SCORE = 1;
+
+// Личные вопросы: фразы сверяются так же, как ключевые слова статей, но без стоп-слов
+const ASSISTANT_INTENTS = [
+  { name: 'miles', phrases: ['сколько миль', 'скока миль', 'сколько у меня миль', 'баланс миль', 'мой баланс', 'мои мили', 'остаток миль', 'мой уровень'] },
+  { name: 'flight', phrases: ['мой рейс', 'ближайший рейс', 'мой перелет', 'моя бронь', 'мой билет', 'когда мой вылет', 'когда я лечу'] },
+  { name: 'order', phrases: ['мой заказ', 'где мой заказ', 'статус моего заказа'] },
+];
+
+function detectIntent(text) {
+  const stems = assistantStems(text, { stopWords: false });
+  for (const intent of ASSISTANT_INTENTS) {
+    if (intent.phrases.some(p => phraseMatches(assistantStems(p, { stopWords: false }), stems))) return intent.name;
+  }
+  return null;
+}
+
+function formatStamp(stamp) {
+  const [date, time] = stamp.split('T');
+  const [, m, d] = date.split('-');
+  return `${d}.${m} ${time}`;
+}
+
+async function answerIntent(intent, userId) {
+  if (!userId) return { answer: 'Чтобы ответить на этот вопрос, войдите в личный кабинет.', link: 'auth.html' };
+
+  if (intent === 'miles') {
+    const user = await getUserById(userId);
+    const tier = user.card_type || user.tier || 'Classic';
+    return {
+      answer: `На вашем счёте ${Number(user.bonus_miles || 0).toLocaleString('ru-RU')} миль. Уровень карты — ${tier}, статусных миль: ${Number(user.status_miles || 0).toLocaleString('ru-RU')}.`,
+      link: 'cabinet.html',
+    };
+  }
+
+  if (intent === 'flight') {
+    const { rows } = await pool.query(
+      `SELECT b.pnr, b.status, f.flight_number, f.origin, f.destination, f.departure_at, f.status AS flight_status
+       FROM bookings b
+       JOIN booking_segments s ON s.booking_id = b.id
+       JOIN flight_instances f ON f.id = s.flight_instance_id
+       WHERE b.user_id=$1 AND b.status IN ('held','ticketed') AND f.departure_at > $2
+       ORDER BY f.departure_at LIMIT 1`,
+      [userId, localStamp()]
+    );
+    const f = rows[0];
+    if (!f) return { answer: 'У вас нет предстоящих рейсов. Найти билет можно в поиске.', link: 'search.html' };
+    const parts = [`Ближайший рейс — ${f.flight_number} ${f.origin} → ${f.destination}, вылет ${formatStamp(f.departure_at)}, бронь ${f.pnr}.`];
+    if (f.status === 'held') parts.push('Бронь ещё не оплачена.');
+    if (f.flight_status === 'cancelled') parts.push('Внимание: рейс отменён.');
+    else if (f.status === 'ticketed') parts.push(`Онлайн-регистрация открывается за ${CHECKIN_OPEN_HOURS} часа до вылета.`);
+    return { answer: parts.join(' '), link: 'cabinet.html' };
+  }
+
+  if (intent === 'order') {
+    const { rows } = await pool.query(
+      'SELECT id, status, total_amount FROM orders WHERE user_id=$1 ORDER BY id DESC LIMIT 1',
+      [userId]
+    );
+    const o = rows[0];
+    if (!o) return { answer: 'Заказов в S7avelii Shop у вас пока нет.', link: 's7hop.html' };
+    const status = ORDER_STATUS_TITLES[o.status] || 'ожидает оплаты';
+    return { answer: `Последний заказ №${o.id} на ${o.total_amount} ₽ — ${status}.`, link: 'cabinet.html' };
+  }
+  return null;
+}
+
+function formatArticle(a) {
+  return {
+    id: a.id,
+    slug: a.slug,
+    category: a.category,
+    category_title: KB_CATEGORIES[a.category] || null,
+    question: a.question,
+    answer: a.answer,
+    link: a.link,
+    featured: a.featured,
+  };
+}
+
+async function logUnanswered(question, page, userId) {
+  const normalized = assistantStems(question).join(' ') || question.toLowerCase().trim();
+  await pool.query(
+    `INSERT INTO assistant_unanswered (normalized, question, page, user_id, last_asked_at)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (normalized) DO UPDATE SET asked_count = assistant_unanswered.asked_count + 1,
+       last_asked_at = excluded.last_asked_at, status = 'new'`,
+    [normalized, question.slice(0, 500), page, userId, new Date()]
+  );
+}
+
+// { question, page } — Authorization необязателен, с ним доступны личные ответы
+app.post('/api/assistant', optionalAuth, async (req, res) => {
+  try {
+    const question = String(req.body.question || '').trim();
+    if (!question) return res.status(400).json({ error: 'Задайте вопрос' });
+    if (question.length > 500) return res.status(400).json({ error: 'Слишком длинный вопрос' });
+    const page = req.body.page ? String(req.body.page).slice(0, 100) : null;
+
+    const intent = detectIntent(question);
+    if (intent) {
+      const personal = await answerIntent(intent, req.userId);
+      return res.json({ ...personal, intent, article: null, suggestions: [] });
+    }
+
+    const stems = assistantStems(question);
+    const { rows } = await pool.query('SELECT * FROM kb_articles WHERE active = TRUE ORDER BY sort, id');
+    const ranked = rows
+      .map(a => ({ a, score: scoreArticle(a, stems) }))
+      .filter(x => x.score > 0)
+      .sort((x, y) => y.score - x.score);
+
+    const best = ranked[0];
+    if (best && best.score >= ASSISTANT_MIN_SCORE) {
+      return res.json({
+        answer: best.a.answer,
+        link: best.a.link,
+        intent: null,
+        article: { slug: best.a.slug, question: best.a.question },
+        suggestions: ranked.slice(1, 3).filter(x => x.score >= ASSISTANT_MIN_SCORE).map(x => ({ slug: x.a.slug, question: x.a.question })),
+      });
+    }
+
+    await logUnanswered(question, page, req.userId || null);
+    const suggestions = (ranked.length ? ranked.map(x => x.a) : rows.filter(a => a.featured)).slice(0, 3);
+    res.json({
+      answer: 'Пока не знаю ответа на этот вопрос — передал его в службу поддержки. Возможно, поможет что-то из этого:',
+      link: null,
+      intent: null,
+      article: null,
+      suggestions: suggestions.map(a => ({ slug: a.slug, question: a.question })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка помощника');
+  }
+});
+
+// Справочный центр: все активные статьи, featured — на главной helper.html
+app.get('/api/help/articles', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM kb_articles WHERE active = TRUE ORDER BY sort, id');
+    res.json({ articles: rows.map(formatArticle), categories: KB_CATEGORIES });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки справки');
+  }
+});
+
+app.get('/api/help/articles/:slug', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM kb_articles WHERE slug=$1 AND active = TRUE', [req.params.slug]);
+    if (!rows.length) return res.status(404).json({ error: 'Статья не найдена' });
+    res.json({ article: formatArticle(rows[0]) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки статьи');
+  }
+});
+
+// Редактирование базы знаний — поддержка и администраторы
+function parseArticle(body, partial) {
+  const out = {};
+  for (const f of ['question', 'answer']) {
+    if (body[f] === undefined) {
+      if (!partial) throw httpError(400, 'Укажите вопрос и ответ');
+      continue;
+    }
+    out[f] = String(body[f]).trim();
+    if (!out[f]) throw httpError(400, 'Укажите вопрос и ответ');
+  }
+  if (body.keywords !== undefined) {
+    if (!Array.isArray(body.keywords)) throw httpError(400, 'keywords — список фраз');
+    out.keywords = JSON.stringify(body.keywords.map(k => String(k).trim()).filter(Boolean));
+  }
+  if (body.category !== undefined) {
+    if (body.category !== null && !KB_CATEGORIES[body.category]) throw httpError(400, 'Неизвестная категория');
+    out.category = body.category;
+  }
+  if (body.link !== undefined) out.link = body.link ? String(body.link).trim() : null;
+  if (body.featured !== undefined) out.featured = Boolean(body.featured);
+  if (body.active !== undefined) out.active = Boolean(body.active);
+  if (body.sort !== undefined) out.sort = Number(body.sort) || 0;
+  return out;
+}
+
+app.get('/api/admin/kb', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM kb_articles ORDER BY sort, id');
+    res.json({ articles: rows.map(a => ({ ...formatArticle(a), keywords: a.keywords || [], active: a.active, sort: a.sort, updated_at: a.updated_at })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки базы знаний');
+  }
+});
+
+// { slug, question, answer, keywords: [...], category, link, featured }
+app.post('/api/admin/kb', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const slug = String(req.body.slug || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{2,60}$/.test(slug)) return res.status(400).json({ error: 'slug — латиница, цифры и дефис' });
+    const fields = parseArticle(req.body, false);
+
+    const article = await withTransaction(async db => {
+      let rows;
+      try {
+        ({ rows } = await db.query(
+          `INSERT INTO kb_articles (slug, category, question, answer, keywords, link, featured, sort, updated_by)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+          [slug, fields.category || null, fields.question, fields.answer, fields.keywords || '[]', fields.link || null,
+            fields.featured || false, fields.sort || 0, req.userId]
+        ));
+      } catch (err) {
+        if (err.code === '23505') throw httpError(409, 'Статья с таким slug уже есть');
+        throw err;
+      }
+      await audit(db, req.userId, 'kb_create', null, { slug });
+      return rows[0];
+    });
+    res.json({ ok: true, article: formatArticle(article) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка создания статьи');
+  }
+});
+
+app.patch('/api/admin/kb/:id', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const fields = parseArticle(req.body, true);
+    const names = Object.keys(fields);
+    if (!names.length) return res.status(400).json({ error: 'Нечего менять' });
+
+    const article = await withTransaction(async db => {
+      const sets = names.map((f, i) => `${f}=$${i + 2}`);
+      const { rows } = await db.query(
+        `UPDATE kb_articles SET ${sets.join(', ')}, updated_by=$${names.length + 2}, updated_at=$${names.length + 3} WHERE id=$1 RETURNING *`,
+        [Number(req.params.id) || 0, ...names.map(f => fields[f]), req.userId, new Date()]
+      );
+      if (!rows.length) throw httpError(404, 'Статья не найдена');
+      await audit(db, req.userId, 'kb_update', null, { slug: rows[0].slug, fields: names });
+      return rows[0];
+    });
+    res.json({ ok: true, article: formatArticle(article) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка сохранения статьи');
+  }
+});
+
+// Вопросы без ответа: ?status=new|resolved|ignored, частые — выше
+app.get('/api/admin/assistant/unanswered', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const status = ['new', 'resolved', 'ignored'].includes(req.query.status) ? req.query.status : 'new';
+    const { rows } = await pool.query(
+      `SELECT q.*, a.slug AS article_slug FROM assistant_unanswered q LEFT JOIN kb_articles a ON a.id = q.article_id
+       WHERE q.status=$1 ORDER BY q.asked_count DESC, q.last_asked_at DESC LIMIT 200`,
+      [status]
+    );
+    res.json({
+      questions: rows.map(q => ({
+        id: q.id, question: q.question, page: q.page, asked_count: q.asked_count, status: q.status,
+        article_slug: q.article_slug, created_at: q.created_at, last_asked_at: q.last_asked_at,
+      })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки вопросов');
+  }
+});
+
+// { status: 'resolved' | 'ignored' | 'new', article_slug? } — к какой статье добавлен ответ
+app.patch('/api/admin/assistant/unanswered/:id', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const status = req.body.status;
+    if (!['new', 'resolved', 'ignored'].includes(status)) return res.status(400).json({ error: 'Некорректный статус' });
+
+    let articleId = null;
+    if (req.body.article_slug) {
+      const { rows } = await pool.query('SELECT id FROM kb_articles WHERE slug=$1', [String(req.body.article_slug)]);
+      if (!rows.length) return res.status(404).json({ error: 'Статья не найдена' });
+      articleId = rows[0].id;
+    }
+    const { rows } = await pool.query(
+      'UPDATE assistant_unanswered SET status=$2, article_id=$3 WHERE id=$1 RETURNING *',
+      [Number(req.params.id) || 0, status, articleId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Вопрос не найден' });
+    res.json({ ok: true, question: rows[0] });
+  } catch (err) {
+    sendError(res, err, 'Ошибка сохранения');
+  }
+});
+
+// =======================
+// MEDIA
+// =======================
+// Загрузки изображений: тип определяется по содержимому, а не по имени и Content-Type; оригинал
+// не хранится — только пересжатые размеры в AVIF и WebP без EXIF (поворот из EXIF применяется).
+// Файл с тем же содержимым повторно не обрабатывается — берётся готовая запись media_files.
+// Хранилище — STORAGE_DRIVERS: локальный диск (/uploads, private/ — вне его) или S3-совместимый бакет. Ключи private/...
+// (резюме) отдаёт только сервер через get(); в бакете публичное чтение открывают лишь для media/*.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const IMAGE_MAX_PIXELS = 40 * 1000 * 1000;
+const MEDIA_ORPHAN_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS || 24);
+const MEDIA_FORMATS = {
+  avif: { mime: 'image/avif', options: { quality: 50 } },
+  webp: { mime: 'image/webp', options: { quality: 80 } },
+};
+// main — размер, ссылка на который попадает в users.avatar / products.images
+const MEDIA_KINDS = {
+  avatar: { sizes: [64, 256, 512], fit: 'cover', main: 256 },
+  product: { sizes: [320, 800, 1600], fit: 'inside', main: 800 },
+};
+
+// Сигнатуры форматов, которые принимаем; SVG не принимаем вовсе (скрипты внутри)
+function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buf.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buf.toString('ascii', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+  return null;
+}
+
+function s3Config() {
+  const cfg = {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKey: process.env.S3_ACCESS_KEY_ID,
+    secretKey: process.env.S3_SECRET_ACCESS_KEY,
+  };
+  if (!cfg.endpoint || !cfg.bucket || !cfg.accessKey || !cfg.secretKey) {
+    throw httpError(500, 'Хранилище S3 не настроено (S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+  }
+  return cfg;
+}
+
+// Запрос к S3 API с подписью AWS Signature V4 (path-style: /bucket/key)
+async function s3Request(method, key, body = Buffer.alloc(0), contentType = null) {
+  const cfg = s3Config();
+  const endpoint = new URL(cfg.endpoint);
+  const objectPath = `/${cfg.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${cfg.region}/s3/aws4_request`;
+  const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+  const headers = { host: endpoint.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  if (contentType) {
+    headers['content-type'] = contentType;
+    headers['cache-control'] = 'public, max-age=31536000, immutable';
+  }
+  const signed = Object.keys(headers).sort();
+  const canonical = [
+    method, objectPath, '',
+    signed.map(h => `${h}:${headers[h]}\n`).join(''),
+    signed.join(';'), payloadHash,
+  ].join('\n');
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonical).digest('hex')].join('\n');
+  const hmac = (k, v) => crypto.createHmac('sha256', k).update(v).digest();
+  let signingKey = hmac(`AWS4${cfg.secretKey}`, amzDate.slice(0, 8));
+  for (const part of [cfg.region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+  const signature = crypto.createHmac('sha256', signingKey).update(toSign).digest('hex');
+
+  const { host, ...sendHeaders } = headers;
+  const r = await fetch(`${endpoint.origin}${objectPath}`, {
+    method,
+    headers: {
+      ...sendHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${cfg.accessKey}/${scope}, SignedHeaders=${signed.join(';')}, Signature=${signature}`,
+    },
+    body: method === 'PUT' ? body : undefined,
+  });
+  if (!r.ok && !(method === 'DELETE' && r.status === 404)) {
+    throw new Error(`S3 ${method} ${key}: ${r.status} ${(await r.text()).slice(0, 200)}`);
+  }
+  return method === 'GET' ? Buffer.from(await r.arrayBuffer()) : null;
+}
+
+// Файл ключа на локальном диске: private/... — в PRIVATE_UPLOAD_DIR, остальное — в раздаваемой UPLOAD_DIR
+function localStoragePath(key) {
+  return key.startsWith('private/')
+    ? path.join(PRIVATE_UPLOAD_DIR, key.slice('private/'.length))
+    : path.join(UPLOAD_DIR, key);
+}
+
+// put(key, buffer, mime) / get(key) / remove(key) / url(key) — ключи вида media/avatar/ab/<hash>/256.avif
+const STORAGE_DRIVERS = {
+  local: {
+    async put(key, buffer) {
+      const file = localStoragePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      return fs.promises.readFile(localStoragePath(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(localStoragePath(key), { force: true });
+    },
+    url(key) {
+      return `${process.env.MEDIA_BASE_URL || '/uploads'}/${key}`;
+    },
+  },
+  s3: {
+    async put(key, buffer, mime) {
+      await s3Request('PUT', key, buffer, mime);
+    },
+    async get(key) {
+      return s3Request('GET', key);
+    },
+    async remove(key) {
+      await s3Request('DELETE', key);
+    },
+    url(key) {
+      const cfg = s3Config();
+      return `${process.env.S3_PUBLIC_URL || `${cfg.endpoint.replace(/\/$/, '')}/${cfg.bucket}`}/${key}`;
+    },
+  },
+};
+
+function mediaStorage() {
+  const driver = STORAGE_DRIVERS[STORAGE_DRIVER];
+  if (!driver) throw httpError(500, `Хранилище ${STORAGE_DRIVER} не настроено`);
+  return driver;
+}
+
+function mediaKeys(media) {
+  return Object.values(media.variants).flatMap(v => Object.keys(MEDIA_FORMATS).map(f => v[f]));
+}
+
+function formatMedia(media) {
+  const storage = mediaStorage();
+  const variants = {};
+  for (const [size, v] of Object.entries(media.variants)) {
+    variants[size] = { width: v.width, height: v.height };
+    for (const f of Object.keys(MEDIA_FORMATS)) variants[size][f] = storage.url(v[f]);
+  }
+  return {
+    id: media.id,
+    kind: media.kind,
+    width: media.width,
+    height: media.height,
+    url: variants[MEDIA_KINDS[media.kind].main].avif,
+    variants,
+  };
+}
+
+// Проверка, пересжатие и сохранение; повторная загрузка того же файла возвращает существующую запись
+async function storeImage(buffer, kind, userId) {
+  const spec = MEDIA_KINDS[kind];
+  const mime = sniffImageType(buffer);
+  if (!mime) throw httpError(415, 'Поддерживаются изображения JPEG, PNG, GIF, WebP, AVIF и HEIC');
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await pool.query('SELECT * FROM media_files WHERE kind=$1 AND hash=$2', [kind, hash]);
+  if (existing.rows.length) return existing.rows[0];
+
+  // метаданные (EXIF, ICC-комментарии, GPS) sharp в выходные файлы не переносит
+  const source = () => sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate();
+  let meta;
+  const files = [];
+  try {
+    meta = await source().metadata();
+    for (const size of spec.sizes) {
+      const resized = source().resize(size, size, { fit: spec.fit, withoutEnlargement: spec.fit === 'inside' });
+      for (const format of Object.keys(MEDIA_FORMATS)) {
+        const { data, info } = await resized.clone().toFormat(format, MEDIA_FORMATS[format].options).toBuffer({ resolveWithObject: true });
+        files.push({ size, format, data, info });
+      }
+    }
+  } catch {
+    throw httpError(415, 'Файл повреждён, слишком велик по размеру в пикселях или не является изображением');
+  }
+  // после rotate() ширина и высота меняются местами для EXIF-ориентаций 5–8
+  const [width, height] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+  const storage = mediaStorage();
+  const variants = {};
+  for (const { size, format, data, info } of files) {
+    const key = `media/${kind}/${hash.slice(0, 2)}/${hash}/${size}.${format}`;
+    await storage.put(key, data, MEDIA_FORMATS[format].mime);
+    variants[size] = { ...variants[size], width: info.width, height: info.height, [format]: key };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO media_files (kind, hash, mime, bytes, width, height, variants, uploaded_by, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (kind, hash) DO NOTHING RETURNING *`,
+    [kind, hash, mime, buffer.length, width, height, JSON.stringify(variants), userId, new Date()]
+  );
+  if (rows.length) return rows[0];
+  // параллельная загрузка того же файла успела раньше — файлы те же, ключи совпадают
+  return (await pool.query('SELECT * FROM media_files WHERE kind=$1 AND hash=$2', [kind, hash])).rows[0];
+}
+
+// Один файл из поля field в req.file.buffer; multer-ошибки (размер, лишние файлы) — в JSON, а не в HTML express
+function acceptFile(field, maxBytes = IMAGE_MAX_BYTES) {
+  const single = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single(field);
+  return (req, res, next) => single(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Файл больше ${Math.floor(maxBytes / 1024 / 1024)} МБ` });
+    }
+    res.status(400).json({ error: 'Некорректная загрузка файла' });
+  });
+}
+
+// Сироты: записи без ссылок старше MEDIA_ORPHAN_GRACE_HOURS и файлы старых загрузок прямо в /uploads
+async function cleanupMedia() {
+  const before = new Date(Date.now() - MEDIA_ORPHAN_GRACE_HOURS * 3600000);
+  const { rows } = await pool.query(
+    `DELETE FROM media_files
+     WHERE created_at < $1
+       AND NOT EXISTS (SELECT 1 FROM users u WHERE u.avatar_media_id = media_files.id)
+       AND NOT EXISTS (SELECT 1 FROM product_images p WHERE p.media_id = media_files.id)
+     RETURNING *`,
+    [before]
+  );
+  const storage = mediaStorage();
+  for (const media of rows) {
+    for (const key of mediaKeys(media)) await storage.remove(key);
+  }
+
+  let legacy = 0;
+  const { rows: avatars } = await pool.query("SELECT avatar FROM users WHERE avatar LIKE '/uploads/%'");
+  const referenced = new Set(avatars.map(r => r.avatar.slice('/uploads/'.length)));
+  for (const entry of await fs.promises.readdir(UPLOAD_DIR, { withFileTypes: true })) {
+    if (!entry.isFile() || referenced.has(entry.name)) continue;
+    const file = path.join(UPLOAD_DIR, entry.name);
+    if ((await fs.promises.stat(file)).mtime >= before) continue;
+    await fs.promises.rm(file, { force: true });
+    legacy++;
+  }
+  return { media: rows.length, legacy };
+}
+
+setInterval(() => {
+  cleanupMedia().catch(err => console.error('media cleanup err', err));
+}, 60 * 60 * 1000);
+
+// Avatar upload: поле avatar (multipart); старый файл станет сиротой и уйдёт при очистке
+app.post('/api/profile/avatar', authMiddleware, acceptFile('avatar'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Файл не выбран' });
+    const media = formatMedia(await storeImage(req.file.buffer, 'avatar', req.userId));
+    await pool.query('UPDATE users SET avatar=$1, avatar_media_id=$2 WHERE id=$3', [media.url, media.id, req.userId]);
+    res.json({ avatar: media.url, media, user: await getUserById(req.userId) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки аватара');
+  }
+});
+
+app.delete('/api/profile/avatar', authMiddleware, async (req, res) => {
+  try {
+    await pool.query('UPDATE users SET avatar=NULL, avatar_media_id=NULL WHERE id=$1', [req.userId]);
+    res.json({ ok: true, user: await getUserById(req.userId) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка удаления аватара');
+  }
+});
+
+// products.images — то, что отдаёт витрина; product_images — какие загрузки на них ссылаются
+async function syncProductImages(db, productId, add = null, removeUrls = []) {
+  const { rows } = await db.query('SELECT images FROM products WHERE id=$1', [productId]);
+  if (!rows.length) throw httpError(404, 'Товар не найден');
+  const images = (rows[0].images || []).filter(url => !removeUrls.includes(url));
+  if (add && !images.includes(add)) images.push(add);
+  await db.query('UPDATE products SET images=$2 WHERE id=$1', [productId, JSON.stringify(images)]);
+  return images;
+}
+
+// Фото товара: поле image (multipart), добавляется в конец галереи
+app.post('/api/admin/products/:id/images', authMiddleware, requireRole('admin'), acceptFile('image'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Файл не выбран' });
+    const productId = Number(req.params.id) || 0;
+    const media = formatMedia(await storeImage(req.file.buffer, 'product', req.userId));
+    const images = await withTransaction(async db => {
+      const list = await syncProductImages(db, productId, media.url);
+      await db.query(
+        `INSERT INTO product_images (product_id, media_id, sort)
+         VALUES ($1,$2,(SELECT COUNT(*) FROM product_images WHERE product_id=$1)) ON CONFLICT DO NOTHING`,
+        [productId, media.id]
+      );
+      await audit(db, req.userId, 'product_image_add', null, { product_id: productId, media_id: media.id });
+      return list;
+    });
+    res.json({ ok: true, media, images });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки фото товара');
+  }
+});
+
+app.delete('/api/admin/products/:id/images/:mediaId', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const productId = Number(req.params.id) || 0;
+    const mediaId = Number(req.params.mediaId) || 0;
+    const images = await withTransaction(async db => {
+      const { rows } = await db.query(
+        'DELETE FROM product_images WHERE product_id=$1 AND media_id=$2 RETURNING media_id',
+        [productId, mediaId]
+      );
+      if (!rows.length) throw httpError(404, 'Фото не найдено');
+      const media = (await db.query('SELECT * FROM media_files WHERE id=$1', [mediaId])).rows[0];
+      const urls = Object.values(formatMedia(media).variants).map(v => v.avif);
+      const list = await syncProductImages(db, productId, null, urls);
+      await audit(db, req.userId, 'product_image_remove', null, { product_id: productId, media_id: mediaId });
+      return list;
+    });
+    res.json({ ok: true, images });
+  } catch (err) {
+    sendError(res, err, 'Ошибка удаления фото товара');
+  }
+});
+
+app.post('/api/admin/media/cleanup', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ ok: true, removed: await cleanupMedia() });
+  } catch (err) {
+    sendError(res, err, 'Ошибка очистки медиа');
+  }
+});
+
+// =======================
+// CAREERS
+// =======================
+// Вакансии и отклики. Отклик — только из личного кабинета (статус виден там же), резюме хранится
+// в приватной части хранилища и выдаётся только HR. Статусы: received -> interview_scheduled ->
+// offer | rejected. На собеседование HR приглашает (invited_at), время кандидат выбирает сам
+// из слотов офиса: рабочие дни и часы приёма задаются в offices, вместимость — на часовой слот.
+const RESUME_MAX_BYTES = 5 * 1024 * 1024;
+const INTERVIEW_BOOKING_DAYS = 14;
+const INTERVIEW_MIN_LEAD_MIN = 120; // записаться можно не позже чем за 2 часа
+const JOB_STATUSES = {
+  received: 'Отклик получен',
+  interview_scheduled: 'Назначено собеседование',
+  offer: 'Предложение о работе',
+  rejected: 'Отказ',
+};
+// Куда HR может перевести отклик; interview_scheduled ставит сам кандидат записью на слот
+const JOB_STATUS_FLOW = {
+  received: ['offer', 'rejected'],
+  interview_scheduled: ['received', 'offer', 'rejected'],
+  offer: [],
+  rejected: [],
+};
+const JOB_NOTIFICATIONS = {
+  received: v => ({
+    title: `Отклик на вакансию «${v.vacancy}» получен`,
+    message: 'Мы изучим резюме и свяжемся с вами. Статус отклика — в личном кабинете.',
+  }),
+  invited: v => ({
+    title: 'Приглашение на собеседование',
+    message: `Вакансия «${v.vacancy}». Выберите удобные офис и время в личном кабинете — собеседования проходят по записи.`,
+  }),
+  interview_scheduled: v => ({
+    title: 'Собеседование назначено',
+    message: `Вакансия «${v.vacancy}»: ${formatStamp(v.slot_start)}, ${v.office}${v.address ? ` (${v.address})` : ''}.`,
+  }),
+  offer: v => ({
+    title: `Предложение о работе: «${v.vacancy}»`,
+    message: 'Мы готовы сделать вам предложение — HR свяжется с вами, чтобы обсудить детали.',
+  }),
+  rejected: v => ({
+    title: `Отклик на вакансию «${v.vacancy}»`,
+    message: 'К сожалению, сейчас мы не готовы продолжить. Спасибо за интерес к S7avelii Airlines!',
+  }),
+};
+// Офисы из блока «Пригласили на собеседование?» на vacance.html; days — дни недели, 1 = пн
+const SEED_OFFICES = [
+  {
+    code: 'hq', title: 'Центральный офис S7avelii Airlines', city: 'Саратов',
+    address: 'г. Саратов, Киевский проезд, 1, 1 этаж', days: '12345', from: '10:00', to: '17:00', capacity: 2,
+  },
+  {
+    code: 'airport', title: 'Офис S7avelii Airlines в аэропорту «Григорьев»', city: 'Саратов',
+    address: 'г. Саратов, аэропорт Гагарин, 1 этаж', days: '135', from: '12:00', to: '16:00', capacity: 1,
+  },
+];
+const SEED_VACANCIES = [
+  {
+    slug: 'creative', title: 'Креативщик', department: 'Медиацентр', office: 'hq',
+    description: 'Придумываете идеи роликов о городах и рейсах, пишете сценарии и сопровождаете съёмки.',
+    requirements: ['Портфолио с идеями или роликами', 'Умение работать с обратной связью'],
+  },
+  {
+    slug: 'marketer', title: 'Маркетолог', department: 'Медиацентр', office: 'hq',
+    description: 'Продвигаете новые направления и акции, анализируете отклик аудитории.',
+    requirements: ['Опыт запуска рекламных кампаний', 'Уверенная работа с аналитикой'],
+  },
+  {
+    slug: 'video-editor', title: 'Монтажёр', department: 'Медиацентр', office: 'hq',
+    description: 'Монтируете ежемесячные видео о путешествиях и короткие ролики для соцсетей.',
+    requirements: ['Premiere Pro, DaVinci Resolve или аналог', 'Чувство ритма и вкуса'],
+  },
+  {
+    slug: 'advertiser', title: 'Рекламщик', department: 'Медиацентр', office: 'hq',
+    description: 'Договариваетесь о рекламных размещениях и партнёрских интеграциях.',
+    requirements: ['Опыт переговоров с площадками'],
+  },
+  {
+    slug: 'chief-accountant', title: 'Главный бухгалтер', department: 'Работа в дистанционном формате', remote: true,
+    description: 'Ведёте учёт и отчётность авиакомпании, работаете с партнёрами и банками.',
+    requirements: ['Опыт на позиции главного бухгалтера', 'Знание 1С'],
+  },
+  {
+    slug: 'philologist', title: 'Филолог', department: 'Работа в дистанционном формате', remote: true,
+    description: 'Вычитываете тексты сайта, рассылок и бортовых объявлений.',
+    requirements: ['Безупречная грамотность'],
+  },
+  {
+    slug: 'economist', title: 'Экономист', department: 'Работа в дистанционном формате', remote: true,
+    description: 'Считаете экономику рейсов и новых направлений, готовите планы и отчёты.',
+    requirements: ['Опыт финансового моделирования', 'Excel или Google Таблицы на уровне формул'],
+  },
+];
+
+async function seedCareers() {
+  for (const [i, o] of SEED_OFFICES.entries()) {
+    await pool.query(
+      `INSERT INTO offices (code, title, city, address, interview_days, interview_from, interview_to, interview_capacity, sort)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (code) DO NOTHING`,
+      [o.code, o.title, o.city, o.address, o.days, o.from, o.to, o.capacity, i + 1]
+    );
+  }
+  const now = new Date();
+  for (const [i, v] of SEED_VACANCIES.entries()) {
+    await pool.query(
+      `INSERT INTO vacancies (slug, title, department, city, office_code, remote, description, requirements, sort, created_at, updated_at)
+       VALUES ($1,$2,$3,'Саратов',$4,$5,$6,$7,$8,$9,$9) ON CONFLICT (slug) DO NOTHING`,
+      [v.slug, v.title, v.department, v.office || null, Boolean(v.remote), v.description, JSON.stringify(v.requirements), i + 1, now]
+    );
+  }
+}
+
+// Сигнатуры допустимых форматов резюме; zip-контейнер — только docx/odt
+function sniffResumeType(buf) {
+  if (!buf || buf.length < 8) return null;
+  if (buf.toString('ascii', 0, 5) === '%PDF-') return { mime: 'application/pdf', ext: 'pdf' };
+  if (buf.toString('ascii', 0, 5) === '{\\rtf') return { mime: 'application/rtf', ext: 'rtf' };
+  if (buf.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    return { mime: 'application/msword', ext: 'doc' };
+  }
+  if (buf.toString('ascii', 0, 4) === 'PK\x03\x04') {
+    if (buf.includes('word/')) {
+      return { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx' };
+    }
+    if (buf.includes('application/vnd.oasis.opendocument.text')) {
+      return { mime: 'application/vnd.oasis.opendocument.text', ext: 'odt' };
+    }
+  }
+  return null;
+}
+
+// Часовые слоты офиса на ближайшие INTERVIEW_BOOKING_DAYS дней (местное время 'YYYY-MM-DDTHH:MM')
+function interviewSlots(office) {
+  const earliest = addMinutesToStamp(localStamp(), INTERVIEW_MIN_LEAD_MIN);
+  const slots = [];
+  for (let d = 0; d <= INTERVIEW_BOOKING_DAYS; d++) {
+    const date = addMinutesToStamp(localStamp(), d * 1440).slice(0, 10);
+    const weekday = new Date(date + 'T00:00:00Z').getUTCDay() || 7;
+    if (!office.interview_days.includes(String(weekday))) continue;
+    for (let slot = `${date}T${office.interview_from}`; slot < `${date}T${office.interview_to}`; slot = addMinutesToStamp(slot, 60)) {
+      if (slot >= earliest) slots.push(slot);
+    }
+  }
+  return slots;
+}
+
+async function interviewAvailability(db, office) {
+  const slots = interviewSlots(office);
+  if (!slots.length) return [];
+  const { rows } = await db.query(
+    `SELECT slot_start, booked FROM interview_slots WHERE office_code=$1 AND slot_start IN (${placeholders(slots, 1)})`,
+    [office.code, ...slots]
+  );
+  return slots.map(slot => {
+    const booked = (rows.find(r => r.slot_start === slot) || { booked: 0 }).booked;
+    return { slot_start: slot, available: Math.max(0, office.interview_capacity - booked) };
+  });
+}
+
+// Атомарно занимает место в слоте: false — слот заполнен
+async function reserveInterviewSlot(db, office, slotStart) {
+  await db.query('INSERT INTO interview_slots (office_code, slot_start) VALUES ($1,$2) ON CONFLICT DO NOTHING', [office.code, slotStart]);
+  const { rows } = await db.query(
+    'UPDATE interview_slots SET booked = booked + 1 WHERE office_code=$1 AND slot_start=$2 AND booked < $3 RETURNING booked',
+    [office.code, slotStart, office.interview_capacity]
+  );
+  return rows.length > 0;
+}
+
+// Снимает активную запись отклика: будущий слот освобождается, прошедший — собеседование состоялось
+async function closeInterview(db, applicationId) {
+  const { rows } = await db.query("SELECT * FROM interviews WHERE application_id=$1 AND status='scheduled'", [applicationId]);
+  if (!rows.length) return null;
+  const interview = rows[0];
+  if (interview.slot_start > localStamp()) {
+    await db.query("UPDATE interviews SET status='cancelled', cancelled_at=$2 WHERE id=$1", [interview.id, new Date()]);
+    await db.query(
+      'UPDATE interview_slots SET booked = booked - 1 WHERE office_code=$1 AND slot_start=$2 AND booked > 0',
+      [interview.office_code, interview.slot_start]
+    );
+  } else {
+    await db.query("UPDATE interviews SET status='done' WHERE id=$1", [interview.id]);
+  }
+  return interview;
+}
+
+function formatVacancy(v) {
+  return {
+    id: v.id,
+    slug: v.slug,
+    title: v.title,
+    department: v.department,
+    city: v.city,
+    remote: v.remote,
+    employment: v.employment,
+    description: v.description,
+    requirements: v.requirements || [],
+    office: v.office_code ? { code: v.office_code, title: v.office_title, address: v.office_address } : null,
+  };
+}
+
+function formatOffice(o) {
+  return {
+    code: o.code,
+    title: o.title,
+    city: o.city,
+    address: o.address,
+    interview_days: o.interview_days,
+    interview_hours: `${o.interview_from}–${o.interview_to}`,
+  };
+}
+
+const VACANCY_SELECT = `SELECT v.*, o.title AS office_title, o.address AS office_address
+  FROM vacancies v LEFT JOIN offices o ON o.code = v.office_code`;
+
+const APPLICATION_SELECT = `SELECT a.*, v.slug AS vacancy_slug, v.title AS vacancy_title, v.office_code AS vacancy_office,
+    i.office_code AS interview_office, i.slot_start AS interview_at, o.title AS interview_office_title,
+    o.address AS interview_address
+  FROM job_applications a
+  JOIN vacancies v ON v.id = a.vacancy_id
+  LEFT JOIN interviews i ON i.application_id = a.id AND i.status = 'scheduled'
+  LEFT JOIN offices o ON o.code = i.office_code`;
+
+// Для кандидата — без заметок HR; can_book — можно выбрать или перенести время собеседования
+function formatApplication(a) {
+  return {
+    id: a.id,
+    vacancy: { slug: a.vacancy_slug, title: a.vacancy_title, office_code: a.vacancy_office },
+    status: a.status,
+    status_title: JOB_STATUSES[a.status] || a.status,
+    invited: Boolean(a.invited_at),
+    can_book: Boolean(a.invited_at) && ['received', 'interview_scheduled'].includes(a.status),
+    interview: a.interview_at
+      ? { office_code: a.interview_office, office: a.interview_office_title, address: a.interview_address, slot_start: a.interview_at }
+      : null,
+    resume_name: a.resume_name,
+    created_at: a.created_at,
+    updated_at: a.updated_at,
+  };
+}
+
+async function findApplication(db, id, userId = null) {
+  const { rows } = await db.query(`${APPLICATION_SELECT} WHERE a.id=$1`, [Number(id) || 0]);
+  if (!rows.length || (userId && rows[0].user_id !== userId)) throw httpError(404, 'Отклик не найден');
+  return rows[0];
+}
+
+async function notifyApplication(db, application, event, vars = {}) {
+  await notifyTemplate(
+    application.user_id, 'job_application', { event, vacancy: application.vacancy_title, ...vars },
+    { application_id: application.id, status: application.status }, db
+  );
+}
+
+// ?city=&remote=1&department=
+app.get('/api/vacancies', async (req, res) => {
+  try {
+    const where = ['v.active = TRUE'];
+    const params = [];
+    for (const f of ['city', 'department']) {
+      if (!req.query[f]) continue;
+      params.push(String(req.query[f]));
+      where.push(`LOWER(v.${f}) = LOWER($${params.length})`);
+    }
+    if (req.query.remote !== undefined) {
+      params.push(['1', 'true'].includes(String(req.query.remote)));
+      where.push(`v.remote = $${params.length}`);
+    }
+    const { rows } = await pool.query(`${VACANCY_SELECT} WHERE ${where.join(' AND ')} ORDER BY v.sort, v.id`, params);
+    const offices = await pool.query('SELECT * FROM offices WHERE active = TRUE ORDER BY sort, code');
+    res.json({ vacancies: rows.map(formatVacancy), offices: offices.rows.map(formatOffice) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки вакансий');
+  }
+});
+
+app.get('/api/vacancies/:slug', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`${VACANCY_SELECT} WHERE v.slug=$1 AND v.active = TRUE`, [req.params.slug]);
+    if (!rows.length) return res.status(404).json({ error: 'Вакансия не найдена' });
+    res.json({ vacancy: formatVacancy(rows[0]) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки вакансии');
+  }
+});
+
+// Свободное время собеседований в офисе
+app.get('/api/offices/:code/interview-slots', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM offices WHERE code=$1 AND active = TRUE', [req.params.code]);
+    if (!rows.length) return res.status(404).json({ error: 'Офис не найден' });
+    const slots = await interviewAvailability(pool, rows[0]);
+    res.json({ office: formatOffice(rows[0]), slots: slots.filter(s => s.available > 0) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки расписания');
+  }
+});
+
+// multipart: resume (PDF, DOC, DOCX, RTF, ODT), full_name, phone, email, cover_letter; контакты — из профиля по умолчанию
+app.post('/api/vacancies/:slug/apply', authMiddleware, acceptFile('resume', RESUME_MAX_BYTES), async (req, res) => {
+  try {
+    const { rows: vacancies } = await pool.query('SELECT * FROM vacancies WHERE slug=$1 AND active = TRUE', [req.params.slug]);
+    if (!vacancies.length) return res.status(404).json({ error: 'Вакансия не найдена' });
+    const vacancy = vacancies[0];
+    const user = await getUserById(req.userId);
+    const fullName = String(req.body.full_name || user.fio || '').trim();
+    const phone = String(req.body.phone || user.phone || '').trim() || null;
+    const email = String(req.body.email || user.email || '').trim() || null;
+    const coverLetter = String(req.body.cover_letter || '').trim().slice(0, 5000) || null;
+    if (!fullName) return res.status(400).json({ error: 'Укажите имя и фамилию' });
+    if (!phone && !email) return res.status(400).json({ error: 'Укажите телефон или email для связи' });
+    if (!req.file && !coverLetter) return res.status(400).json({ error: 'Приложите резюме или расскажите о себе' });
+
+    let resume = null;
+    if (req.file) {
+      const type = sniffResumeType(req.file.buffer);
+      if (!type) return res.status(415).json({ error: 'Резюме — в формате PDF, DOC, DOCX, RTF или ODT' });
+      resume = {
+        key: `private/resumes/${crypto.randomBytes(16).toString('hex')}.${type.ext}`,
+        name: path.basename(String(req.file.originalname || `resume.${type.ext}`)).slice(0, 200),
+        mime: type.mime,
+        bytes: req.file.size,
+      };
+      await mediaStorage().put(resume.key, req.file.buffer, type.mime);
+    }
+
+    let application;
+    try {
+      application = await withTransaction(async db => {
+        const now = new Date();
+        const { rows } = await db.query(
+          `INSERT INTO job_applications (vacancy_id, user_id, full_name, phone, email, cover_letter,
+             resume_key, resume_name, resume_mime, resume_bytes, created_at, updated_at)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$11) RETURNING id`,
+          [vacancy.id, req.userId, fullName, phone, email, coverLetter,
+            resume && resume.key, resume && resume.name, resume && resume.mime, resume && resume.bytes, now]
+        );
+        const created = await findApplication(db, rows[0].id);
+        await notifyApplication(db, created, 'received');
+        return created;
+      });
+    } catch (err) {
+      if (resume) await mediaStorage().remove(resume.key).catch(() => {});
+      if (err.code === '23505') throw httpError(409, 'Вы уже откликнулись на эту вакансию — статус в личном кабинете');
+      throw err;
+    }
+    res.json({ ok: true, application: formatApplication(application) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отправки отклика');
+  }
+});
+
+app.get('/api/job-applications', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query(`${APPLICATION_SELECT} WHERE a.user_id=$1 ORDER BY a.id DESC`, [req.userId]);
+    res.json({ applications: rows.map(formatApplication) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки откликов');
+  }
+});
+
+// { office_code, slot_start } — запись или перенос собеседования после приглашения HR
+app.post('/api/job-applications/:id/interview', authMiddleware, async (req, res) => {
+  try {
+    const application = await withTransaction(async db => {
+      const a = await findApplication(db, req.params.id, req.userId);
+      if (!a.invited_at) throw httpError(409, 'Записаться можно после приглашения на собеседование');
+      if (!['received', 'interview_scheduled'].includes(a.status)) throw httpError(409, 'Отклик уже рассмотрен');
+
+      const { rows: offices } = await db.query('SELECT * FROM offices WHERE code=$1 AND active = TRUE', [String(req.body.office_code || '')]);
+      if (!offices.length) throw httpError(404, 'Офис не найден');
+      const office = offices[0];
+      const slotStart = String(req.body.slot_start || '');
+      if (!interviewSlots(office).includes(slotStart)) throw httpError(400, 'В это время собеседования не проводятся');
+
+      if (a.interview_office === office.code && a.interview_at === slotStart) return a;
+      await closeInterview(db, a.id);
+      if (!(await reserveInterviewSlot(db, office, slotStart))) throw httpError(409, 'Это время уже занято, выберите другое');
+      try {
+        await db.query(
+          'INSERT INTO interviews (application_id, office_code, slot_start, created_at) VALUES ($1,$2,$3,$4)',
+          [a.id, office.code, slotStart, new Date()]
+        );
+      } catch (err) {
+        if (err.code === '23505') throw httpError(409, 'Запись уже изменена, обновите страницу');
+        throw err;
+      }
+      await db.query("UPDATE job_applications SET status='interview_scheduled', updated_at=$2 WHERE id=$1", [a.id, new Date()]);
+      const updated = await findApplication(db, a.id);
+      await notifyApplication(db, updated, 'interview_scheduled', { slot_start: slotStart, office: office.title, address: office.address });
+      return updated;
+    });
+    res.json({ ok: true, application: formatApplication(application) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка записи на собеседование');
+  }
+});
+
+app.delete('/api/job-applications/:id/interview', authMiddleware, async (req, res) => {
+  try {
+    const application = await withTransaction(async db => {
+      const a = await findApplication(db, req.params.id, req.userId);
+      if (a.status !== 'interview_scheduled' || !a.interview_at) throw httpError(409, 'Активной записи нет');
+      if (a.interview_at <= localStamp()) throw httpError(409, 'Собеседование уже началось');
+      await closeInterview(db, a.id);
+      await db.query("UPDATE job_applications SET status='received', updated_at=$2 WHERE id=$1", [a.id, new Date()]);
+      return findApplication(db, a.id);
+    });
+    res.json({ ok: true, application: formatApplication(application) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены записи');
+  }
+});
+
+// ?status=&vacancy=slug
+app.get('/api/admin/job-applications', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (JOB_STATUSES[req.query.status]) {
+      params.push(req.query.status);
+      where.push(`a.status = $${params.length}`);
+    }
+    if (req.query.vacancy) {
+      params.push(String(req.query.vacancy));
+      where.push(`v.slug = $${params.length}`);
+    }
+    const { rows } = await pool.query(
+      `${APPLICATION_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY a.id DESC LIMIT 200`,
+      params
+    );
+    res.json({
+      applications: rows.map(a => ({
+        ...formatApplication(a),
+        user_id: a.user_id,
+        full_name: a.full_name,
+        phone: a.phone,
+        email: a.email,
+        cover_letter: a.cover_letter,
+        hr_note: a.hr_note,
+        invited_at: a.invited_at,
+        resume_url: a.resume_key ? `/api/admin/job-applications/${a.id}/resume` : null,
+      })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки откликов');
+  }
+});
+
+app.get('/api/admin/job-applications/:id/resume', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const a = await findApplication(pool, req.params.id);
+    if (!a.resume_key) return res.status(404).json({ error: 'Резюме не приложено' });
+    const file = await mediaStorage().get(a.resume_key);
+    res.set({
+      'Content-Type': a.resume_mime,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(a.resume_name || 'resume')}`,
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(file);
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки резюме');
+  }
+});
+
+// { status?, hr_note?, invite?: true } — приглашение открывает кандидату запись на собеседование
+app.patch('/api/admin/job-applications/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.body.status;
+    if (status !== undefined && !JOB_STATUSES[status]) return res.status(400).json({ error: 'Некорректный статус' });
+
+    const application = await withTransaction(async db => {
+      const a = await findApplication(db, req.params.id);
+      const now = new Date();
+      let event = null;
+      if (status !== undefined && status !== a.status) {
+        if (!JOB_STATUS_FLOW[a.status].includes(status)) {
+          throw httpError(409, `Нельзя перевести отклик из «${JOB_STATUSES[a.status]}» в «${JOB_STATUSES[status]}»`);
+        }
+        await closeInterview(db, a.id);
+        await db.query('UPDATE job_applications SET status=$2, updated_at=$3 WHERE id=$1', [a.id, status, now]);
+        if (status !== 'received') event = status;
+      }
+      if (req.body.invite && !a.invited_at) {
+        if (!['received', 'interview_scheduled'].includes(status || a.status)) throw httpError(409, 'Отклик уже рассмотрен');
+        await db.query('UPDATE job_applications SET invited_at=$2, updated_at=$2 WHERE id=$1', [a.id, now]);
+        event = event || 'invited';
+      }
+      if (req.body.hr_note !== undefined) {
+        await db.query('UPDATE job_applications SET hr_note=$2 WHERE id=$1', [a.id, req.body.hr_note ? String(req.body.hr_note) : null]);
+      }
+      await audit(db, req.userId, 'job_application', a.user_id, { application_id: a.id, status, invite: Boolean(req.body.invite) });
+      const updated = await findApplication(db, a.id);
+      if (event) await notifyApplication(db, updated, event);
+      return updated;
+    });
+    res.json({ ok: true, application: { ...formatApplication(application), hr_note: application.hr_note } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения отклика');
+  }
+});
+
+function parseVacancy(body, partial) {
+  const out = {};
+  if (body.title !== undefined || !partial) {
+    out.title = String(body.title || '').trim();
+    if (!out.title) throw httpError(400, 'Укажите название вакансии');
+  }
+  for (const f of ['department', 'city', 'description', 'employment']) {
+    if (body[f] !== undefined) out[f] = body[f] ? String(body[f]).trim() : null;
+  }
+  if (body.office_code !== undefined) out.office_code = body.office_code || null;
+  if (body.requirements !== undefined) {
+    if (!Array.isArray(body.requirements)) throw httpError(400, 'requirements — список строк');
+    out.requirements = JSON.stringify(body.requirements.map(r => String(r).trim()).filter(Boolean));
+  }
+  if (body.remote !== undefined) out.remote = Boolean(body.remote);
+  if (body.active !== undefined) out.active = Boolean(body.active);
+  if (body.sort !== undefined) out.sort = Number(body.sort) || 0;
+  return out;
+}
+
+app.post('/api/admin/vacancies', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const slug = String(req.body.slug || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{2,60}$/.test(slug)) return res.status(400).json({ error: 'slug — латиница, цифры и дефис' });
+    const fields = parseVacancy(req.body, false);
+    const names = Object.keys(fields);
+
+    const vacancy = await withTransaction(async db => {
+      let rows;
+      try {
+        ({ rows } = await db.query(
+          `INSERT INTO vacancies (slug, ${names.join(', ')}, created_at, updated_at)
+           VALUES ($1, ${names.map((_, i) => `$${i + 2}`).join(', ')}, $${names.length + 2}, $${names.length + 2}) RETURNING id`,
+          [slug, ...names.map(f => fields[f]), new Date()]
+        ));
+      } catch (err) {
+        if (err.code === '23505') throw httpError(409, 'Вакансия с таким slug уже есть');
+        if (err.code === '23503') throw httpError(400, 'Офис не найден');
+        throw err;
+      }
+      await audit(db, req.userId, 'vacancy_create', null, { slug });
+      return (await db.query(`${VACANCY_SELECT} WHERE v.id=$1`, [rows[0].id])).rows[0];
+    });
+    res.json({ ok: true, vacancy: { ...formatVacancy(vacancy), active: vacancy.active } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка создания вакансии');
+  }
+});
+
+// Закрыть вакансию — { active: false }: отклики сохраняются
+app.patch('/api/admin/vacancies/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const fields = parseVacancy(req.body, true);
+    const names = Object.keys(fields);
+    if (!names.length) return res.status(400).json({ error: 'Нечего менять' });
+
+    const vacancy = await withTransaction(async db => {
+      const sets = names.map((f, i) => `${f}=$${i + 2}`);
+      let rows;
+      try {
+        ({ rows } = await db.query(
+          `UPDATE vacancies SET ${sets.join(', ')}, updated_at=$${names.length + 2} WHERE id=$1 RETURNING id, slug`,
+          [Number(req.params.id) || 0, ...names.map(f => fields[f]), new Date()]
+        ));
+      } catch (err) {
+        if (err.code === '23503') throw httpError(400, 'Офис не найден');
+        throw err;
+      }
+      if (!rows.length) throw httpError(404, 'Вакансия не найдена');
+      await audit(db, req.userId, 'vacancy_update', null, { slug: rows[0].slug, fields: names });
+      return (await db.query(`${VACANCY_SELECT} WHERE v.id=$1`, [rows[0].id])).rows[0];
+    });
+    res.json({ ok: true, vacancy: { ...formatVacancy(vacancy), active: vacancy.active } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка сохранения вакансии');
+  }
+});
+
+// =======================
+// CARD ORDERS
+// =======================
+// Заказ карты Priority с priority.html. Номер генерируется сразу (12 цифр, последняя — контрольная
+// по Луну) и резервируется за заказом; пользователю номер и тип карты прописываются при выдаче.
+// Платные карты сначала ждут оплаты (PAYABLE.card_order), дальше статусы ведёт администратор:
+// pending -> production -> shipped -> issued. Пока карта не в производстве, заказ можно отменить.
+const CARD_NUMBER_PREFIX = '7';
+const CARD_NUMBER_LENGTH = 12;
+// card_type — тип карты, который получит пользователь; null — карта по уровню (или уже выданная особая)
+const CARD_PRODUCTS = {
+  Classic: { title: 'Classic', price: 0, card_type: null },
+  VIP: { title: 'VIP', price: 4990, card_type: 'VIP' },
+  Sticker: { title: 'Стикер', price: 490, card_type: null },
+};
+const CARD_ORDER_STATUSES = {
+  awaiting_payment: 'Ожидает оплаты',
+  pending: 'Заявка принята',
+  production: 'Карта изготавливается',
+  shipped: 'Передана в доставку',
+  issued: 'Карта выдана',
+  cancelled: 'Заказ отменён',
+};
+// Переходы, доступные администратору; awaiting_payment -> pending делает только оплата
+const CARD_ORDER_FLOW = {
+  awaiting_payment: ['cancelled'],
+  pending: ['production', 'cancelled'],
+  production: ['shipped', 'cancelled'],
+  shipped: ['issued'],
+  issued: [],
+  cancelled: [],
+};
+const CARD_ORDER_NOTIFICATIONS = {
+  pending: v => ({
+    title: `Заказ карты ${v.product} принят`,
+    message: `Номер вашей будущей карты — ${v.card_number}. Статус заказа — на странице S7avelii Priority.`,
+  }),
+  production: v => ({
+    title: `Карта ${v.product} изготавливается`,
+    message: 'Как только карта будет готова, мы передадим её в доставку.',
+  }),
+  shipped: v => ({
+    title: `Карта ${v.product} в пути`,
+    message: `Доставка по адресу: ${v.delivery_address}.${v.tracking_number ? ` Трек-номер: ${v.tracking_number}.` : ''}`,
+  }),
+  issued: v => ({
+    title: `Карта ${v.product} выдана`,
+    message: `Карта ${v.card_number} привязана к вашему аккаунту${v.card_type ? `, тип карты — ${v.card_type}` : ''}.`,
+  }),
+  cancelled: v => ({
+    title: `Заказ карты ${v.product} отменён`,
+    message: v.reason ? `${v.reason}.` : 'Если это ошибка, оформите заказ заново на странице S7avelii Priority.',
+  }),
+};
+
+// Контрольная цифра по алгоритму Луна для строки цифр без неё
+function luhnDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function generateCardNumber() {
+  let body = CARD_NUMBER_PREFIX;
+  while (body.length < CARD_NUMBER_LENGTH - 1) body += crypto.randomInt(10);
+  return body + luhnDigit(body);
+}
+
+// '712345678903' -> '7123 4567 8903'
+function formatCardNumber(number) {
+  return String(number || '').replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+function formatCardOrder(o, events = []) {
+  return {
+    id: o.id,
+    product: o.product,
+    product_title: (CARD_PRODUCTS[o.product] || { title: o.product }).title,
+    card_number: formatCardNumber(o.card_number),
+    full_name: o.full_name,
+    phone: o.phone,
+    email: o.email,
+    delivery_address: o.delivery_address,
+    comment: o.comment,
+    price: o.price,
+    status: o.status,
+    status_title: CARD_ORDER_STATUSES[o.status] || o.status,
+    tracking_number: o.tracking_number,
+    can_cancel: ['awaiting_payment', 'pending'].includes(o.status),
+    history: events.map(e => ({ status: e.status, title: CARD_ORDER_STATUSES[e.status] || e.status, note: e.note, at: e.created_at })),
+    created_at: o.created_at,
+    issued_at: o.issued_at,
+  };
+}
+
+async function findCardOrder(db, id, userId = null) {
+  const { rows } = await db.query('SELECT * FROM card_orders WHERE id=$1', [Number(id) || 0]);
+  if (!rows.length || (userId && rows[0].user_id !== userId)) throw httpError(404, 'Заказ карты не найден');
+  return rows[0];
+}
+
+async function cardOrderEvents(db, orderIds) {
+  if (!orderIds.length) return [];
+  const { rows } = await db.query(
+    `SELECT * FROM card_order_events WHERE order_id IN (${placeholders(orderIds)}) ORDER BY id`,
+    orderIds
+  );
+  return rows;
+}
+
+async function withCardOrderEvents(db, orders) {
+  const events = await cardOrderEvents(db, orders.map(o => o.id));
+  return orders.map(o => formatCardOrder(o, events.filter(e => e.order_id === o.id)));
+}
+
+// Смена статуса с записью в историю и уведомлением; null — заказ уже не в статусе from
+async function setCardOrderStatus(db, order, from, to, { actorId = null, note = null, reason = null } = {}) {
+  const now = new Date();
+  const { rows } = await db.query(
+    `UPDATE card_orders SET status=$3, updated_at=$4,
+       issued_at = CASE WHEN $3 = 'issued' THEN $4 ELSE issued_at END,
+       cancelled_at = CASE WHEN $3 = 'cancelled' THEN $4 ELSE cancelled_at END
+     WHERE id=$1 AND status=$2 RETURNING *`,
+    [order.id, from, to, now]
+  );
+  if (!rows.length) return null;
+  const updated = rows[0];
+  await db.query(
+    'INSERT INTO card_order_events (order_id, status, note, actor_id, created_at) VALUES ($1,$2,$3,$4,$5)',
+    [order.id, to, note || reason, actorId, now]
+  );
+
+  let cardType = null;
+  if (to === 'issued') cardType = await issueCard(db, updated);
+  if (to === 'cancelled') {
+    await cancelOpenPayments(db, 'card_order', order.id);
+    await refundTargetPayments(db, 'card_order', order.id, null, `Отмена заказа карты ${formatCardNumber(order.card_number)}`);
+  }
+  await notifyTemplate(updated.user_id, 'card_order', {
+    status: to,
+    product: (CARD_PRODUCTS[updated.product] || { title: updated.product }).title,
+    card_number: formatCardNumber(updated.card_number),
+    delivery_address: updated.delivery_address,
+    tracking_number: updated.tracking_number,
+    card_type: cardType,
+    reason,
+  }, { card_order_id: updated.id, status: to }, db);
+  return updated;
+}
+
+// Выдача: номер карты переходит пользователю. VIP-карта даёт тип VIP; остальные — тип по уровню,
+// но уже выданную особую карту (VIP, Priority) не понижают
+async function issueCard(db, order) {
+  const { rows } = await db.query('SELECT tier, card_type FROM users WHERE id=$1', [order.user_id]);
+  const user = rows[0];
+  const product = CARD_PRODUCTS[order.product] || {};
+  const cardType = product.card_type
+    || (SPECIAL_CARD_TYPES.includes(user.card_type) ? user.card_type : user.tier || TIERS[0].name);
+  await db.query('UPDATE users SET card_number=$2, card_type=$3 WHERE id=$1', [order.user_id, order.card_number, cardType]);
+  return cardType;
+}
+
+app.get('/api/card-products', (req, res) => {
+  res.json({
+    products: Object.entries(CARD_PRODUCTS).map(([code, p]) => ({ code, title: p.title, price: p.price })),
+  });
+});
+
+// { product, full_name?, phone?, email?, delivery_address, comment? } — контакты по умолчанию из профиля
+app.post('/api/card-orders', authMiddleware, async (req, res) => {
+  try {
+    const product = CARD_PRODUCTS[req.body.product];
+    if (!product) return res.status(400).json({ error: 'Выберите тип карты' });
+    const user = await getUserById(req.userId);
+    const fullName = String(req.body.full_name || user.fio || '').trim();
+    const phone = req.body.phone ? normalizePhone(req.body.phone) : user.phone;
+    const email = String(req.body.email || user.email || '').trim() || null;
+    const address = String(req.body.delivery_address || '').trim();
+    const comment = String(req.body.comment || '').trim().slice(0, 1000) || null;
+    if (!fullName) return res.status(400).json({ error: 'Укажите ФИО' });
+    if (!phone) return res.status(400).json({ error: 'Укажите корректный номер телефона' });
+    if (address.length < 10) return res.status(400).json({ error: 'Укажите адрес доставки полностью' });
+
+    let order;
+    try {
+      order = await withTransaction(async db => {
+        const status = product.price > 0 ? 'awaiting_payment' : 'pending';
+        const now = new Date();
+        let created = null;
+        for (let attempt = 0; !created && attempt < 5; attempt++) {
+          const number = generateCardNumber();
+          const taken = await db.query('SELECT 1 FROM users WHERE card_number=$1', [number]);
+          if (taken.rows.length) continue;
+          const { rows } = await db.query(
+            `INSERT INTO card_orders (user_id, product, card_number, full_name, phone, email, delivery_address, comment,
+               price, status, created_at, updated_at)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$11)
+             ON CONFLICT (card_number) DO NOTHING RETURNING *`,
+            [req.userId, req.body.product, number, fullName, phone, email, address, comment, product.price, status, now]
+          );
+          created = rows[0];
+        }
+        if (!created) throw httpError(503, 'Не удалось выдать номер карты, попробуйте ещё раз');
+        await db.query(
+          'INSERT INTO card_order_events (order_id, status, actor_id, created_at) VALUES ($1,$2,$3,$4)',
+          [created.id, status, req.userId, now]
+        );
+        if (status === 'pending') {
+          await notifyTemplate(req.userId, 'card_order', {
+            status, product: product.title, card_number: formatCardNumber(created.card_number),
+          }, { card_order_id: created.id, status }, db);
+        }
+        return created;
+      });
+    } catch (err) {
+      if (err.code === '23505') throw httpError(409, 'У вас уже есть незавершённый заказ карты — его статус на странице S7avelii Priority');
+      throw err;
+    }
+    const [formatted] = await withCardOrderEvents(pool, [order]);
+    res.json({ ok: true, order: formatted, payment_required: order.status === 'awaiting_payment' });
+  } catch (err) {
+    sendError(res, err, 'Ошибка оформления заказа карты');
+  }
+});
+
+app.get('/api/card-orders', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM card_orders WHERE user_id=$1 ORDER BY id DESC', [req.userId]);
+    res.json({ orders: await withCardOrderEvents(pool, rows) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заказов карт');
+  }
+});
+
+app.post('/api/card-orders/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const order = await withTransaction(async db => {
+      const o = await findCardOrder(db, req.params.id, req.userId);
+      if (!['awaiting_payment', 'pending'].includes(o.status)) throw httpError(409, 'Карта уже в производстве — заказ не отменить');
+      const updated = await setCardOrderStatus(db, o, o.status, 'cancelled', { actorId: req.userId, reason: 'Заказ отменён по вашей просьбе' });
+      if (!updated) throw httpError(409, 'Статус заказа изменился, обновите страницу');
+      return updated;
+    });
+    const [formatted] = await withCardOrderEvents(pool, [order]);
+    res.json({ ok: true, order: formatted });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отмены заказа карты');
+  }
+});
+
+// ?status=
+app.get('/api/admin/card-orders', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (CARD_ORDER_STATUSES[req.query.status]) {
+      params.push(req.query.status);
+      where = 'WHERE status=$1';
+    }
+    const { rows } = await pool.query(`SELECT * FROM card_orders ${where} ORDER BY id DESC LIMIT 200`, params);
+    const orders = await withCardOrderEvents(pool, rows);
+    res.json({ orders: orders.map((o, i) => ({ ...o, user_id: rows[i].user_id })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заказов карт');
+  }
+});
+
+// { status, note?, tracking_number? }
+app.patch('/api/admin/card-orders/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.body.status;
+    if (!CARD_ORDER_STATUSES[status]) return res.status(400).json({ error: 'Некорректный статус' });
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    const order = await withTransaction(async db => {
+      const o = await findCardOrder(db, req.params.id);
+      if (!CARD_ORDER_FLOW[o.status].includes(status)) {
+        throw httpError(409, `Нельзя перевести заказ из «${CARD_ORDER_STATUSES[o.status]}» в «${CARD_ORDER_STATUSES[status]}»`);
+      }
+      if (req.body.tracking_number !== undefined) {
+        await db.query('UPDATE card_orders SET tracking_number=$2 WHERE id=$1', [o.id, req.body.tracking_number ? String(req.body.tracking_number).trim() : null]);
+      }
+      const updated = await setCardOrderStatus(db, o, o.status, status, {
+        actorId: req.userId, note, reason: status === 'cancelled' ? note : null,
+      });
+      if (!updated) throw httpError(409, 'Статус заказа изменился, обновите страницу');
+      await audit(db, req.userId, 'card_order_status', o.user_id, { card_order_id: o.id, from: o.status, to: status });
+      return updated;
+    });
+    const [formatted] = await withCardOrderEvents(pool, [order]);
+    res.json({ ok: true, order: formatted });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения заказа карты');
+  }
+});
+
+// =======================
+// BUSINESS LEADS
+// =======================
+// Заявки на сайты S7avelii-IT с busines.html. Принимаются и без входа; от спама — скрытое поле-ловушка
+// (его заполняют только боты — отвечаем «ок» и ничего не сохраняем), лимит заявок с IP в час и
+// ограничение на ссылки в брифе. Воронка: new -> contacted -> quoted -> won | lost, ведут support/admin.
+// КП собирается из прайса пакета (BUSINESS_PACKAGES) плюс доп. позиции менеджера; клиент получает
+// ссылку на документ по почте, а если заявка оставлена из аккаунта — ещё и уведомлением в кабинете.
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://s7avelii-airlines-1.onrender.com';
+const LEAD_IP_HOURLY = 5;
+const LEAD_MAX_LINKS = 3;
+const LEAD_HONEYPOT_FIELD = 'website';
+const QUOTE_VALID_DAYS = 14;
+const BUSINESS_PACKAGES = {
+  start: {
+    title: 'S7avelii-Start',
+    kind: 'Лендинг',
+    items: [
+      { title: 'Дизайн лендинга в фирменном стиле', price: 4000 },
+      { title: 'Адаптивная вёрстка', price: 3000 },
+      { title: 'Форма заявок, подключение домена и публикация', price: 3000 },
+    ],
+  },
+  business: {
+    title: 'S7avelii-business',
+    kind: 'Интернет-магазин',
+    items: [
+      { title: 'Дизайн магазина: главная, каталог, карточка товара', price: 12000 },
+      { title: 'Каталог, корзина и оформление заказа', price: 20000 },
+      { title: 'Подключение оплаты и доставки', price: 10000 },
+      { title: 'Панель управления товарами и заказами', price: 7000 },
+    ],
+  },
+  pro: {
+    title: 'S7avelii-Pro',
+    kind: 'Сложный сайт с базой данных',
+    from: true, // «от 100 000 ₽» — итог уточняется позициями в КП
+    items: [
+      { title: 'Проектирование и техническое задание', price: 15000 },
+      { title: 'Дизайн интерфейсов', price: 20000 },
+      { title: 'Серверная часть и база данных', price: 45000 },
+      { title: 'Личный кабинет и роли пользователей', price: 15000 },
+      { title: 'Гарантийная поддержка 6 месяцев', price: 5000 },
+    ],
+  },
+};
+const LEAD_STATUSES = {
+  new: 'Новая заявка',
+  contacted: 'Связались с клиентом',
+  quoted: 'Отправлено КП',
+  won: 'Договор заключён',
+  lost: 'Сделка не состоялась',
+};
+// quoted ставится отправкой КП, из quoted можно вернуться в contacted — КП обсуждают и переделывают
+const LEAD_STATUS_FLOW = {
+  new: ['contacted', 'lost'],
+  contacted: ['lost'],
+  quoted: ['contacted', 'won', 'lost'],
+  won: [],
+  lost: [],
+};
+const LEAD_NOTIFICATIONS = {
+  received: v => ({
+    title: 'Заявка S7avelii-IT получена',
+    message: `${v.name}, спасибо! Менеджер свяжется с вами в течение рабочего дня${v.package ? ` по пакету ${v.package}` : ''}.`,
+  }),
+  quoted: v => ({
+    title: `Коммерческое предложение ${v.number}`,
+    message: `Итого ${v.total.toLocaleString('ru-RU')} ₽, предложение действует до ${v.valid_until}. Документ: ${v.url}`,
+  }),
+  won: () => ({
+    title: 'Начинаем работу над вашим сайтом',
+    message: 'Договор заключён — менеджер пришлёт план работ и сроки.',
+  }),
+  lost: v => ({
+    title: 'Заявка S7avelii-IT закрыта',
+    message: `${v.reason ? `${v.reason}. ` : ''}Будем рады помочь, если задача снова станет актуальной.`,
+  }),
+};
+
+function packageTotal(pkg) {
+  return pkg.items.reduce((sum, i) => sum + i.price, 0);
+}
+
+function quoteUrl(quote) {
+  const token = jwt.sign({ quote: quote.id }, JWT_SECRET, { expiresIn: '180d' });
+  return `${PUBLIC_URL}/api/business/quotes/${quote.id}.html?token=${token}`;
+}
+
+// Позиции: [{ title, qty, price }]; total = сумма - скидка
+function quoteItems(packageCode, extras) {
+  const pkg = BUSINESS_PACKAGES[packageCode];
+  const items = pkg ? pkg.items.map(i => ({ title: i.title, qty: 1, price: i.price })) : [];
+  if (extras !== undefined && !Array.isArray(extras)) throw httpError(400, 'extras — список позиций');
+  for (const e of extras || []) {
+    const title = String((e && e.title) || '').trim();
+    const qty = Number(e && e.qty !== undefined ? e.qty : 1);
+    const price = Number(e && e.price);
+    if (!title || !Number.isInteger(qty) || qty < 1 || !Number.isInteger(price) || price < 0) {
+      throw httpError(400, 'Позиция КП: название, целое количество и цена в рублях');
+    }
+    items.push({ title: title.slice(0, 200), qty, price });
+  }
+  if (!items.length) throw httpError(400, 'Выберите пакет или добавьте позиции');
+  return items;
+}
+
+function formatQuote(q) {
+  return {
+    id: q.id,
+    number: q.number,
+    package: q.package,
+    items: q.items,
+    discount: q.discount,
+    total: q.total,
+    valid_until: q.valid_until,
+    status: q.status,
+    url: q.status === 'sent' ? quoteUrl(q) : null,
+    created_at: q.created_at,
+    sent_at: q.sent_at,
+  };
+}
+
+function formatLead(l) {
+  const pkg = BUSINESS_PACKAGES[l.package];
+  return {
+    id: l.id,
+    name: l.name,
+    email: l.email,
+    phone: l.phone,
+    company: l.company,
+    package: l.package,
+    package_title: pkg ? pkg.title : null,
+    budget: l.budget,
+    brief: l.brief,
+    status: l.status,
+    status_title: LEAD_STATUSES[l.status] || l.status,
+    lost_reason: l.lost_reason,
+    created_at: l.created_at,
+    updated_at: l.updated_at,
+  };
+}
+
+async function findLead(db, id) {
+  const { rows } = await db.query('SELECT * FROM business_leads WHERE id=$1', [Number(id) || 0]);
+  if (!rows.length) throw httpError(404, 'Заявка не найдена');
+  return rows[0];
+}
+
+async function leadEvent(db, leadId, actorId, status, note) {
+  await db.query(
+    'INSERT INTO business_lead_events (lead_id, status, note, actor_id, created_at) VALUES ($1,$2,$3,$4,$5)',
+    [leadId, status, note, actorId, new Date()]
+  );
+}
+
+// Клиенту с аккаунтом — обычное уведомление (лента + email по настройкам), без аккаунта — письмо
+async function notifyLead(db, lead, event, vars = {}) {
+  const payload = { event, name: lead.name, ...vars };
+  if (lead.user_id) {
+    await notifyTemplate(lead.user_id, 'business_lead', payload, { lead_id: lead.id, event }, db);
+    return;
+  }
+  const { title, message } = NOTIFICATION_TEMPLATES.business_lead(payload);
+  await enqueueEmail(db, lead.email, 'business_lead', title, message);
+}
+
+async function setLeadStatus(db, lead, status, actorId, note) {
+  const { rows } = await db.query(
+    'UPDATE business_leads SET status=$3, updated_at=$4 WHERE id=$1 AND status=$2 RETURNING *',
+    [lead.id, lead.status, status, new Date()]
+  );
+  if (!rows.length) throw httpError(409, 'Статус заявки изменился, обновите страницу');
+  await leadEvent(db, lead.id, actorId, status, note);
+  return rows[0];
+}
+
+app.get('/api/business/packages', (req, res) => {
+  res.json({
+    packages: Object.entries(BUSINESS_PACKAGES).map(([code, p]) => ({
+      code, title: p.title, kind: p.kind, price: packageTotal(p), price_from: Boolean(p.from), items: p.items,
+    })),
+  });
+});
+
+// { name, email, phone?, company?, package?, budget?, brief } — вход не обязателен
+app.post('/api/business/leads', optionalAuth, async (req, res) => {
+  try {
+    if (req.body[LEAD_HONEYPOT_FIELD]) return res.json({ ok: true });
+
+    const name = String(req.body.name || '').trim().slice(0, 200);
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+    const company = String(req.body.company || '').trim().slice(0, 200) || null;
+    const brief = String(req.body.brief || '').trim().slice(0, 5000) || null;
+    const pkg = req.body.package ? String(req.body.package) : null;
+    const budget = req.body.budget === undefined || req.body.budget === '' ? null : Number(req.body.budget);
+    if (!name) return res.status(400).json({ error: 'Укажите имя' });
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Укажите корректный email' });
+    if (req.body.phone && !phone) return res.status(400).json({ error: 'Неверный формат телефона' });
+    if (pkg && !BUSINESS_PACKAGES[pkg]) return res.status(400).json({ error: 'Неизвестный пакет' });
+    if (budget !== null && (!Number.isInteger(budget) || budget < 0)) return res.status(400).json({ error: 'Бюджет — целое число рублей' });
+    if (brief && (brief.match(/https?:\/\//gi) || []).length > LEAD_MAX_LINKS) {
+      return res.status(400).json({ error: 'Слишком много ссылок в описании задачи' });
+    }
+
+    const { rows: recent } = await pool.query(
+      'SELECT COUNT(*) AS count FROM business_leads WHERE ip=$1 AND created_at > $2',
+      [req.ip, new Date(Date.now() - 3600 * 1000)]
+    );
+    if (Number(recent[0].count) >= LEAD_IP_HOURLY) {
+      return res.status(429).json({ error: 'Слишком много заявок. Попробуйте через час.', retry_after: 3600 });
+    }
+
+    const lead = await withTransaction(async db => {
+      const now = new Date();
+      const { rows } = await db.query(
+        `INSERT INTO business_leads (user_id, name, email, phone, company, package, budget, brief, ip, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$10) RETURNING *`,
+        [req.userId || null, name, email, phone, company, pkg, budget, brief, req.ip, now]
+      );
+      await leadEvent(db, rows[0].id, req.userId || null, 'new', null);
+      await notifyLead(db, rows[0], 'received', { package: pkg && BUSINESS_PACKAGES[pkg].title });
+      return rows[0];
+    });
+    res.json({ ok: true, lead: { id: lead.id, status: lead.status, status_title: LEAD_STATUSES[lead.status] } });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отправки заявки');
+  }
+});
+
+// Свои заявки (оставленные из аккаунта) с отправленными КП
+app.get('/api/business/leads', authMiddleware, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM business_leads WHERE user_id=$1 ORDER BY id DESC', [req.userId]);
+    const quotes = rows.length
+      ? (await pool.query(
+        `SELECT * FROM business_quotes WHERE status='sent' AND lead_id IN (${placeholders(rows)}) ORDER BY id`,
+        rows.map(l => l.id)
+      )).rows
+      : [];
+    res.json({
+      leads: rows.map(l => ({ ...formatLead(l), quotes: quotes.filter(q => q.lead_id === l.id).map(formatQuote) })),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заявок');
+  }
+});
+
+// Документ КП по ссылке из письма
+app.get('/api/business/quotes/:id.html', async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+    } catch (e) {
+      return res.status(401).json({ error: 'Ссылка недействительна' });
+    }
+    if (payload.quote !== Number(req.params.id)) return res.status(401).json({ error: 'Ссылка недействительна' });
+    const { rows } = await pool.query(
+      `SELECT q.*, l.name, l.company FROM business_quotes q JOIN business_leads l ON l.id = q.lead_id
+       WHERE q.id=$1 AND q.status='sent'`,
+      [payload.quote]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Предложение не найдено' });
+    res.set('X-Content-Type-Options', 'nosniff').type('html').send(renderQuoteHtml(rows[0]));
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки предложения');
+  }
+});
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderQuoteHtml(q) {
+  const rub = n => `${Number(n).toLocaleString('ru-RU')} ₽`;
+  const pkg = BUSINESS_PACKAGES[q.package];
+  const rows = q.items.map((i, n) => `
+      <tr><td>${n + 1}</td><td>${escapeHtml(i.title)}</td><td class="r">${i.qty}</td><td class="r">${rub(i.price)}</td><td class="r">${rub(i.qty * i.price)}</td></tr>`).join('');
+  return `<!doctype html><html lang="ru"><head><meta charset="utf-8"><title>КП ${escapeHtml(q.number)}</title>
+<style>
+  body{font-family:Arial,sans-serif;color:#1e1e1e;max-width:760px;margin:40px auto;padding:0 20px}
+  h1{font-size:22px;margin:0 0 4px}.muted{color:#6b7280}
+  table{width:100%;border-collapse:collapse;margin:24px 0}td,th{padding:8px;border-bottom:1px solid #e5e7eb;text-align:left}
+  .r{text-align:right}.total td{font-weight:700;border-bottom:none}
+  .brand{background:#97ba1e;color:#fff;padding:14px 20px;border-radius:10px;font-weight:700;margin-bottom:24px}
+  @media print{.brand{-webkit-print-color-adjust:exact;print-color-adjust:exact}}
+</style></head><body>
+<div class="brand">S7avelii-IT · S7avelii Airlines</div>
+<h1>Коммерческое предложение ${escapeHtml(q.number)}</h1>
+<div class="muted">Для: ${escapeHtml(q.name)}${q.company ? `, ${escapeHtml(q.company)}` : ''}${pkg ? ` · пакет ${escapeHtml(pkg.title)} (${escapeHtml(pkg.kind)})` : ''}</div>
+<table>
+  <tr><th>№</th><th>Позиция</th><th class="r">Кол-во</th><th class="r">Цена</th><th class="r">Сумма</th></tr>${rows}
+  ${q.discount ? `<tr><td></td><td>Скидка</td><td></td><td></td><td class="r">−${rub(q.discount)}</td></tr>` : ''}
+  <tr class="total"><td></td><td>Итого</td><td></td><td></td><td class="r">${rub(q.total)}</td></tr>
+</table>
+<p class="muted">Предложение действует до ${escapeHtml(q.valid_until.split('-').reverse().join('.'))}. Чтобы принять его или обсудить детали, ответьте на письмо или напишите на s7avelii_airlines@mail.ru.</p>
+</body></html>`;
+}
+
+// ?status=&assignee=me
+app.get('/api/admin/business/leads', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (LEAD_STATUSES[req.query.status]) {
+      params.push(req.query.status);
+      where.push(`status=$${params.length}`);
+    }
+    if (req.query.assignee === 'me') {
+      params.push(req.userId);
+      where.push(`assignee_id=$${params.length}`);
+    }
+    const { rows } = await pool.query(
+      `SELECT * FROM business_leads ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT 200`,
+      params
+    );
+    res.json({ leads: rows.map(l => ({ ...formatLead(l), assignee_id: l.assignee_id, user_id: l.user_id })) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заявок');
+  }
+});
+
+app.get('/api/admin/business/leads/:id', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const lead = await findLead(pool, req.params.id);
+    const events = await pool.query('SELECT * FROM business_lead_events WHERE lead_id=$1 ORDER BY id', [lead.id]);
+    const quotes = await pool.query('SELECT * FROM business_quotes WHERE lead_id=$1 ORDER BY id', [lead.id]);
+    res.json({
+      lead: { ...formatLead(lead), assignee_id: lead.assignee_id, user_id: lead.user_id, ip: lead.ip },
+      events: events.rows.map(e => ({ status: e.status, note: e.note, actor_id: e.actor_id, at: e.created_at })),
+      quotes: quotes.rows.map(formatQuote),
+    });
+  } catch (err) {
+    sendError(res, err, 'Ошибка загрузки заявки');
+  }
+});
+
+// { status?, note?, assignee_id?, lost_reason? } — note без статуса пишется комментарием в историю
+app.patch('/api/admin/business/leads/:id', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (status !== undefined && !LEAD_STATUSES[status]) return res.status(400).json({ error: 'Некорректный статус' });
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    const lead = await withTransaction(async db => {
+      let l = await findLead(db, req.params.id);
+      if (req.body.assignee_id !== undefined) {
+        const assignee = req.body.assignee_id === null ? null : Number(req.body.assignee_id);
+        if (assignee !== null) {
+          const { rows } = await db.query("SELECT id FROM users WHERE id=$1 AND role IN ('support','admin')", [assignee]);
+          if (!rows.length) throw httpError(400, 'Назначить можно только сотрудника');
+        }
+        await db.query('UPDATE business_leads SET assignee_id=$2, updated_at=$3 WHERE id=$1', [l.id, assignee, new Date()]);
+      }
+      if (status !== undefined && status !== l.status) {
+        if (!LEAD_STATUS_FLOW[l.status].includes(status)) {
+          throw httpError(409, `Нельзя перевести заявку из «${LEAD_STATUSES[l.status]}» в «${LEAD_STATUSES[status]}»`);
+        }
+        if (status === 'lost') {
+          const reason = String(req.body.lost_reason || '').trim() || null;
+          await db.query('UPDATE business_leads SET lost_reason=$2 WHERE id=$1', [l.id, reason]);
+          l = await setLeadStatus(db, l, status, req.userId, note);
+          await notifyLead(db, l, 'lost', { reason });
+        } else {
+          l = await setLeadStatus(db, l, status, req.userId, note);
+          if (status === 'won') await notifyLead(db, l, 'won');
+        }
+      } else if (note) {
+        await leadEvent(db, l.id, req.userId, null, note);
+      }
+      await audit(db, req.userId, 'business_lead', l.user_id, { lead_id: l.id, status, assignee_id: req.body.assignee_id });
+      return findLead(db, l.id);
+    });
+    res.json({ ok: true, lead: formatLead(lead) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка изменения заявки');
+  }
+});
+
+// { package?, extras?: [{ title, qty, price }], discount?, valid_days?, send?: true }
+// package по умолчанию — из заявки, null — КП только из extras. Без send КП остаётся черновиком;
+// отправка переводит заявку в quoted и шлёт клиенту ссылку
+app.post('/api/admin/business/leads/:id/quotes', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    if (req.body.package && !BUSINESS_PACKAGES[req.body.package]) return res.status(400).json({ error: 'Неизвестный пакет' });
+    const discount = Number(req.body.discount || 0);
+    const validDays = Number(req.body.valid_days || QUOTE_VALID_DAYS);
+    if (!Number.isInteger(discount) || discount < 0) return res.status(400).json({ error: 'Скидка — целое число рублей' });
+    if (!Number.isInteger(validDays) || validDays < 1 || validDays > 90) return res.status(400).json({ error: 'Срок действия — от 1 до 90 дней' });
+
+    const quote = await withTransaction(async db => {
+      const lead = await findLead(db, req.params.id);
+      if (['won', 'lost'].includes(lead.status)) throw httpError(409, 'Заявка уже закрыта');
+      const packageCode = req.body.package === undefined ? lead.package : req.body.package || null;
+      const items = quoteItems(packageCode, req.body.extras);
+      const sum = items.reduce((s, i) => s + i.qty * i.price, 0);
+      if (discount > sum) throw httpError(400, 'Скидка больше суммы КП');
+
+      const { rows: count } = await db.query('SELECT COUNT(*) AS count FROM business_quotes WHERE lead_id=$1', [lead.id]);
+      const number = `S7IT-${String(lead.id).padStart(5, '0')}-${Number(count[0].count) + 1}`;
+      const { rows } = await db.query(
+        `INSERT INTO business_quotes (lead_id, number, package, items, discount, total, valid_until, created_by, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+        [lead.id, number, packageCode, JSON.stringify(items), discount, sum - discount,
+          addMinutesToStamp(localStamp(), validDays * 1440).slice(0, 10), req.userId, new Date()]
+      );
+      await leadEvent(db, lead.id, req.userId, null, `КП ${number} на ${sum - discount} ₽`);
+      return req.body.send ? sendQuote(db, rows[0], req.userId) : rows[0];
+    });
+    res.json({ ok: true, quote: formatQuote(quote) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'КП уже создаётся, повторите запрос' });
+    sendError(res, err, 'Ошибка создания КП');
+  }
+});
+
+app.post('/api/admin/business/quotes/:id/send', authMiddleware, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const quote = await withTransaction(async db => {
+      const { rows } = await db.query('SELECT * FROM business_quotes WHERE id=$1', [Number(req.params.id) || 0]);
+      if (!rows.length) throw httpError(404, 'КП не найдено');
+      if (rows[0].status !== 'draft') throw httpError(409, 'КП уже отправлено');
+      return sendQuote(db, rows[0], req.userId);
+    });
+    res.json({ ok: true, quote: formatQuote(quote) });
+  } catch (err) {
+    sendError(res, err, 'Ошибка отправки КП');
+  }
+});
+
+async function sendQuote(db, quote, actorId) {
+  let lead = await findLead(db, quote.lead_id);
+  if (['won', 'lost'].includes(lead.status)) throw httpError(409, 'Заявка уже закрыта');
+  const { rows } = await db.query(
+    "UPDATE business_quotes SET status='sent', sent_at=$2 WHERE id=$1 AND status='draft' RETURNING *",
+    [quote.id, new Date()]
+  );
+  if (!rows.length) throw httpError(409, 'КП уже отправлено');
+  if (lead.status !== 'quoted') lead = await setLeadStatus(db, lead, 'quoted', actorId, `Отправлено КП ${quote.number}`);
+  await notifyLead(db, lead, 'quoted', {
+    number: quote.number,
+    total: quote.total,
+    valid_until: quote.valid_until.split('-').reverse().join('.'),
+    url: quoteUrl(rows[0]),
+  });
+  await audit(db, actorId, 'business_quote_sent', lead.user_id, { lead_id: lead.id, quote: quote.number, total: quote.total });
+  return rows[0];
+}
+
 // Простой health endpoint
 app.get('/health', (req, res) => res.json({ ok: true }));
 